@@ -1,5 +1,18 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const sessionService = require('../services/sessionService');
+const settingsService = require('../services/settingsService');
+
+// Tokens issued before user.tokensValidAfter have been revoked (e.g. on account deletion)
+const isTokenRevoked = (user, decoded) => {
+  return Boolean(user.tokensValidAfter) && decoded.iat * 1000 < user.tokensValidAfter.getTime();
+};
+
+// Revoke every access and refresh token issued to the user so far.
+// JWT iat has second precision, so the cutoff is rounded down to the second.
+const revokeTokens = (user) => {
+  user.tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+};
 
 // Authentication middleware
 const authMiddleware = async (req, res, next) => {
@@ -21,6 +34,14 @@ const authMiddleware = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Challenge tokens (e.g. the two-factor login step) share the secret but aren't access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid access token'
+        });
+      }
       
       // Get user from database
       const user = await User.findById(decoded.userId).populate('interests');
@@ -39,8 +60,17 @@ const authMiddleware = async (req, res, next) => {
         });
       }
 
-      // Attach user to request object
+      if (isTokenRevoked(user, decoded) || (decoded.sessionId && !(await sessionService.isActive(decoded.sessionId)))) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Session has been revoked, please log in again',
+          code: 'TOKEN_REVOKED'
+        });
+      }
+
+      // Attach user and session to request object
       req.user = user;
+      req.sessionId = decoded.sessionId;
       next();
 
     } catch (jwtError) {
@@ -67,14 +97,33 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-// Admin authorization middleware
-const adminMiddleware = (req, res, next) => {
+// Admin authorization middleware. When the security.requireAdminTwoFactor setting is
+// on, admins must have two-factor authentication enabled to get through.
+const adminMiddleware = async (req, res, next) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({
       status: 'error',
       message: 'Access denied. Admin privileges required.'
     });
   }
+
+  try {
+    const settings = await settingsService.get();
+    if (settings.security.requireAdminTwoFactor && !req.user.twoFactor.enabled) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Two-factor authentication is required for admin accounts. Enable it in your profile security settings.',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error in authentication'
+    });
+  }
+
   next();
 };
 
@@ -91,8 +140,10 @@ const optionalAuthMiddleware = async (req, res, next) => {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.userId).populate('interests');
-        if (user && user.isVerified) {
+        if (!decoded.purpose && user && user.isVerified && !isTokenRevoked(user, decoded) &&
+          (!decoded.sessionId || await sessionService.isActive(decoded.sessionId))) {
           req.user = user;
+          req.sessionId = decoded.sessionId;
         }
       } catch (jwtError) {
         // Token is invalid but that's ok for optional auth
@@ -111,5 +162,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
 module.exports = {
   authMiddleware,
   adminMiddleware,
-  optionalAuthMiddleware
+  optionalAuthMiddleware,
+  isTokenRevoked,
+  revokeTokens
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Permissions granted to each user role
+const ROLE_PERMISSIONS = {
+  user: [],
+  editor: [
+    'categories:manage'
+  ],
+  admin: [
+    'categories:manage',
+    'users:manage',
+    'audit:read'
+  ]
+};
+
+const hasPermission = (user, permission) => {
+  return Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+// Permission middleware - use after authMiddleware
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Access denied. You do not have permission to perform this action.'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requirePermission
+};
@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -14,7 +16,7 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     unique: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
+    match: [EMAIL_PATTERN, 'Please provide a valid email']
   },
   password: {
     type: String,
@@ -32,11 +34,13 @@ const userSchema = new mongoose.Schema({
     default: ''
   },
   interests: [{
-    type: String
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
   }],
+  // Permissions for each role are defined in middleware/permissions.js
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'editor', 'admin'],
     default: 'user'
   },
   isVerified: {
@@ -52,11 +56,35 @@ const userSchema = new mongoose.Schema({
     breakingNews: {
       type: Boolean,
       default: true
+    },
+    // Add saved posts the user hasn't opened yet to their digest emails
+    includeSavedPosts: {
+      type: Boolean,
+      default: false
     }
   },
+  // SHA-256 hash of the email verification token
   verificationToken: String,
+  verificationExpires: Date,
+  // New address waiting to be confirmed; `email` stays in use until then
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    match: [EMAIL_PATTERN, 'Please provide a valid email']
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // SHA-256 hash of the pending passwordless login link token
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: Date,
   lastActive: {
     type: Date,
     default: Date.now
@@ -65,7 +93,76 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  gdprConsentDate: Date
+  gdprConsentDate: Date,
+  // Set when the user asks to delete their account; logging in again cancels it
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  // Access and refresh tokens issued before this time are rejected
+  tokensValidAfter: Date,
+  // TOTP two-factor authentication; secrets are encrypted by services/twoFactorService.js
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, moved to `secret` once a code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Accounts at external OpenID Connect providers linked to this user
+  identities: [{
+    // IdentityProvider slug
+    provider: String,
+    // The provider's stable user id (the `sub` claim)
+    subject: String,
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Failed-login tracking and lockout, see services/loginSecurityService.js
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    // Number of lockouts since the last successful login; each one lasts longer
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+    // Devices and IPs the user has logged in from, to spot logins from new ones
+    knownDevices: {
+      type: [{
+        device: String,
+        ip: String,
+        lastSeenAt: Date
+      }],
+      select: false
+    }
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -75,6 +172,9 @@ const userSchema = new mongoose.Schema({
 // Index for performance
 userSchema.index({ isVerified: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ 'loginSecurity.lockedUntil': 1 }, { sparse: true });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 
 // Virtual for user's posts
 userSchema.virtual('posts', {
@@ -120,6 +220,22 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: '#00A4EF'
   },
+  // Tuning for this category's posts in the trending ranking. Lower gravity keeps
+  // posts trending for longer; boost scales their score.
+  trending: {
+    gravity: {
+      type: Number,
+      min: [0.5, 'Gravity must be at least 0.5'],
+      max: [3, 'Gravity cannot exceed 3'],
+      default: null
+    },
+    boost: {
+      type: Number,
+      min: [0, 'Boost cannot be negative'],
+      max: [5, 'Boost cannot exceed 5'],
+      default: 1
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -133,6 +249,20 @@ categorySchema.index({ isActive: 1 });
 const Category = mongoose.model('Category', categorySchema);
 
 // models/Post.js
+const REACTION_TYPES = ['like', 'insightful', 'funny', 'sad', 'angry'];
+
+// Periods the trending ranking is computed over
+const TRENDING_WINDOWS = ['1h', '24h', '7d'];
+
+// How much each interaction adds to a post's engagement score. Reactions that take
+// more than a tap to mean (insightful) count for more than a plain like.
+const ENGAGEMENT_WEIGHTS = {
+  reactions: { like: 3, insightful: 4, funny: 3, sad: 2, angry: 2 },
+  comment: 5,
+  share: 7,
+  view: 0.1
+};
+
 const postSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -180,32 +310,15 @@ const postSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  likes: [{
-    user: {
-      type: mongoose.Schema.ObjectId,
-      ref: 'User'
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: [1000, 'Comment cannot exceed 1000 characters']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Per-type reaction totals; the reactions themselves are in the Reaction collection
+  reactionCounts: Object.fromEntries(
+    REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])
+  ),
+  // Comments live in their own collection; this counts the visible ones
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   shares: {
     type: Number,
     default: 0
@@ -214,10 +327,28 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Opens of the original article or link (see InteractionEvent)
+  clickThroughs: {
+    type: Number,
+    default: 0
+  },
+  // Reading time reports and their total, for average dwell time
+  dwellCount: {
+    type: Number,
+    default: 0
+  },
+  dwellSeconds: {
+    type: Number,
+    default: 0
+  },
   engagement: {
     type: Number,
     default: 0
   },
+  // Trending score per window, recomputed by the trending job; 0 when not trending
+  trendingScores: Object.fromEntries(
+    TRENDING_WINDOWS.map((window) => [window, { type: Number, default: 0 }])
+  ),
   isActive: {
     type: Boolean,
     default: true
@@ -244,33 +375,375 @@ postSchema.index({ author: 1 });
 postSchema.index({ categories: 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ engagement: -1 });
+TRENDING_WINDOWS.forEach((window) => {
+  postSchema.index({ [`trendingScores.${window}`]: -1, createdAt: -1 });
+});
 postSchema.index({ isActive: 1 });
 postSchema.index({ isNews: 1 });
+// Full-text search; a match in the title counts for more than one in the body
+postSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'post_text_search', weights: { title: 10, tags: 5, content: 1 }, default_language: 'english' }
+);
 
-// Virtual for like count
-postSchema.virtual('likeCount').get(function() {
-  return this.likes ? this.likes.length : 0;
-});
-
-// Virtual for comment count
-postSchema.virtual('commentCount').get(function() {
-  return this.comments ? this.comments.length : 0;
+// Virtual for total reactions of all types
+postSchema.virtual('reactionCount').get(function() {
+  const counts = this.reactionCounts || {};
+  return REACTION_TYPES.reduce((total, type) => total + (counts[type] || 0), 0);
 });
 
 // Calculate engagement score before saving
 postSchema.pre('save', function(next) {
-  const likes = this.likes ? this.likes.length : 0;
-  const comments = this.comments ? this.comments.length : 0;
+  const counts = this.reactionCounts || {};
+  const reactions = REACTION_TYPES.reduce(
+    (total, type) => total + (counts[type] || 0) * ENGAGEMENT_WEIGHTS.reactions[type],
+    0
+  );
+  const comments = this.commentCount || 0;
   const shares = this.shares || 0;
   const views = this.views || 0;
-  
-  // Engagement formula: likes * 3 + comments * 5 + shares * 7 + views * 0.1
-  this.engagement = (likes * 3) + (comments * 5) + (shares * 7) + (views * 0.1);
+
+  // Engagement formula: weighted reactions + comments * 5 + shares * 7 + views * 0.1
+  this.engagement = reactions +
+    (comments * ENGAGEMENT_WEIGHTS.comment) +
+    (shares * ENGAGEMENT_WEIGHTS.share) +
+    (views * ENGAGEMENT_WEIGHTS.view);
   next();
 });
 
+// The pre('save') formula as an aggregation expression, for pipeline updates
+const engagementExpression = {
+  $add: [
+    ...REACTION_TYPES.map((type) => ({
+      $multiply: [{ $ifNull: [`$reactionCounts.${type}`, 0] }, ENGAGEMENT_WEIGHTS.reactions[type]]
+    })),
+    { $multiply: [{ $ifNull: ['$commentCount', 0] }, ENGAGEMENT_WEIGHTS.comment] },
+    { $multiply: [{ $ifNull: ['$shares', 0] }, ENGAGEMENT_WEIGHTS.share] },
+    { $multiply: [{ $ifNull: ['$views', 0] }, ENGAGEMENT_WEIGHTS.view] }
+  ]
+};
+
+// Atomically add to counters (e.g. { commentCount: 1, 'reactionCounts.like': -1 })
+// and recompute engagement, so concurrent updates don't overwrite each other
+postSchema.statics.adjustCounters = function(postId, increments) {
+  const counters = {};
+  for (const [field, delta] of Object.entries(increments)) {
+    counters[field] = { $max: [0, { $add: [{ $ifNull: [`$${field}`, 0] }, delta] }] };
+  }
+
+  return this.findOneAndUpdate(
+    { _id: postId },
+    [{ $set: counters }, { $set: { engagement: engagementExpression } }],
+    { new: true }
+  );
+};
+
 const Post = mongoose.model('Post', postSchema);
 
+// models/Comment.js
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The comment this one replies to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  content: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    default: ''
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments that still have replies stay as an empty placeholder
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ user: 1 });
+
+commentSchema.virtual('edited').get(function() {
+  return Boolean(this.editedAt);
+});
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+// models/Reaction.js
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One reaction per user per post
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+reactionSchema.index({ user: 1 });
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+// models/ReadingList.js
+const readingListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [50, 'List name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+readingListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const ReadingList = mongoose.model('ReadingList', readingListSchema);
+
+// models/Bookmark.js
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Reading list the post is filed under; null leaves it in the general "Saved" list
+  list: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ReadingList',
+    default: null
+  },
+  // Order within the list, ascending
+  position: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  // Set the first time the user opens the post after saving it
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A post is saved once per user, in at most one list
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, list: 1, position: 1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+// models/Affinity.js
+// How much a user engages with a category or an author, learned from their
+// reactions, comments, views and digest clicks. Scores fade over time without
+// new interactions (see services/personalizationService.js).
+const affinitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['category', 'author'],
+    required: true
+  },
+  // A Category or User id, depending on kind
+  target: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  // When the score was last decayed and added to
+  scoredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+affinitySchema.index({ user: 1, kind: 1, target: 1 }, { unique: true });
+affinitySchema.index({ user: 1, kind: 1, score: -1 });
+
+const Affinity = mongoose.model('Affinity', affinitySchema);
+
+// models/SeenPost.js
+// Posts a user has opened, so personalized feeds can push them down. Entries
+// expire after 30 days.
+const seenPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  seenAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60
+  }
+});
+
+seenPostSchema.index({ user: 1, post: 1 }, { unique: true });
+seenPostSchema.index({ user: 1, seenAt: -1 });
+
+const SeenPost = mongoose.model('SeenPost', seenPostSchema);
+
+// models/RankedFeed.js
+// A personalized feed ranking, computed for its first page. Later pages are read
+// from it, so the order holds still while the user scrolls, even though their
+// affinities, the posts they have seen and engagement keep changing. Expires
+// after an hour.
+const rankedFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The feed filter the ranking was computed for
+  filterKey: {
+    type: String,
+    required: true
+  },
+  // The followed and learned categories used, to explain the ranking
+  profile: mongoose.Schema.Types.Mixed,
+  // Best first, with the signals behind each post's rank
+  entries: [{
+    _id: false,
+    post: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Post'
+    },
+    ranking: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60
+  }
+});
+
+rankedFeedSchema.index({ user: 1, filterKey: 1, createdAt: -1 });
+
+const RankedFeed = mongoose.model('RankedFeed', rankedFeedSchema);
+
+// models/InteractionEvent.js
+const INTERACTION_TYPES = ['view', 'dwell', 'share', 'click'];
+
+// Log of views, reading time, shares and click-throughs to a post's source. A
+// background job adds them up into the post counters, marking each event it
+// counted. Events expire after 90 days.
+const interactionEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INTERACTION_TYPES,
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Seconds on the page, for dwell events
+  seconds: {
+    type: Number,
+    default: null
+  },
+  // One event per type, post, viewer and dedupe window; a repeat fails the unique index
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  // The aggregation run that added the event to the post counters; null until then
+  countedBy: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60
+  }
+});
+
+interactionEventSchema.index({ dedupeKey: 1 }, { unique: true });
+interactionEventSchema.index({ createdAt: 1, type: 1 });
+interactionEventSchema.index({ countedBy: 1 });
+interactionEventSchema.index({ user: 1 });
+
+const InteractionEvent = mongoose.model('InteractionEvent', interactionEventSchema);
+
 // models/Contact.js
 const contactSchema = new mongoose.Schema({
   name: {
@@ -321,17 +794,27 @@ const emailDigestSchema = new mongoose.Schema({
   }],
   digestType: {
     type: String,
-    enum: ['daily', 'weekly', 'breaking'],
+    enum: ['daily', 'weekly', 'breaking', 'trending'],
     required: true
   },
+  // 'web' digests were generated on the digest page and have not been emailed
+  channel: {
+    type: String,
+    enum: ['email', 'web'],
+    default: 'email'
+  },
   sentAt: {
     type: Date,
     default: Date.now
   },
+  // End of the window the posts were picked from; the next digest of the same
+  // type starts here. A web digest that is emailed later keeps its window end.
+  windowEnd: Date,
   emailOpened: {
     type: Boolean,
     default: false
   },
+  openedAt: Date,
   clickedPosts: [{
     post: {
       type: mongoose.Schema.ObjectId,
@@ -347,13 +830,233 @@ const emailDigestSchema = new mongoose.Schema({
 });
 
 emailDigestSchema.index({ user: 1, sentAt: -1 });
+emailDigestSchema.index({ user: 1, createdAt: -1 });
+emailDigestSchema.index({ user: 1, digestType: 1, windowEnd: -1 });
 
 const EmailDigest = mongoose.model('EmailDigest', emailDigestSchema);
 
+// models/DataExport.js
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Archive file name inside the exports directory (never served statically)
+  filename: String,
+  size: Number,
+  // SHA-256 of the download token sent to the user; the token itself is not stored
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: Date,
+  completedAt: Date,
+  downloadedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+// models/Session.js
+// One document per login. The refresh token is rotated on every use and only the
+// hash of the current one is kept; presenting an older token revokes the session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token replaced by the latest rotation, still accepted for a few seconds
+  // so that parallel refresh requests from the same client don't look like reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'reuse', 'password-reset', 'password-change', 'account-deletion']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Sessions are removed once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// models/SiteSettings.js
+// A single document holding settings admins can change at runtime
+const siteSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'site',
+    unique: true
+  },
+  accountDeletion: {
+    gracePeriodDays: {
+      type: Number,
+      min: [0, 'Grace period cannot be negative'],
+      max: [90, 'Grace period cannot exceed 90 days'],
+      default: 14
+    },
+    // What happens to a deleted user's posts and comments
+    contentHandling: {
+      type: String,
+      enum: ['anonymize', 'delete'],
+      default: 'anonymize'
+    }
+  },
+  security: {
+    // Admins without two-factor authentication are kept out of admin routes
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: true
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const SiteSettings = mongoose.model('SiteSettings', siteSettingsSchema);
+
+// models/AuditLog.js
+// Append-only record of administrative changes
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Dotted action name, e.g. 'category.update'
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: mongoose.Schema.ObjectId,
+  // Field values before and after the change (only the fields that changed)
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// models/IdentityProvider.js
+// OpenID Connect provider users can log in with, configured by admins
+const identityProviderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Provider name is required'],
+    trim: true,
+    maxlength: [50, 'Provider name cannot exceed 50 characters']
+  },
+  // Used in the login and callback URLs
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  // Issuer URL; endpoints are discovered from <issuer>/.well-known/openid-configuration
+  issuer: {
+    type: String,
+    required: [true, 'Issuer is required'],
+    trim: true
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Client ID is required']
+  },
+  clientSecret: {
+    type: String,
+    required: [true, 'Client secret is required'],
+    select: false
+  },
+  scopes: {
+    type: String,
+    default: 'openid email profile'
+  },
+  // Create an account on first login when no user has the provider's email
+  allowSignup: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const IdentityProvider = mongoose.model('IdentityProvider', identityProviderSchema);
+
 module.exports = {
   User,
   Category,
   Post,
+  Comment,
+  Reaction,
+  REACTION_TYPES,
+  ENGAGEMENT_WEIGHTS,
+  TRENDING_WINDOWS,
+  ReadingList,
+  Bookmark,
+  Affinity,
+  SeenPost,
+  RankedFeed,
+  InteractionEvent,
+  INTERACTION_TYPES,
   Contact,
-  EmailDigest
+  EmailDigest,
+  DataExport,
+  SiteSettings,
+  AuditLog,
+  Session,
+  IdentityProvider
 };
\ No newline at end of file
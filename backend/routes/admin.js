@@ -1,9 +1,19 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
-const { User, Post, Category, Contact, EmailDigest } = require('../models');
+const { body, param, validationResult, query } = require('express-validator');
+const { User, Post, Category, Contact, EmailDigest, IdentityProvider } = require('../models');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { ROLE_PERMISSIONS, requirePermission } = require('../middleware/permissions');
 const newsService = require('../services/newsService');
 const emailService = require('../services/emailService');
+const digestService = require('../services/digestService');
+const digestTrackingService = require('../services/digestTrackingService');
+const settingsService = require('../services/settingsService');
+const auditService = require('../services/auditService');
+const loginSecurityService = require('../services/loginSecurityService');
+const oidcService = require('../services/oidcService');
+const postSerializer = require('../services/postSerializer');
+const searchService = require('../services/searchService');
+const feedService = require('../services/feedService');
 
 const router = express.Router();
 
@@ -102,6 +112,8 @@ router.get('/dashboard', async (req, res) => {
     const postGrowth = lastWeekPosts > 0 ? 
       ((weeklyPosts - lastWeekPosts) / lastWeekPosts * 100).toFixed(1) : 0;
 
+    const digestStats = await digestTrackingService.getAggregateStats({ days: 30 });
+
     res.json({
       status: 'success',
       data: {
@@ -129,8 +141,9 @@ router.get('/dashboard', async (req, res) => {
           avgInterestsPerUser: 0
         },
         topCategories,
+        digestStats,
         recentActivity: {
-          posts: recentPosts,
+          posts: await postSerializer.serializeMany(recentPosts, req.user),
           users: recentUsers
         }
       }
@@ -146,14 +159,15 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // @route   GET /api/admin/users
-// @desc    Get users with pagination and filtering
+// @desc    Get users with filtering, by page number or by cursor
 // @access  Admin
-router.get('/users', [
+router.get('/users', requirePermission('users:manage'), [
   query('page').optional().isInt({ min: 1 }),
+  query('cursor').optional().isString(),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('search').optional().isLength({ max: 100 }),
-  query('status').optional().isIn(['all', 'verified', 'unverified']),
-  query('role').optional().isIn(['all', 'user', 'admin'])
+  query('status').optional().isIn(['all', 'verified', 'unverified', 'locked']),
+  query('role').optional().isIn(['all', ...Object.keys(ROLE_PERMISSIONS)])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -166,8 +180,7 @@ router.get('/users', [
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const { search, status, role } = req.query;
+    const { search, status, role, cursor } = req.query;
 
     // Build query
     let query = {};
@@ -179,7 +192,9 @@ router.get('/users', [
       ];
     }
 
-    if (status && status !== 'all') {
+    if (status === 'locked') {
+      query['loginSecurity.lockedUntil'] = { $gt: new Date() };
+    } else if (status && status !== 'all') {
       query.isVerified = status === 'verified';
     }
 
@@ -187,25 +202,38 @@ router.get('/users', [
       query.role = role;
     }
 
-    const users = await User.find(query)
-      .select('-password')
-      .populate('interests', 'name color')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const result = await feedService.paginate(User, {
+      filter: query,
+      sort: { createdAt: -1 },
+      cursor,
+      page,
+      limit,
+      select: '-password',
+      populate: { path: 'interests', select: 'name color' }
+    });
 
-    const totalUsers = await User.countDocuments(query);
+    if (!result) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       status: 'success',
       data: {
-        users,
-        pagination: {
+        users: result.items,
+        pagination: cursor ? {
+          nextCursor: result.nextCursor,
+          hasNextPage: result.hasNextPage,
+          limit
+        } : {
           currentPage: page,
-          totalPages: Math.ceil(totalUsers / limit),
-          totalUsers,
-          hasNextPage: page < Math.ceil(totalUsers / limit),
-          hasPrevPage: page > 1
+          totalPages: Math.ceil(result.total / limit),
+          totalUsers: result.total,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor: result.nextCursor
         }
       }
     });
@@ -222,7 +250,7 @@ router.get('/users', [
 // @route   PUT /api/admin/users/:id/status
 // @desc    Update user verification status
 // @access  Admin
-router.put('/users/:id/status', [
+router.put('/users/:id/status', requirePermission('users:manage'), [
   body('isVerified').isBoolean().withMessage('isVerified must be a boolean')
 ], async (req, res) => {
   try {
@@ -269,13 +297,138 @@ router.put('/users/:id/status', [
   }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a lockout caused by failed login attempts
+// @access  Admin
+router.post('/users/:id/unlock', requirePermission('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const previousLockedUntil = user.loginSecurity.lockedUntil || null;
+    loginSecurityService.clearFailures(user);
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id,
+      before: { lockedUntil: previousLockedUntil },
+      after: { lockedUntil: null }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'User account unlocked successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          loginSecurity: user.loginSecurity
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/users/:id/role', requirePermission('users:manage'), [
+  body('role').isIn(Object.keys(ROLE_PERMISSIONS)).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id) && role !== 'admin') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'user.role.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'User role updated successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin update user role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // @route   GET /api/admin/posts
-// @desc    Get posts with admin filters
+// @desc    Get posts with admin filters, by page number or by cursor
 // @access  Admin
 router.get('/posts', [
   query('page').optional().isInt({ min: 1 }),
+  query('cursor').optional().isString(),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('search').optional().isLength({ max: 100 }),
+  query('search').optional().isLength({ max: 100 }).bail().custom((value) => searchService.hasTerms(value)),
   query('category').optional().isMongoId(),
   query('status').optional().isIn(['all', 'active', 'inactive']),
   query('type').optional().isIn(['all', 'text', 'image', 'link', 'news']),
@@ -292,17 +445,13 @@ router.get('/posts', [
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const { search, category, status, type, reported } = req.query;
+    const { search, category, status, type, reported, cursor } = req.query;
 
     // Build query
     let query = {};
 
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
+      Object.assign(query, searchService.textFilter(search));
     }
 
     if (category) {
@@ -321,26 +470,45 @@ router.get('/posts', [
       query.reportedBy = { $exists: true, $ne: [] };
     }
 
-    const posts = await Post.find(query)
-      .populate('author', 'name email profilePicture')
-      .populate('categories', 'name color')
-      .populate('reportedBy.user', 'name email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // Best matches first when searching, otherwise newest first
+    const { sort, computed } = feedService.getSort(search ? 'relevance' : 'recent');
+
+    const result = await feedService.paginate(Post, {
+      filter: query,
+      sort,
+      computed,
+      cursor,
+      page,
+      limit,
+      populate: [
+        { path: 'author', select: 'name email profilePicture' },
+        { path: 'categories', select: 'name color' },
+        { path: 'reportedBy.user', select: 'name email' }
+      ]
+    });
 
-    const totalPosts = await Post.countDocuments(query);
+    if (!result) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       status: 'success',
       data: {
-        posts,
-        pagination: {
+        posts: await postSerializer.serializeMany(result.items, req.user),
+        pagination: cursor ? {
+          nextCursor: result.nextCursor,
+          hasNextPage: result.hasNextPage,
+          limit
+        } : {
           currentPage: page,
-          totalPages: Math.ceil(totalPosts / limit),
-          totalPosts,
-          hasNextPage: page < Math.ceil(totalPosts / limit),
-          hasPrevPage: page > 1
+          totalPages: Math.ceil(result.total / limit),
+          totalPosts: result.total,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor: result.nextCursor
         }
       }
     });
@@ -403,56 +571,34 @@ router.put('/posts/:id/status', [
   }
 });
 
-// @route   GET /api/admin/categories
-// @desc    Get all categories
+// @route   POST /api/admin/news/fetch
+// @desc    Manually trigger news fetch
 // @access  Admin
-router.get('/categories', async (req, res) => {
+router.post('/news/fetch', async (req, res) => {
   try {
-    const categories = await Category.aggregate([
-      {
-        $lookup: {
-          from: 'posts',
-          localField: '_id',
-          foreignField: 'categories',
-          as: 'posts'
-        }
-      },
-      {
-        $addFields: {
-          postCount: { $size: '$posts' }
-        }
-      },
-      {
-        $project: {
-          posts: 0
-        }
-      },
-      { $sort: { name: 1 } }
-    ]);
-
+    const result = await newsService.fetchAndProcessNews();
+    
     res.json({
       status: 'success',
-      data: {
-        categories
-      }
+      message: 'News fetch completed',
+      data: result
     });
 
   } catch (error) {
-    console.error('Admin get categories error:', error);
+    console.error('Manual news fetch error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Internal server error'
+      message: 'Failed to fetch news'
     });
   }
 });
 
-// @route   POST /api/admin/categories
-// @desc    Create new category
+// @route   POST /api/admin/digests/run
+// @desc    Manually run a digest batch (dryRun previews recipients without sending)
 // @access  Admin
-router.post('/categories', [
-  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
-  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
-  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color')
+router.post('/digests/run', [
+  body('type').isIn(['daily', 'weekly']).withMessage('Type must be daily or weekly'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -463,40 +609,89 @@ router.post('/categories', [
       });
     }
 
-    const { name, description, color } = req.body;
-    
-    // Create slug from name
-    const slug = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    const { type } = req.body;
+    const dryRun = req.body.dryRun === undefined ? true : String(req.body.dryRun) === 'true';
+
+    const result = await digestService.sendDigests(type, { dryRun });
 
-    // Check if category already exists
-    const existingCategory = await Category.findOne({ 
-      $or: [{ name }, { slug }] 
+    res.json({
+      status: 'success',
+      message: dryRun ? 'Digest dry run completed' : 'Digest run completed',
+      data: result
     });
 
-    if (existingCategory) {
+  } catch (error) {
+    console.error('Manual digest run error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to run digests'
+    });
+  }
+});
+
+// @route   GET /api/admin/digests/stats
+// @desc    Open and click-through stats for digests sent in the last `days` days
+// @access  Admin
+router.get('/digests/stats', [
+  query('days').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         status: 'error',
-        message: 'Category with this name already exists'
+        errors: errors.array()
       });
     }
 
-    const category = await Category.create({
-      name,
-      slug,
-      description: description || '',
-      color: color || '#00A4EF'
+    const days = parseInt(req.query.days) || 30;
+    const stats = await digestTrackingService.getAggregateStats({ days });
+
+    res.json({
+      status: 'success',
+      data: {
+        stats
+      }
     });
 
-    res.status(201).json({
+  } catch (error) {
+    console.error('Admin digest stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/digests/:id/stats
+// @desc    Open and click stats for a single digest
+// @access  Admin
+router.get('/digests/:id/stats', async (req, res) => {
+  try {
+    const stats = await digestTrackingService.getDigestStats(req.params.id);
+
+    if (!stats) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Digest not found'
+      });
+    }
+
+    res.json({
       status: 'success',
-      message: 'Category created successfully',
       data: {
-        category
+        stats
       }
     });
 
   } catch (error) {
-    console.error('Admin create category error:', error);
+    console.error('Admin single digest stats error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Digest not found'
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -504,33 +699,73 @@ router.post('/categories', [
   }
 });
 
-// @route   POST /api/admin/news/fetch
-// @desc    Manually trigger news fetch
+// @route   GET /api/admin/email-templates
+// @desc    List email templates available for preview
 // @access  Admin
-router.post('/news/fetch', async (req, res) => {
+router.get('/email-templates', (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      templates: emailService.listTemplates()
+    }
+  });
+});
+
+// @route   GET /api/admin/email-templates/:name/preview
+// @desc    Render an email template with sample data (format=html returns the raw HTML page)
+// @access  Admin
+router.get('/email-templates/:name/preview', [
+  query('format').optional().isIn(['json', 'html', 'text'])
+], async (req, res) => {
   try {
-    const result = await newsService.fetchAndProcessNews();
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    if (!emailService.listTemplates().includes(name)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Email template not found'
+      });
+    }
+
+    const preview = emailService.previewTemplate(name);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(preview.html);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text').send(preview.text);
+    }
+
     res.json({
       status: 'success',
-      message: 'News fetch completed',
-      data: result
+      data: {
+        template: name,
+        ...preview
+      }
     });
 
   } catch (error) {
-    console.error('Manual news fetch error:', error);
+    console.error('Email template preview error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to fetch news'
+      message: 'Failed to render email template'
     });
   }
 });
 
 // @route   GET /api/admin/contacts
-// @desc    Get contact form submissions
+// @desc    Get contact form submissions, by page number or by cursor
 // @access  Admin
 router.get('/contacts', [
   query('page').optional().isInt({ min: 1 }),
+  query('cursor').optional().isString(),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('status').optional().isIn(['all', 'new', 'in-progress', 'resolved'])
 ], async (req, res) => {
@@ -545,31 +780,43 @@ router.get('/contacts', [
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const { status } = req.query;
+    const { status, cursor } = req.query;
 
     let query = {};
     if (status && status !== 'all') {
       query.status = status;
     }
 
-    const contacts = await Contact.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const result = await feedService.paginate(Contact, {
+      filter: query,
+      sort: { createdAt: -1 },
+      cursor,
+      page,
+      limit
+    });
 
-    const totalContacts = await Contact.countDocuments(query);
+    if (!result) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       status: 'success',
       data: {
-        contacts,
-        pagination: {
+        contacts: result.items,
+        pagination: cursor ? {
+          nextCursor: result.nextCursor,
+          hasNextPage: result.hasNextPage,
+          limit
+        } : {
           currentPage: page,
-          totalPages: Math.ceil(totalContacts / limit),
-          totalContacts,
-          hasNextPage: page < Math.ceil(totalContacts / limit),
-          hasPrevPage: page > 1
+          totalPages: Math.ceil(result.total / limit),
+          totalContacts: result.total,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor: result.nextCursor
         }
       }
     });
@@ -633,4 +880,390 @@ router.put('/contacts/:id/status', [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/admin/settings
+// @desc    Get site settings
+// @access  Admin
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await settingsService.get();
+
+    res.json({
+      status: 'success',
+      data: {
+        settings
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings
+// @desc    Update site settings
+// @access  Admin
+router.put('/settings', [
+  body('accountDeletion.gracePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Grace period must be between 0 and 90 days')
+    .toInt(),
+  body('accountDeletion.contentHandling')
+    .optional()
+    .isIn(['anonymize', 'delete'])
+    .withMessage('Content handling must be anonymize or delete'),
+  body('security.requireAdminTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requireAdminTwoFactor must be a boolean')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { accountDeletion = {}, security = {} } = req.body;
+    const before = (await settingsService.get()).toObject();
+
+    const settings = await settingsService.update({
+      accountDeletion: {
+        gracePeriodDays: accountDeletion.gracePeriodDays,
+        contentHandling: accountDeletion.contentHandling
+      },
+      security: {
+        requireAdminTwoFactor: security.requireAdminTwoFactor
+      }
+    }, req.user._id);
+
+    await auditService.record(req, {
+      action: 'settings.update',
+      targetType: 'SiteSettings',
+      targetId: settings._id,
+      before: { accountDeletion: before.accountDeletion, security: before.security },
+      after: { accountDeletion: settings.toObject().accountDeletion, security: settings.toObject().security }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Settings updated successfully',
+      data: {
+        settings
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin update settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+const PROVIDER_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Identity provider without its client secret
+const formatProvider = (provider) => ({
+  _id: provider._id,
+  name: provider.name,
+  slug: provider.slug,
+  issuer: provider.issuer,
+  clientId: provider.clientId,
+  scopes: provider.scopes,
+  allowSignup: provider.allowSignup,
+  isActive: provider.isActive,
+  redirectUri: oidcService.getRedirectUri(provider),
+  createdAt: provider.createdAt,
+  updatedAt: provider.updatedAt
+});
+
+const identityProviderValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+    body('slug').optional().matches(PROVIDER_SLUG_PATTERN).withMessage('Slug can only contain lowercase letters, numbers and dashes'),
+    field('issuer').trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Issuer must be an http(s) URL'),
+    field('clientId').trim().notEmpty().withMessage('Client ID is required'),
+    field('clientSecret').notEmpty().withMessage('Client secret is required'),
+    body('scopes').optional().trim().matches(/(^|\s)openid(\s|$)/).withMessage('Scopes must include openid'),
+    body('allowSignup').optional().isBoolean().withMessage('allowSignup must be a boolean').toBoolean(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+  ];
+};
+
+// The issuer has to serve a discovery document before a provider can be saved
+const checkIssuer = async (issuer) => {
+  try {
+    await oidcService.getDiscovery(issuer);
+    return null;
+  } catch (error) {
+    return `Could not load the OpenID configuration for this issuer: ${error.message}`;
+  }
+};
+
+// @route   GET /api/admin/identity-providers
+// @desc    Get external login providers
+// @access  Admin
+router.get('/identity-providers', async (req, res) => {
+  try {
+    const providers = await IdentityProvider.find().sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        providers: providers.map(formatProvider)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get identity providers error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/identity-providers
+// @desc    Add an OpenID Connect login provider
+// @access  Admin
+router.post('/identity-providers', identityProviderValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, issuer, clientId, clientSecret, scopes, allowSignup, isActive } = req.body;
+    const slug = req.body.slug || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    if (!PROVIDER_SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a slug for this provider'
+      });
+    }
+
+    if (await IdentityProvider.exists({ slug })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A provider with this slug already exists'
+      });
+    }
+
+    const issuerError = await checkIssuer(issuer);
+    if (issuerError) {
+      return res.status(400).json({
+        status: 'error',
+        message: issuerError
+      });
+    }
+
+    const provider = await IdentityProvider.create({
+      name, slug, issuer, clientId, clientSecret, scopes, allowSignup, isActive
+    });
+
+    await auditService.record(req, {
+      action: 'identityProvider.create',
+      targetType: 'IdentityProvider',
+      targetId: provider._id,
+      after: { name, slug, issuer, clientId, scopes: provider.scopes, allowSignup: provider.allowSignup, isActive: provider.isActive }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Identity provider created successfully',
+      data: {
+        provider: formatProvider(provider)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin create identity provider error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/identity-providers/:id
+// @desc    Update a login provider (leave clientSecret out to keep the current one)
+// @access  Admin
+router.put('/identity-providers/:id', [
+  param('id').isMongoId().withMessage('Invalid provider ID'),
+  ...identityProviderValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const provider = await IdentityProvider.findById(req.params.id);
+    if (!provider) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Identity provider not found'
+      });
+    }
+
+    // The slug is part of linked identities and the registered redirect URI, so it stays fixed
+    const fields = ['name', 'issuer', 'clientId', 'clientSecret', 'scopes', 'allowSignup', 'isActive'];
+    const before = formatProvider(provider);
+
+    if (req.body.issuer && req.body.issuer !== provider.issuer) {
+      const issuerError = await checkIssuer(req.body.issuer);
+      if (issuerError) {
+        return res.status(400).json({
+          status: 'error',
+          message: issuerError
+        });
+      }
+    }
+
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        provider[field] = req.body[field];
+      }
+    }
+    await provider.save();
+
+    const after = formatProvider(provider);
+    await auditService.record(req, {
+      action: 'identityProvider.update',
+      targetType: 'IdentityProvider',
+      targetId: provider._id,
+      before: { ...before, clientSecret: undefined, updatedAt: undefined },
+      after: { ...after, clientSecret: req.body.clientSecret ? '(changed)' : undefined, updatedAt: undefined }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Identity provider updated successfully',
+      data: {
+        provider: after
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin update identity provider error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/identity-providers/:id
+// @desc    Remove a login provider. Linked users keep their accounts and can still log in with a password.
+// @access  Admin
+router.delete('/identity-providers/:id', [
+  param('id').isMongoId().withMessage('Invalid provider ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const provider = await IdentityProvider.findByIdAndDelete(req.params.id);
+    if (!provider) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Identity provider not found'
+      });
+    }
+
+    await User.updateMany(
+      { 'identities.provider': provider.slug },
+      { $pull: { identities: { provider: provider.slug } } }
+    );
+
+    await auditService.record(req, {
+      action: 'identityProvider.delete',
+      targetType: 'IdentityProvider',
+      targetId: provider._id,
+      before: { name: provider.name, slug: provider.slug, issuer: provider.issuer }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Identity provider deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin delete identity provider error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Get audit log entries, newest first
+// @access  Admin
+router.get('/audit-log', requirePermission('audit:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('targetType').optional().isIn(['Category', 'User', 'SiteSettings', 'IdentityProvider']).withMessage('Invalid target type'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.targetType) {
+      filter.targetType = req.query.targetType;
+    }
+    if (req.query.actor) {
+      filter.actor = req.query.actor;
+    }
+
+    const result = await auditService.getEntries({
+      filter,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Admin get audit log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
-const { User } = require('../models');
-const { authMiddleware } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { User, Category, IdentityProvider } = require('../models');
+const { authMiddleware, isTokenRevoked, revokeTokens } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const oidcService = require('../services/oidcService');
+const settingsService = require('../services/settingsService');
+const loginSecurityService = require('../services/loginSecurityService');
+const passwordPolicyService = require('../services/passwordPolicyService');
 
 const router = express.Router();
 
@@ -26,6 +33,16 @@ const resendLimiter = rateLimit({
   }
 });
 
+// Code checks for signed-in users, counted per account
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per window
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    error: 'Too many authentication code attempts, please try again later.'
+  }
+});
+
 // Validation rules
 const registerValidation = [
   body('name')
@@ -39,10 +56,7 @@ const registerValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .custom(passwordPolicyService.validator()),
   body('gdprConsent')
     .equals('true')
     .withMessage('GDPR consent is required')
@@ -58,21 +72,120 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
-  );
-  
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE }
-  );
-  
-  return { accessToken, refreshToken };
+const MAGIC_LINK_EXPIRE_MINUTES = 15;
+const VERIFICATION_EXPIRE_HOURS = 24;
+const EMAIL_CHANGE_EXPIRE_HOURS = 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Give the user a new email verification token; returns the plain token for the link
+const createVerificationToken = (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  user.verificationToken = hashToken(verificationToken);
+  user.verificationExpires = Date.now() + VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000;
+  return verificationToken;
+};
+
+const REFRESH_COOKIE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Set refresh token as httpOnly cookie
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: REFRESH_COOKIE_MAX_AGE
+  });
+};
+
+// Response for a login attempt on an account locked after too many failures
+const sendLockedResponse = (res, lockedUntil) => {
+  res.status(423).json({
+    status: 'error',
+    message: `Too many failed login attempts. Your account is locked until ${lockedUntil.toUTCString()}.`,
+    lockedUntil
+  });
+};
+
+// Start a session once every login check has passed: cancel a pending account
+// deletion and set the refresh token cookie. Returns the access token.
+const startSession = async (req, res, user) => {
+  // Logging in during the grace period cancels a pending account deletion
+  const deletionCancelled = Boolean(user.deletionScheduledFor);
+  if (deletionCancelled) {
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+  }
+
+  // A successful login resets the failed-attempt count
+  loginSecurityService.clearFailures(user);
+
+  // Update last active
+  user.lastActive = new Date();
+  await user.save();
+
+  // Start a session and issue its tokens
+  const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+
+  // Email the user about logins from devices or IPs they haven't used before
+  await loginSecurityService.checkNewDevice(user, req);
+
+  return { accessToken, deletionCancelled };
+};
+
+// Finish a login: start a session and send its tokens along with the user
+const completeLogin = async (req, res, user, extraData = {}) => {
+  const { accessToken, deletionCancelled } = await startSession(req, res, user);
+
+  res.json({
+    status: 'success',
+    message: deletionCancelled
+      ? 'Login successful. Your scheduled account deletion has been cancelled.'
+      : 'Login successful',
+    data: {
+      accessToken,
+      deletionCancelled,
+      ...extraData,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        profilePicture: user.profilePicture,
+        bio: user.bio,
+        interests: user.interests,
+        role: user.role,
+        emailPreferences: user.emailPreferences,
+        twoFactorEnabled: user.twoFactor.enabled
+      }
+    }
+  });
+};
+
+// Map submitted interests (category IDs, names or slugs) to active category IDs,
+// dropping anything that doesn't match a category
+const resolveInterests = async (interests) => {
+  const values = (Array.isArray(interests) ? interests : [interests])
+    .filter((value) => typeof value === 'string' && value.trim())
+    .map((value) => value.trim());
+
+  if (values.length === 0) {
+    return [];
+  }
+
+  const ids = values.filter((value) => mongoose.isValidObjectId(value));
+  const names = values.map((value) => value.toLowerCase());
+
+  const categories = await Category.find({
+    isActive: true,
+    $or: [
+      { _id: { $in: ids } },
+      { slug: { $in: names } },
+      { name: { $in: values.map((value) => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')) } }
+    ]
+  }).select('_id');
+
+  return categories.map((category) => category._id);
 };
 
 // @route   POST /api/auth/register
@@ -100,19 +213,17 @@ router.post('/register', authLimiter, registerValidation, async (req, res) => {
       });
     }
 
-    // Generate email verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-
-    // Create user
-    const user = await User.create({
+    // Create user with an email verification token
+    const user = new User({
       name,
       email,
       password,
-      interests,
-      verificationToken,
+      interests: await resolveInterests(interests),
       gdprConsent: gdprConsent === 'true',
       gdprConsentDate: new Date()
     });
+    const verificationToken = createVerificationToken(user);
+    await user.save();
 
     // Send verification email
     try {
@@ -137,18 +248,705 @@ router.post('/register', authLimiter, registerValidation, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Registration error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during registration'
+    });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post('/login', authLimiter, loginValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Find user and include password for comparison
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Locked accounts can't log in even with the right password
+    if (loginSecurityService.isLocked(user)) {
+      return sendLockedResponse(res, user.loginSecurity.lockedUntil);
+    }
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      const { locked, lockedUntil } = await loginSecurityService.recordFailure(user);
+      if (locked) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if email is verified
+    if (!user.isVerified) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Please verify your email before logging in',
+        requiresVerification: true
+      });
+    }
+
+    // Accounts with two-factor authentication finish logging in at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        status: 'success',
+        message: 'Two-factor authentication code required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: twoFactorService.signChallengeToken(user._id)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+// @access  Public
+router.post('/login/2fa', authLimiter, [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().trim(),
+  body('recoveryCode').optional().trim(),
+  body().custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = twoFactorService.verifyChallengeToken(challengeToken);
+    const user = decoded && await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || isTokenRevoked(user, decoded)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge has expired, please log in again'
+      });
+    }
+
+    if (loginSecurityService.isLocked(user)) {
+      return sendLockedResponse(res, user.loginSecurity.lockedUntil);
+    }
+
+    if (!twoFactorService.verifyUser(user, { code, recoveryCode })) {
+      const { locked, lockedUntil } = await loginSecurityService.recordFailure(user);
+      if (locked) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      recoveryCodesRemaining: recoveryCode ? twoFactorService.remainingRecoveryCodes(user) : undefined
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use passwordless login link
+// @access  Public
+router.post('/magic-link', authLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const genericResponse = {
+      status: 'success',
+      message: 'If an account with that email exists, a login link has been sent.'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      // Don't reveal if user exists or not
+      return res.json(genericResponse);
+    }
+
+    // Only the hash is stored; requesting a new link replaces the previous one
+    const loginToken = crypto.randomBytes(32).toString('hex');
+    user.magicLinkToken = hashToken(loginToken);
+    user.magicLinkExpires = Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000;
+    await user.save();
+
+    try {
+      const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${loginToken}`;
+      await emailService.sendMagicLinkEmail(email, user.name, loginUrl, `${MAGIC_LINK_EXPIRE_MINUTES} minutes`);
+    } catch (emailError) {
+      console.error('Error sending magic link email:', emailError);
+      user.magicLinkToken = undefined;
+      user.magicLinkExpires = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to send login link'
+      });
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Log in with a magic link token (issues the same tokens as /login)
+// @access  Public
+router.post('/magic-link/verify', authLimiter, [
+  body('token').notEmpty().withMessage('Login token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hashedToken = hashToken(req.body.token);
+
+    // Clear the token in the same operation that finds it, so a link works only once
+    const user = await User.findOneAndUpdate(
+      { magicLinkToken: hashedToken, magicLinkExpires: { $gt: Date.now() } },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired login link'
+      });
+    }
+
+    // A link doesn't get around a lockout any more than a password does
+    if (loginSecurityService.isLocked(user)) {
+      return sendLockedResponse(res, user.loginSecurity.lockedUntil);
+    }
+
+    // Following a link sent to the address proves the user owns it
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.verificationToken = undefined;
+      user.verificationExpires = undefined;
+    }
+
+    // The link stands in for the password, not for the second factor
+    if (user.twoFactor.enabled) {
+      await user.save();
+      return res.json({
+        status: 'success',
+        message: 'Two-factor authentication code required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: twoFactorService.signChallengeToken(user._id)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during login'
+    });
+  }
+});
+
+const OIDC_STATE_COOKIE = 'oidcState';
+const OIDC_STATE_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+
+// Send the browser back to the frontend after an external login
+const redirectToFrontend = (res, params) => {
+  res.clearCookie(OIDC_STATE_COOKIE, { path: '/api/auth/oidc' });
+  res.redirect(`${process.env.FRONTEND_URL}/oidc-callback?${new URLSearchParams(params)}`);
+};
+
+// @route   GET /api/auth/providers
+// @desc    List the external identity providers users can log in with
+// @access  Public
+router.get('/providers', async (req, res) => {
+  try {
+    const providers = await IdentityProvider.find({ isActive: true }).select('name slug allowSignup').sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        providers: providers.map((provider) => ({
+          name: provider.name,
+          slug: provider.slug,
+          allowSignup: provider.allowSignup,
+          loginUrl: `${oidcService.apiUrl}/api/auth/oidc/${provider.slug}`
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get identity providers error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/:slug
+// @desc    Start logging in with an OpenID Connect provider (redirects to it).
+//          Signing up this way needs ?gdprConsent=true, as registering does.
+// @access  Public
+router.get('/oidc/:slug', async (req, res) => {
+  try {
+    const provider = await oidcService.getActiveProvider(req.params.slug);
+    if (!provider) {
+      return redirectToFrontend(res, { error: 'This login provider is not available' });
+    }
+
+    const { url, stateToken } = await oidcService.createAuthorizationRequest(provider, {
+      gdprConsent: req.query.gdprConsent === 'true'
+    });
+
+    // Lax, not strict: the cookie has to come back on the provider's redirect
+    res.cookie(OIDC_STATE_COOKIE, stateToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/oidc',
+      maxAge: OIDC_STATE_MAX_AGE
+    });
+    res.redirect(url);
+
+  } catch (error) {
+    console.error('OIDC login start error:', error);
+    redirectToFrontend(res, { error: 'Could not reach the login provider, please try again later' });
+  }
+});
+
+// @route   GET /api/auth/oidc/:slug/callback
+// @desc    Finish an OpenID Connect login; sets the refresh cookie and redirects to the frontend
+// @access  Public
+router.get('/oidc/:slug/callback', async (req, res) => {
+  try {
+    const provider = await oidcService.getActiveProvider(req.params.slug, { withSecret: true });
+    if (!provider) {
+      return redirectToFrontend(res, { error: 'This login provider is not available' });
+    }
+
+    if (req.query.error) {
+      return redirectToFrontend(res, { error: 'Login was cancelled or denied by the provider' });
+    }
+
+    const { nonce, codeVerifier, gdprConsent } = oidcService.verifyState(req.cookies[OIDC_STATE_COOKIE], provider, req.query.state);
+    const claims = await oidcService.getIdentity(provider, { code: req.query.code, nonce, codeVerifier });
+    const user = await oidcService.findOrCreateUser(provider, claims, { gdprConsent: gdprConsent === true });
+
+    if (!user) {
+      return redirectToFrontend(res, { error: 'No account exists for this email. Please register first.' });
+    }
+
+    if (loginSecurityService.isLocked(user)) {
+      return redirectToFrontend(res, { error: 'Your account is temporarily locked after too many failed login attempts' });
+    }
+
+    // The provider stands in for the password, not for the second factor
+    if (user.twoFactor.enabled) {
+      return redirectToFrontend(res, { challengeToken: twoFactorService.signChallengeToken(user._id) });
+    }
+
+    // The frontend picks up the access token through /refresh
+    const { deletionCancelled } = await startSession(req, res, user);
+    redirectToFrontend(res, deletionCancelled ? { deletionCancelled: 'true' } : {});
+
+  } catch (error) {
+    console.error('OIDC login callback error:', error);
+    redirectToFrontend(res, {
+      error: error instanceof oidcService.OidcError ? error.message : 'Login with this provider failed, please try again'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Refresh access token, rotating the refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.cookies;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token not found'
+      });
+    }
+
+    const result = await sessionService.refresh(refreshToken, req);
+    const user = result && await User.findById(result.userId);
+
+    if (!user || isTokenRevoked(user, jwt.decode(refreshToken))) {
+      res.clearCookie('refreshToken');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // A parallel request may already have rotated the token and set the new cookie
+    if (result.refreshToken) {
+      setRefreshCookie(res, result.refreshToken);
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        accessToken: result.accessToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(401).json({
+      status: 'error',
+      message: 'Invalid refresh token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await sessionService.revokeUserSession(req.user._id, req.sessionId, 'logout');
+    }
+
+    // Clear refresh token cookie
+    res.clearCookie('refreshToken');
+
+    res.json({
+      status: 'success',
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user._id);
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: Boolean(req.sessionId) && session._id.equals(req.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await sessionService.revokeUserSession(req.user._id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    if (req.sessionId && req.sessionId === req.params.id) {
+      res.clearCookie('refreshToken');
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions (exceptCurrent=true keeps this one)
+// @access  Private
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const keepCurrent = req.query.exceptCurrent === 'true' && req.sessionId;
+    const revokedCount = await sessionService.revokeAllSessions(
+      req.user._id,
+      'user',
+      keepCurrent ? req.sessionId : null
+    );
+
+    if (!keepCurrent) {
+      res.clearCookie('refreshToken');
+    }
+
+    res.json({
+      status: 'success',
+      message: keepCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions',
+      data: {
+        revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Whether the user's role forces two-factor authentication on
+const isTwoFactorRequired = async (user) => {
+  const settings = await settingsService.get();
+  return user.role === 'admin' && settings.security.requireAdminTwoFactor;
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      status: 'success',
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? twoFactorService.remainingRecoveryCodes(user) : 0,
+        required: await isTwoFactorRequired(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: generate a secret and the QR code for an authenticator app
+// @access  Private
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    user.twoFactor.pendingSecret = twoFactorService.encryptSecret(secret);
+    await user.save();
+
+    const otpauthUrl = twoFactorService.getOtpauthUrl(user.email, secret);
+
+    res.json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await twoFactorService.getQrCode(otpauthUrl)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns the recovery codes
+// @access  Private
+router.post('/2fa/enable', authMiddleware, twoFactorLimiter, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = twoFactorService.decryptSecret(user.twoFactor.pendingSecret);
+    const step = twoFactorService.verifyCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, records } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = records;
+    await user.save();
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Internal server error during registration'
+      message: 'Internal server error'
     });
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
-// @access  Public
-router.post('/login', authLimiter, loginValidation, async (req, res) => {
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (requires the password and a code)
+// @access  Private
+router.post('/2fa/disable', authMiddleware, twoFactorLimiter, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().trim(),
+  body('recoveryCode').optional().trim(),
+  body().custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -159,139 +957,95 @@ router.post('/login', authLimiter, loginValidation, async (req, res) => {
       });
     }
 
-    const { email, password } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Invalid credentials'
+        message: 'Two-factor authentication is not enabled'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Invalid credentials'
+        message: 'Two-factor authentication is required for admin accounts'
       });
     }
 
-    // Check if email is verified
-    if (!user.isVerified) {
+    const { password, code, recoveryCode } = req.body;
+    if (!(await user.comparePassword(password)) || !twoFactorService.verifyUser(user, { code, recoveryCode })) {
       return res.status(401).json({
         status: 'error',
-        message: 'Please verify your email before logging in',
-        requiresVerification: true
+        message: 'Invalid password or authentication code'
       });
     }
 
-    // Update last active
-    user.lastActive = new Date();
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
     await user.save();
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-
-    // Set refresh token as httpOnly cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
-
     res.json({
       status: 'success',
-      message: 'Login successful',
-      data: {
-        accessToken,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          profilePicture: user.profilePicture,
-          bio: user.bio,
-          interests: user.interests,
-          role: user.role,
-          emailPreferences: user.emailPreferences
-        }
-      }
+      message: 'Two-factor authentication disabled'
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor disable error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Internal server error during login'
+      message: 'Internal server error'
     });
   }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh access token
-// @access  Public
-router.post('/refresh', async (req, res) => {
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (requires a code from the app)
+// @access  Private
+router.post('/2fa/recovery-codes', authMiddleware, twoFactorLimiter, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
   try {
-    const { refreshToken } = req.cookies;
-
-    if (!refreshToken) {
-      return res.status(401).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Refresh token not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    if (!user) {
+    if (!twoFactorService.verifyUser(user, { code: req.body.code, allowRecovery: false })) {
       return res.status(401).json({
         status: 'error',
-        message: 'User not found'
+        message: 'Invalid authentication code'
       });
     }
 
-    // Generate new access token
-    const { accessToken } = generateTokens(user._id);
+    const { codes, records } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = records;
+    await user.save();
 
     res.json({
       status: 'success',
+      message: 'New recovery codes generated. The old codes no longer work.',
       data: {
-        accessToken
+        recoveryCodes: codes
       }
     });
 
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(401).json({
-      status: 'error',
-      message: 'Invalid refresh token'
-    });
-  }
-});
-
-// @route   POST /api/auth/logout
-// @desc    Logout user
-// @access  Private
-router.post('/logout', authMiddleware, async (req, res) => {
-  try {
-    // Clear refresh token cookie
-    res.clearCookie('refreshToken');
-
-    res.json({
-      status: 'success',
-      message: 'Logout successful'
-    });
-
-  } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Regenerate recovery codes error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Internal server error during logout'
+      message: 'Internal server error'
     });
   }
 });
@@ -303,7 +1057,10 @@ router.get('/verify-email/:token', async (req, res) => {
   try {
     const { token } = req.params;
 
-    const user = await User.findOne({ verificationToken: token });
+    const user = await User.findOne({
+      verificationToken: hashToken(token),
+      verificationExpires: { $gt: Date.now() }
+    });
     if (!user) {
       return res.status(400).json({
         status: 'error',
@@ -314,6 +1071,7 @@ router.get('/verify-email/:token', async (req, res) => {
     // Update user verification status
     user.isVerified = true;
     user.verificationToken = undefined;
+    user.verificationExpires = undefined;
     await user.save();
 
     res.json({
@@ -364,8 +1122,7 @@ router.post('/resend-verification', resendLimiter, [
     }
 
     // Generate new verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    user.verificationToken = verificationToken;
+    const verificationToken = createVerificationToken(user);
     await user.save();
 
     // Send verification email
@@ -394,6 +1151,176 @@ router.post('/resend-verification', resendLimiter, [
   }
 });
 
+// @route   POST /api/auth/email
+// @desc    Start changing the account email; the new address must be confirmed first
+// @access  Private
+router.post('/email', authMiddleware, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This is already your email address'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already in use'
+      });
+    }
+
+    const changeToken = crypto.randomBytes(32).toString('hex');
+    user.pendingEmail = email;
+    user.emailChangeToken = hashToken(changeToken);
+    user.emailChangeExpires = Date.now() + EMAIL_CHANGE_EXPIRE_HOURS * 60 * 60 * 1000;
+    await user.save();
+
+    try {
+      const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${changeToken}`;
+      await emailService.sendEmailChangeVerificationEmail(user, email, confirmUrl, `${EMAIL_CHANGE_EXPIRE_HOURS} hours`);
+    } catch (emailError) {
+      console.error('Error sending email change verification:', emailError);
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpires = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to send confirmation email'
+      });
+    }
+
+    // Let the current address know, in case someone else is behind the request
+    try {
+      await emailService.sendEmailChangeNoticeEmail(user, email);
+    } catch (emailError) {
+      console.error('Error sending email change notice:', emailError);
+    }
+
+    res.json({
+      status: 'success',
+      message: `We sent a confirmation link to ${email}. Your email will change once you confirm it.`,
+      data: {
+        pendingEmail: user.pendingEmail
+      }
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/email
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete('/email', authMiddleware, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpires: 1 } }
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Email change cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/email/confirm
+// @desc    Confirm the new address from the emailed link and switch to it
+// @access  Public
+router.post('/email/confirm', [
+  body('token').notEmpty().withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailChangeToken: hashToken(req.body.token),
+      emailChangeExpires: { $gt: Date.now() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired confirmation link'
+      });
+    }
+
+    // Someone may have registered the address since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already in use'
+      });
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    await user.save();
+
+    res.json({
+      status: 'success',
+      message: 'Your email address has been changed.',
+      data: {
+        email: user.email
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
@@ -464,11 +1391,7 @@ router.post('/forgot-password', authLimiter, [
 // @access  Public
 router.post('/reset-password', authLimiter, [
   body('token').notEmpty().withMessage('Reset token is required'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -497,12 +1420,25 @@ router.post('/reset-password', authLimiter, [
       });
     }
 
-    // Update password and clear reset token
+    // The policy needs the user's name and email, so it is checked once the user is known
+    const policyError = passwordPolicyService.check(password, user);
+    if (policyError) {
+      return res.status(400).json({
+        status: 'error',
+        message: policyError
+      });
+    }
+
+    // Update password, clear reset token, unlock the account and sign out everywhere
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    loginSecurityService.clearFailures(user);
+    revokeTokens(user);
     await user.save();
 
+    await sessionService.revokeAllSessions(user._id, 'password-reset');
+
     res.json({
       status: 'success',
       message: 'Password reset successfully. You can now log in with your new password.'
@@ -517,6 +1453,71 @@ router.post('/reset-password', authLimiter, [
   }
 });
 
+// @route   PUT /api/auth/password
+// @desc    Change password (requires the current one); signs out all other sessions
+// @access  Private
+router.put('/password', authLimiter, authMiddleware, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').notEmpty().withMessage('New password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    const policyError = passwordPolicyService.check(newPassword, user);
+    if (policyError) {
+      return res.status(400).json({
+        status: 'error',
+        message: policyError
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this session, end every other one
+    const revokedCount = await sessionService.revokeAllSessions(user._id, 'password-change', req.sessionId);
+
+    res.json({
+      status: 'success',
+      message: 'Password changed successfully. You have been signed out of all other sessions.',
+      data: {
+        revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -537,7 +1538,9 @@ router.get('/me', authMiddleware, async (req, res) => {
           role: user.role,
           emailPreferences: user.emailPreferences,
           lastActive: user.lastActive,
-          gdprConsent: user.gdprConsent
+          gdprConsent: user.gdprConsent,
+          twoFactorEnabled: user.twoFactor.enabled,
+          pendingEmail: user.pendingEmail
         }
       }
     });
@@ -0,0 +1,457 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Post, Bookmark, ReadingList } = require('../models');
+const { authMiddleware } = require('../middleware/auth');
+const bookmarkService = require('../services/bookmarkService');
+const postSerializer = require('../services/postSerializer');
+
+const router = express.Router();
+
+// Bookmarks and reading lists are always the current user's own
+router.use(authMiddleware);
+
+// null (or omitted) is the general "Saved" list
+const listIdValidation = body('listId')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('Invalid reading list ID');
+
+const noteValidation = body('note')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Note cannot exceed 500 characters');
+
+const listValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('List name must be between 1 and 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+// @route   GET /api/bookmarks/lists
+// @desc    Get the current user's reading lists with post counts
+// @access  Private
+router.get('/lists', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await bookmarkService.getLists(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Get reading lists error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/bookmarks/lists
+// @desc    Create a reading list
+// @access  Private
+router.post('/lists', listValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const list = await ReadingList.create({
+      user: req.user._id,
+      name: req.body.name,
+      description: req.body.description || ''
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Reading list created successfully',
+      data: { list }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You already have a reading list with this name'
+      });
+    }
+    console.error('Create reading list error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/bookmarks/lists/:id
+// @desc    Rename or describe a reading list
+// @access  Private
+router.put('/lists/:id', [
+  param('id').isMongoId().withMessage('Invalid reading list ID'),
+  ...listValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const list = await ReadingList.findOne({ _id: req.params.id, user: req.user._id });
+    if (!list) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reading list not found'
+      });
+    }
+
+    list.name = req.body.name;
+    if (req.body.description !== undefined) {
+      list.description = req.body.description;
+    }
+    await list.save();
+
+    res.json({
+      status: 'success',
+      message: 'Reading list updated successfully',
+      data: { list }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You already have a reading list with this name'
+      });
+    }
+    console.error('Update reading list error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/bookmarks/lists/:id
+// @desc    Delete a reading list; its posts stay saved outside any list
+// @access  Private
+router.delete('/lists/:id', [
+  param('id').isMongoId().withMessage('Invalid reading list ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const list = await ReadingList.findOne({ _id: req.params.id, user: req.user._id });
+    if (!list) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reading list not found'
+      });
+    }
+
+    await bookmarkService.deleteList(list);
+
+    res.json({
+      status: 'success',
+      message: 'Reading list deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete reading list error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/bookmarks
+// @desc    Get saved posts, optionally from one list (?list=<id>, or "saved" for posts in no list)
+// @access  Private
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('list')
+    .optional()
+    .custom((value) => value === 'all' || value === 'saved' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('Invalid reading list'),
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const list = req.query.list || 'all';
+
+    if (!['all', 'saved'].includes(list) && !(await bookmarkService.listExists(req.user._id, list))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reading list not found'
+      });
+    }
+
+    const { bookmarks, total } = await bookmarkService.getBookmarks(req.user, {
+      list,
+      unread: req.query.unread === true,
+      page,
+      limit
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        bookmarks,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalBookmarks: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/bookmarks
+// @desc    Save a post, optionally into a reading list
+// @access  Private
+router.post('/', [
+  body('postId').isMongoId().withMessage('Invalid post ID'),
+  listIdValidation,
+  noteValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const listId = req.body.listId || null;
+
+    const post = await Post.findOne({ _id: req.body.postId, isActive: true })
+      .populate('author', 'name profilePicture')
+      .populate('categories', 'name color slug');
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await bookmarkService.listExists(req.user._id, listId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reading list not found'
+      });
+    }
+
+    const { bookmark, created } = await bookmarkService.save(req.user._id, post._id, {
+      listId,
+      note: req.body.note || ''
+    });
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Post saved' : 'Post is already saved',
+      data: {
+        bookmark: {
+          ...bookmarkService.format(bookmark),
+          post: await postSerializer.serializeOne(post, req.user)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Save post error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/bookmarks/order
+// @desc    Reorder the saved posts in one list
+// @access  Private
+router.put('/order', [
+  listIdValidation,
+  body('bookmarkIds').isArray({ min: 1, max: 100 }).withMessage('Bookmark IDs must be an array of 1 to 100 IDs'),
+  body('bookmarkIds.*').isMongoId().withMessage('Invalid bookmark ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const listId = req.body.listId || null;
+
+    if (!(await bookmarkService.listExists(req.user._id, listId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reading list not found'
+      });
+    }
+
+    const reordered = await bookmarkService.reorder(req.user._id, listId, req.body.bookmarkIds);
+    if (!reordered) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bookmark IDs must be saved posts in this list, each listed once'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Saved posts reordered'
+    });
+
+  } catch (error) {
+    console.error('Reorder bookmarks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/bookmarks/:id
+// @desc    Move a saved post to another list, edit its note or mark it read/unread
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid bookmark ID'),
+  listIdValidation,
+  noteValidation,
+  body('read').optional().isBoolean().withMessage('Read must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bookmark = await Bookmark.findOne({ _id: req.params.id, user: req.user._id });
+    if (!bookmark) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bookmark not found'
+      });
+    }
+
+    const listId = req.body.listId === undefined ? undefined : req.body.listId || null;
+    if (listId !== undefined && !(await bookmarkService.listExists(req.user._id, listId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reading list not found'
+      });
+    }
+
+    await bookmarkService.update(bookmark, {
+      listId,
+      note: req.body.note,
+      read: req.body.read
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Bookmark updated successfully',
+      data: { bookmark: bookmarkService.format(bookmark) }
+    });
+
+  } catch (error) {
+    console.error('Update bookmark error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/bookmarks/:id
+// @desc    Remove a saved post
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid bookmark ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bookmark = await Bookmark.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!bookmark) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bookmark not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Post removed from saved'
+    });
+
+  } catch (error) {
+    console.error('Delete bookmark error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
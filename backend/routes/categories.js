@@ -1,16 +1,72 @@
 
 const express = require('express');
-const { Category } = require('../models');
+const { body, query, validationResult } = require('express-validator');
+const { Category, Post, User } = require('../models');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
+const { hasPermission, requirePermission } = require('../middleware/permissions');
+const feedService = require('../services/feedService');
+const postSerializer = require('../services/postSerializer');
+const auditService = require('../services/auditService');
 const router = express.Router();
 
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const categoryValidation = [
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Slug must be between 1 and 50 characters')
+    .matches(SLUG_PATTERN)
+    .withMessage('Slug can only contain lowercase letters, numbers and single hyphens'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color'),
+  // null gravity falls back to the default decay
+  body('trending.gravity').optional({ values: 'null' }).isFloat({ min: 0.5, max: 3 }).withMessage('Trending gravity must be between 0.5 and 3').toFloat(),
+  body('trending.boost').optional().isFloat({ min: 0, max: 5 }).withMessage('Trending boost must be between 0 and 5').toFloat()
+];
+
+const slugify = (name) => name.toLowerCase().trim().replace(/[^a-z0-9\s-]/g, '').replace(/[\s-]+/g, '-').replace(/^-|-$/g, '');
+
+// Fields recorded in audit entries
+const snapshot = (category) => ({
+  name: category.name,
+  slug: category.slug,
+  description: category.description,
+  color: category.color,
+  trending: { gravity: category.trending?.gravity ?? null, boost: category.trending?.boost ?? 1 },
+  isActive: category.isActive
+});
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({ status: 'success', message: 'Categories route ready' });
 });
 
-// Get all categories
-router.get('/', async (req, res) => {
+// Get all categories. Category managers can pass includeInactive=true to also
+// get deactivated categories, with post counts.
+router.get('/', optionalAuthMiddleware, async (req, res) => {
   try {
+    if (req.query.includeInactive === 'true') {
+      if (!hasPermission(req.user, 'categories:manage')) {
+        return res.status(403).json({ status: 'error', message: 'Access denied. You do not have permission to perform this action.' });
+      }
+      const categories = await Category.aggregate([
+        {
+          $lookup: {
+            from: 'posts',
+            localField: '_id',
+            foreignField: 'categories',
+            pipeline: [{ $project: { _id: 1 } }],
+            as: 'posts'
+          }
+        },
+        { $addFields: { postCount: { $size: '$posts' } } },
+        { $project: { posts: 0 } },
+        { $sort: { name: 1 } }
+      ]);
+      return res.json({ status: 'success', data: { categories } });
+    }
     const categories = await Category.find({ isActive: true }).sort('name');
     res.json({ status: 'success', data: { categories } });
   } catch (error) {
@@ -31,59 +87,204 @@ router.get('/:slug', async (req, res) => {
   }
 });
 
+// Get a category's post feed (cursor paginated) with category stats
+router.get('/:slug/posts', optionalAuthMiddleware, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sortBy').optional().isIn(feedService.sortOptions).withMessage('Invalid sort option'),
+  query('source').optional().isIn(['all', 'news', 'user']).withMessage('Source must be all, news or user'),
+  query('cursor').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+    }
+
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true });
+    if (!category) {
+      return res.status(404).json({ status: 'error', message: 'Category not found' });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const { sortBy = 'recent', source = 'all', cursor } = req.query;
+
+    const filter = { isActive: true, categories: category._id };
+    if (source !== 'all') {
+      filter.isNews = source === 'news';
+    }
+
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [page, postCount, followerCount, postsThisWeek] = await Promise.all([
+      feedService.getPostsPage({ filter, sortBy, cursor, limit }),
+      Post.countDocuments({ isActive: true, categories: category._id }),
+      User.countDocuments({ interests: category._id }),
+      Post.countDocuments({ isActive: true, categories: category._id, createdAt: { $gte: weekAgo } })
+    ]);
+
+    if (!page) {
+      return res.status(400).json({ status: 'error', message: 'Invalid cursor' });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        category,
+        stats: { postCount, followerCount, postsThisWeek },
+        posts: await postSerializer.serializeMany(page.posts, req.user),
+        pagination: {
+          nextCursor: page.nextCursor,
+          hasNextPage: page.hasNextPage,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get category posts error:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to fetch category posts' });
+  }
+});
+
 // Create a new category
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePermission('categories:manage'), [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  ...categoryValidation
+], async (req, res) => {
   try {
-    const { name, slug, description, color } = req.body;
-    if (!name || !slug) {
-      return res.status(400).json({ status: 'error', message: 'Name and slug are required' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
     }
-    const exists = await Category.findOne({ slug });
+    const { name, description, color, trending } = req.body;
+    const slug = req.body.slug || slugify(name);
+    if (!SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({ status: 'error', message: 'Could not create a valid slug from this name, please provide one' });
+    }
+    const exists = await Category.findOne({ $or: [{ name }, { slug }] });
     if (exists) {
-      return res.status(400).json({ status: 'error', message: 'Category with this slug already exists' });
+      return res.status(400).json({ status: 'error', message: 'Category with this name or slug already exists' });
     }
-    const category = await Category.create({ name, slug, description, color });
-    res.status(201).json({ status: 'success', data: { category } });
+    const category = await Category.create({
+      name,
+      slug,
+      description: description || '',
+      color: color || '#00A4EF',
+      trending: { gravity: trending?.gravity ?? null, boost: trending?.boost ?? 1 }
+    });
+    await auditService.record(req, {
+      action: 'category.create',
+      targetType: 'Category',
+      targetId: category._id,
+      after: snapshot(category)
+    });
+    res.status(201).json({ status: 'success', message: 'Category created successfully', data: { category } });
   } catch (error) {
+    console.error('Create category error:', error);
     res.status(500).json({ status: 'error', message: 'Failed to create category' });
   }
 });
 
 // Update a category
-router.put('/:slug', async (req, res) => {
+router.put('/:slug', authMiddleware, requirePermission('categories:manage'), [
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  ...categoryValidation
+], async (req, res) => {
   try {
-    const { name, description, color, isActive } = req.body;
-    const category = await Category.findOneAndUpdate(
-      { slug: req.params.slug },
-      { name, description, color, isActive },
-      { new: true, runValidators: true }
-    );
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+    }
+    const category = await Category.findOne({ slug: req.params.slug });
     if (!category) {
       return res.status(404).json({ status: 'error', message: 'Category not found' });
     }
-    res.json({ status: 'success', data: { category } });
+    const { name, slug, description, color, isActive, trending } = req.body;
+    if ((name && name !== category.name) || (slug && slug !== category.slug)) {
+      const exists = await Category.findOne({
+        _id: { $ne: category._id },
+        $or: [{ name: name || category.name }, { slug: slug || category.slug }]
+      });
+      if (exists) {
+        return res.status(400).json({ status: 'error', message: 'Category with this name or slug already exists' });
+      }
+    }
+    const before = snapshot(category);
+    const updates = { name, slug, description, color, isActive };
+    for (const [key, value] of Object.entries(updates)) {
+      if (value !== undefined) {
+        category[key] = value;
+      }
+    }
+    if (trending) {
+      if (trending.gravity !== undefined) category.trending.gravity = trending.gravity;
+      if (trending.boost !== undefined) category.trending.boost = trending.boost;
+    }
+    await category.save();
+    await auditService.record(req, {
+      action: 'category.update',
+      targetType: 'Category',
+      targetId: category._id,
+      before,
+      after: snapshot(category)
+    });
+    res.json({ status: 'success', message: 'Category updated successfully', data: { category } });
   } catch (error) {
+    console.error('Update category error:', error);
     res.status(500).json({ status: 'error', message: 'Failed to update category' });
   }
 });
 
 // Delete (deactivate) a category
-router.delete('/:slug', async (req, res) => {
+router.delete('/:slug', authMiddleware, requirePermission('categories:manage'), async (req, res) => {
   try {
-    const category = await Category.findOneAndUpdate(
-      { slug: req.params.slug },
-      { isActive: false },
-      { new: true }
-    );
+    const category = await Category.findOne({ slug: req.params.slug });
     if (!category) {
       return res.status(404).json({ status: 'error', message: 'Category not found' });
     }
+    const before = snapshot(category);
+    category.isActive = false;
+    await category.save();
+    await auditService.record(req, {
+      action: 'category.deactivate',
+      targetType: 'Category',
+      targetId: category._id,
+      before,
+      after: snapshot(category)
+    });
     res.json({ status: 'success', message: 'Category deactivated', data: { category } });
   } catch (error) {
+    console.error('Delete category error:', error);
     res.status(500).json({ status: 'error', message: 'Failed to delete category' });
   }
 });
 
+// Get the audit history of a category
+router.get('/:slug/audit', authMiddleware, requirePermission('categories:manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+    }
+    const category = await Category.findOne({ slug: req.params.slug });
+    if (!category) {
+      return res.status(404).json({ status: 'error', message: 'Category not found' });
+    }
+    const result = await auditService.getEntries({
+      filter: { targetType: 'Category', targetId: category._id },
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+    res.json({ status: 'success', data: result });
+  } catch (error) {
+    console.error('Get category audit error:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to fetch category history' });
+  }
+});
+
 module.exports = router;
 
 
@@ -1,26 +1,349 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const { EmailDigest } = require('../models');
+const { authMiddleware } = require('../middleware/auth');
+const digestService = require('../services/digestService');
+const emailService = require('../services/emailService');
+const digestTrackingService = require('../services/digestTrackingService');
+const postSerializer = require('../services/postSerializer');
+
 const router = express.Router();
 
+const DIGEST_TYPES = ['daily', 'weekly', 'trending'];
+
+// Limit on-demand digest emails per user rather than per IP
+const sendEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 digest emails per hour
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    error: 'Too many digest emails requested, please try again later.'
+  }
+});
+
+const digestPopulate = {
+  path: 'posts',
+  match: { isActive: true },
+  populate: [
+    { path: 'author', select: 'name profilePicture' },
+    { path: 'categories', select: 'name color slug' }
+  ]
+};
+
 router.get('/health', (req, res) => {
   res.json({ status: 'success', message: 'Digest route ready' });
 });
 
+// @route   GET /api/digest/track/open/:digestId.gif
+// @desc    Tracking pixel embedded in digest emails; records the open
+// @access  Public (signed link)
+router.get('/track/open/:digestId.gif', [
+  param('digestId').isMongoId()
+], async (req, res) => {
+  try {
+    const { digestId } = req.params;
+    if (validationResult(req).isEmpty() && digestTrackingService.verify(req.query.sig, digestId)) {
+      await digestTrackingService.recordOpen(digestId);
+    }
+  } catch (error) {
+    console.error('Digest open tracking error:', error);
+  }
+
+  // Always answer with the pixel so the email renders normally
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(digestTrackingService.pixel);
+});
+
+// @route   GET /api/digest/track/click/:digestId/:postId
+// @desc    Click-through link in digest emails; records the click and redirects to the post
+// @access  Public (signed link)
+router.get('/track/click/:digestId/:postId', [
+  param('digestId').isMongoId(),
+  param('postId').isMongoId()
+], async (req, res) => {
+  const { digestId, postId } = req.params;
+
+  if (!validationResult(req).isEmpty()) {
+    return res.redirect(process.env.FRONTEND_URL);
+  }
+
+  try {
+    if (digestTrackingService.verify(req.query.sig, digestId, postId)) {
+      await digestTrackingService.recordClick(digestId, postId);
+    }
+  } catch (error) {
+    console.error('Digest click tracking error:', error);
+  }
+
+  res.redirect(`${process.env.FRONTEND_URL}/post/${postId}`);
+});
+
+// All digest endpoints below act on the current user
+router.use(authMiddleware);
+
+// @route   GET /api/digest/archive
+// @desc    Get the current user's past digests
+// @access  Private
+router.get('/archive', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('type').optional().isIn(DIGEST_TYPES).withMessage('Invalid digest type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    if (req.query.type) {
+      filter.digestType = req.query.type;
+    }
+
+    const [digests, totalDigests] = await Promise.all([
+      EmailDigest.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('digestType channel sentAt emailOpened posts createdAt')
+        .lean(),
+      EmailDigest.countDocuments(filter)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        digests: digests.map(({ posts, ...digest }) => ({
+          ...digest,
+          postCount: posts.length
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalDigests / limit),
+          totalDigests,
+          hasNextPage: page < Math.ceil(totalDigests / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get digest archive error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/digest/archive/:id
+// @desc    Get a single past digest with its posts
+// @access  Private
+router.get('/archive/:id', [
+  param('id').isMongoId().withMessage('Invalid digest ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const digest = await EmailDigest.findOne({ _id: req.params.id, user: req.user._id })
+      .populate(digestPopulate);
+
+    if (!digest) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Digest not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        digest,
+        posts: await postSerializer.serializeMany(digest.posts, req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get archived digest error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/digest/generate
+// @desc    Build a personalized digest for the current user
+// @access  Private
+router.post('/generate', [
+  body('type').isIn(DIGEST_TYPES).withMessage('Invalid digest type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const digest = await digestService.generateDigest(req.user, req.body.type);
+
+    if (!digest) {
+      return res.json({
+        status: 'success',
+        message: 'No new posts for this digest yet',
+        data: {
+          digest: null,
+          posts: []
+        }
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Digest generated successfully',
+      data: {
+        digest,
+        posts: await postSerializer.serializeMany(digest.posts, req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Generate digest error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate digest'
+    });
+  }
+});
+
+// @route   POST /api/digest/send-email
+// @desc    Email a digest to the current user (latest of `type` unless `digestId` is given)
+// @access  Private
+router.post('/send-email', sendEmailLimiter, [
+  body('digestId').optional().isMongoId().withMessage('Invalid digest ID'),
+  body('type').optional().isIn(DIGEST_TYPES).withMessage('Invalid digest type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { digestId, type } = req.body;
+    if (!digestId && !type) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Digest ID or digest type is required'
+      });
+    }
+
+    const filter = { user: req.user._id };
+    if (digestId) {
+      filter._id = digestId;
+    } else {
+      filter.digestType = type;
+    }
+
+    const digest = await EmailDigest.findOne(filter)
+      .sort({ createdAt: -1 })
+      .populate(digestPopulate);
+
+    if (!digest) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Digest not found'
+      });
+    }
+
+    if (digest.posts.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This digest has no posts left to send'
+      });
+    }
 
-router.post('/generate', async (req, res) => {
-  const { userId, digestType } = req.body;
-  if (!userId || !digestType) {
-    return res.status(400).json({ status: 'error', message: 'User ID and digest type are required' });
+    await emailService.sendDigestEmail(req.user, digest.posts, digest.digestType, digest);
+
+    res.json({
+      status: 'success',
+      message: 'Digest sent to your email',
+      data: {
+        digestId: digest._id,
+        sentAt: digest.sentAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Send digest email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send digest email'
+    });
   }
-  
+});
+
+// @route   GET /api/digest/:type
+// @desc    Get the current user's latest digest of the given type
+// @access  Private
+router.get('/:type', [
+  param('type').isIn(DIGEST_TYPES).withMessage('Invalid digest type')
+], async (req, res) => {
   try {
-    // Logic to generate digest based on user preferences and posts
-    // This is a placeholder for actual implementation
-    const digest = await EmailDigest.create({ user: userId, digestType });
-    
-    res.status(201).json({ status: 'success', data: { digest } });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const digest = await EmailDigest.findOne({ user: req.user._id, digestType: req.params.type })
+      .sort({ createdAt: -1 })
+      .populate(digestPopulate);
+
+    res.json({
+      status: 'success',
+      data: {
+        digest,
+        posts: digest ? await postSerializer.serializeMany(digest.posts, req.user) : null
+      }
+    });
+
   } catch (error) {
-    res.status(500).json({ status: 'error', message: 'Failed to generate digest' });
+    console.error('Get digest error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
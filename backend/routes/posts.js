@@ -1,32 +1,23 @@
 const express = require('express');
-const multer = require('multer');
-const sharp = require('sharp');
-const path = require('path');
-const fs = require('fs').promises;
-const { body, validationResult, query } = require('express-validator');
-const { Post, Category, User } = require('../models');
+const { body, validationResult, query, param } = require('express-validator');
+const { Post, Category, User, Comment, REACTION_TYPES } = require('../models');
 const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
 const newsService = require('../services/newsService');
+const imageService = require('../services/imageService');
+const commentService = require('../services/commentService');
+const reactionService = require('../services/reactionService');
+const bookmarkService = require('../services/bookmarkService');
+const searchService = require('../services/searchService');
+const feedService = require('../services/feedService');
+const trendingService = require('../services/trendingService');
+const personalizationService = require('../services/personalizationService');
+const interactionService = require('../services/interactionService');
+const postSerializer = require('../services/postSerializer');
 const xss = require('xss');
 
 const router = express.Router();
 
-// Multer configuration for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
-  },
-  fileFilter: (req, file, cb) => {
-    // Check if file is an image
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  }
-});
+const upload = imageService.upload;
 
 // Validation rules
 const createPostValidation = [
@@ -66,36 +57,9 @@ const commentValidation = [
     .withMessage('Comment must be between 1 and 1000 characters')
 ];
 
-// Helper function to ensure upload directory exists
-const ensureUploadDir = async () => {
-  const uploadDir = path.join(__dirname, '..', 'uploads', 'posts');
-  try {
-    await fs.access(uploadDir);
-  } catch {
-    await fs.mkdir(uploadDir, { recursive: true });
-  }
-  return uploadDir;
-};
-
-// Process and save image
-const processAndSaveImage = async (buffer, filename) => {
-  const uploadDir = await ensureUploadDir();
-  const filepath = path.join(uploadDir, filename);
-  
-  // Process image with sharp
-  await sharp(buffer)
-    .resize(1200, 800, { 
-      fit: 'inside',
-      withoutEnlargement: true 
-    })
-    .jpeg({ 
-      quality: 85,
-      progressive: true 
-    })
-    .toFile(filepath);
-  
-  return `/uploads/posts/${filename}`;
-};
+const commentIdValidation = [
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+];
 
 // Extract link metadata
 const extractLinkMetadata = async (url) => {
@@ -118,15 +82,35 @@ const extractLinkMetadata = async (url) => {
 };
 
 // @route   GET /api/posts
-// @desc    Get posts with pagination and filtering
+// @desc    Get a cursor-paginated post feed with filtering. Pass the previous
+//          response's nextCursor as `cursor` for the next page. Signed-in users
+//          get sortBy=personalized by default, with an explanation on each post;
+//          its first page reuses a ranking from the last few minutes unless
+//          refresh=true is passed.
 // @access  Public/Private (optional auth)
 router.get('/', optionalAuthMiddleware, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('cursor').optional().isString(),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('refresh').optional().isBoolean().withMessage('refresh must be a boolean'),
   query('category').optional().isMongoId().withMessage('Invalid category ID'),
   query('author').optional().isMongoId().withMessage('Invalid author ID'),
-  query('search').optional().isLength({ max: 100 }).withMessage('Search query too long'),
-  query('sortBy').optional().isIn(['recent', 'popular', 'trending']).withMessage('Invalid sort option')
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long')
+    .bail()
+    .custom((value) => searchService.hasTerms(value))
+    .withMessage('Search must include at least one word or phrase that is not excluded'),
+  query('sortBy')
+    .optional()
+    .isIn([...feedService.sortOptions, 'relevance', 'personalized'])
+    .withMessage('Invalid sort option')
+    .bail()
+    .custom((value, { req }) => value !== 'relevance' || Boolean(req.query.search))
+    .withMessage('Sorting by relevance needs a search query')
+    .bail()
+    .custom((value, { req }) => value !== 'personalized' || Boolean(req.user))
+    .withMessage('Sign in to get a personalized feed')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -138,115 +122,50 @@ router.get('/', optionalAuthMiddleware, [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const { category, author, search, sortBy = 'recent' } = req.query;
+    const { category, author, search, cursor } = req.query;
+    // Signed-in users get their personalized ranking unless they pick another order
+    const sortBy = req.query.sortBy || (req.user ? 'personalized' : 'recent');
 
     // Build query
-    let query = { isActive: true };
+    const filter = { isActive: true };
 
     if (category) {
-      query.categories = category;
+      filter.categories = category;
     }
 
     if (author) {
-      query.author = author;
+      filter.author = author;
     }
 
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    // Build sort
-    let sort = {};
-    switch (sortBy) {
-      case 'popular':
-        sort = { engagement: -1, createdAt: -1 };
-        break;
-      case 'trending':
-        // Posts with high engagement in last 24 hours
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        query.createdAt = { $gte: yesterday };
-        sort = { engagement: -1, createdAt: -1 };
-        break;
-      default: // 'recent'
-        sort = { createdAt: -1 };
-    }
-
-    // If user is authenticated, personalize results
-    if (req.user && req.user.interests.length > 0) {
-      const userInterests = req.user.interests.map(interest => interest._id);
-      
-      // Boost posts in user's interests
-      const pipeline = [
-        { $match: query },
-        {
-          $addFields: {
-            relevanceScore: {
-              $cond: {
-                if: { $setIsSubset: [userInterests, "$categories"] },
-                then: 2, // Boost posts in user's interests
-                else: 1
-              }
-            }
-          }
-        },
-        { $sort: { relevanceScore: -1, ...sort } },
-        { $skip: skip },
-        { $limit: limit }
-      ];
-
-      const posts = await Post.aggregate(pipeline);
-      const populatedPosts = await Post.populate(posts, [
-        { path: 'author', select: 'name profilePicture' },
-        { path: 'categories', select: 'name color slug' },
-        { path: 'comments.user', select: 'name profilePicture' }
-      ]);
-
-      const totalPosts = await Post.countDocuments(query);
-
-      return res.json({
-        status: 'success',
-        data: {
-          posts: populatedPosts,
-          pagination: {
-            currentPage: page,
-            totalPages: Math.ceil(totalPosts / limit),
-            totalPosts,
-            hasNextPage: page < Math.ceil(totalPosts / limit),
-            hasPrevPage: page > 1
-          }
-        }
-      });
+      Object.assign(filter, searchService.textFilter(search));
     }
 
-    // Default query for non-authenticated users
-    const posts = await Post.find(query)
-      .populate('author', 'name profilePicture')
-      .populate('categories', 'name color slug')
-      .populate('comments.user', 'name profilePicture')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+    const page = await feedService.getPostsPage({
+      filter,
+      sortBy,
+      cursor,
+      limit,
+      viewer: req.user,
+      refresh: req.query.refresh === 'true'
+    });
 
-    const totalPosts = await Post.countDocuments(query);
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       status: 'success',
       data: {
-        posts,
+        posts: await postSerializer.serializeMany(page.posts, req.user),
         pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalPosts / limit),
-          totalPosts,
-          hasNextPage: page < Math.ceil(totalPosts / limit),
-          hasPrevPage: page > 1
+          nextCursor: page.nextCursor,
+          hasNextPage: page.hasNextPage,
+          limit
         }
       }
     });
@@ -267,8 +186,7 @@ router.get('/:id', optionalAuthMiddleware, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate('author', 'name profilePicture bio')
-      .populate('categories', 'name color slug')
-      .populate('comments.user', 'name profilePicture');
+      .populate('categories', 'name color slug');
 
     if (!post || !post.isActive) {
       return res.status(404).json({
@@ -277,14 +195,18 @@ router.get('/:id', optionalAuthMiddleware, async (req, res) => {
       });
     }
 
-    // Increment view count
-    post.views += 1;
-    await post.save();
+    // Counted into post.views by the interaction aggregation job
+    await interactionService.record(req, post, 'view');
+
+    if (req.user) {
+      await bookmarkService.markRead(req.user._id, post._id);
+      await personalizationService.recordView(req.user._id, post);
+    }
 
     res.json({
       status: 'success',
       data: {
-        post
+        post: await postSerializer.serializeOne(post, req.user)
       }
     });
 
@@ -367,8 +289,7 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
         mimetype: req.file.mimetype,
         type: req.body.type
       });
-      const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}.jpg`;
-      postData.image = await processAndSaveImage(req.file.buffer, filename);
+      postData.image = await imageService.processAndSaveImage(req.file.buffer, imageService.generateFilename());
       postData.type = 'image';
       console.log('Image processed and saved:', postData.image);
     }
@@ -411,7 +332,7 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
       status: 'success',
       message: 'Post created successfully',
       data: {
-        post
+        post: await postSerializer.serializeOne(post, req.user)
       }
     });
 
@@ -474,17 +395,9 @@ router.put('/:id', authMiddleware, upload.single('image'), createPostValidation,
     // Handle image upload
     if (req.file && type === 'image') {
       // Delete old image if exists
-      if (post.image) {
-        try {
-          const oldImagePath = path.join(__dirname, '..', post.image);
-          await fs.unlink(oldImagePath);
-        } catch (deleteError) {
-          console.log('Could not delete old image:', deleteError);
-        }
-      }
+      await imageService.deleteImage(post.image);
 
-      const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}.jpg`;
-      post.image = await processAndSaveImage(req.file.buffer, filename);
+      post.image = await imageService.processAndSaveImage(req.file.buffer, imageService.generateFilename());
     }
 
     // Handle link posts
@@ -503,7 +416,7 @@ router.put('/:id', authMiddleware, upload.single('image'), createPostValidation,
       status: 'success',
       message: 'Post updated successfully',
       data: {
-        post
+        post: await postSerializer.serializeOne(post, req.user)
       }
     });
 
@@ -549,14 +462,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     await post.save();
 
     // Delete image file if exists
-    if (post.image) {
-      try {
-        const imagePath = path.join(__dirname, '..', post.image);
-        await fs.unlink(imagePath);
-      } catch (deleteError) {
-        console.log('Could not delete image file:', deleteError);
-      }
-    }
+    await imageService.deleteImage(post.image);
 
     res.json({
       status: 'success',
@@ -578,11 +484,22 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// @route   POST /api/posts/:id/like
-// @desc    Like/unlike post
+// @route   PUT /api/posts/:id/reaction
+// @desc    React to post (replaces any earlier reaction of the user)
 // @access  Private
-router.post('/:id/like', authMiddleware, async (req, res) => {
+router.put('/:id/reaction', authMiddleware, [
+  body('type').isIn(REACTION_TYPES).withMessage(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const post = await Post.findById(req.params.id);
 
     if (!post || !post.isActive) {
@@ -592,32 +509,130 @@ router.post('/:id/like', authMiddleware, async (req, res) => {
       });
     }
 
-    const userId = req.user._id;
-    const existingLikeIndex = post.likes.findIndex(
-      like => like.user.toString() === userId.toString()
-    );
+    const updatedPost = await reactionService.setReaction(post, req.user._id, req.body.type);
 
-    if (existingLikeIndex > -1) {
-      // Unlike - remove the like
-      post.likes.splice(existingLikeIndex, 1);
-    } else {
-      // Like - add the like
-      post.likes.push({ user: userId });
+    res.json({
+      status: 'success',
+      message: 'Reaction saved',
+      data: {
+        reaction: req.body.type,
+        reactionCounts: updatedPost.reactionCounts,
+        reactionCount: updatedPost.reactionCount
+      }
+    });
+
+  } catch (error) {
+    console.error('React to post error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
     }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
 
-    await post.save();
+// @route   DELETE /api/posts/:id/reaction
+// @desc    Remove the user's reaction from post
+// @access  Private
+router.delete('/:id/reaction', authMiddleware, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
+    const updatedPost = await reactionService.removeReaction(post, req.user._id);
+
+    res.json({
+      status: 'success',
+      message: 'Reaction removed',
+      data: {
+        reaction: null,
+        reactionCounts: updatedPost.reactionCounts,
+        reactionCount: updatedPost.reactionCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get a post's top-level comments, or the replies to one comment (cursor paginated)
+// @access  Public
+router.get('/:id/comments', [
+  query('parent').optional().isMongoId().withMessage('Invalid parent comment ID'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('isActive commentCount');
+
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const page = await commentService.getPage(post._id, {
+      parent: req.query.parent || null,
+      cursor: req.query.cursor,
+      limit
+    });
+
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       status: 'success',
-      message: existingLikeIndex > -1 ? 'Post unliked' : 'Post liked',
       data: {
-        liked: existingLikeIndex === -1,
-        likeCount: post.likes.length
+        comments: page.comments,
+        commentCount: post.commentCount,
+        pagination: {
+          nextCursor: page.nextCursor,
+          hasNextPage: page.hasNextPage,
+          limit
+        }
       }
     });
 
   } catch (error) {
-    console.error('Like post error:', error);
+    console.error('Get comments error:', error);
     if (error.name === 'CastError') {
       return res.status(404).json({
         status: 'error',
@@ -632,9 +647,12 @@ router.post('/:id/like', authMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/posts/:id/comment
-// @desc    Add comment to post
+// @desc    Add comment to post, or reply to a comment with parentId
 // @access  Private
-router.post('/:id/comment', authMiddleware, commentValidation, async (req, res) => {
+router.post('/:id/comment', authMiddleware, [
+  ...commentValidation,
+  body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent comment ID')
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -654,29 +672,27 @@ router.post('/:id/comment', authMiddleware, commentValidation, async (req, res)
       });
     }
 
-    const { content } = req.body;
+    const { content, parentId } = req.body;
     const sanitizedContent = xss(content);
 
-    const newComment = {
-      user: req.user._id,
+    const result = await commentService.addComment(post, req.user._id, {
       content: sanitizedContent,
-      createdAt: new Date()
-    };
-
-    post.comments.push(newComment);
-    await post.save();
-
-    // Populate the new comment
-    await post.populate('comments.user', 'name profilePicture');
+      parentId
+    });
 
-    const addedComment = post.comments[post.comments.length - 1];
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'The comment you are replying to no longer exists'
+      });
+    }
 
     res.status(201).json({
       status: 'success',
-      message: 'Comment added successfully',
+      message: parentId ? 'Reply added successfully' : 'Comment added successfully',
       data: {
-        comment: addedComment,
-        commentCount: post.comments.length
+        comment: result.comment,
+        commentCount: result.commentCount
       }
     });
 
@@ -695,21 +711,80 @@ router.post('/:id/comment', authMiddleware, commentValidation, async (req, res)
   }
 });
 
-// @route   DELETE /api/posts/:id/comment/:commentId
-// @desc    Delete comment
+// @route   PUT /api/posts/:id/comment/:commentId
+// @desc    Edit comment (marked as edited)
 // @access  Private (comment author only)
-router.delete('/:id/comment/:commentId', authMiddleware, async (req, res) => {
+router.put('/:id/comment/:commentId', authMiddleware, [
+  ...commentIdValidation,
+  ...commentValidation
+], async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    if (!post || !post.isActive) {
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id, isDeleted: false });
+
+    if (!comment) {
       return res.status(404).json({
         status: 'error',
-        message: 'Post not found'
+        message: 'Comment not found'
       });
     }
 
-    const comment = post.comments.id(req.params.commentId);
+    // Unlike deleting, editing is left to the author even for admins
+    if (!comment.user || comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    const updatedComment = await commentService.editComment(comment, xss(req.body.content));
+
+    res.json({
+      status: 'success',
+      message: 'Comment updated successfully',
+      data: {
+        comment: updatedComment
+      }
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post or comment not found'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id/comment/:commentId
+// @desc    Delete comment (comments with replies are kept as a "deleted" placeholder)
+// @access  Private (comment author only)
+router.delete('/:id/comment/:commentId', authMiddleware, commentIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id, isDeleted: false });
 
     if (!comment) {
       return res.status(404).json({
@@ -719,21 +794,21 @@ router.delete('/:id/comment/:commentId', authMiddleware, async (req, res) => {
     }
 
     // Check if user owns the comment or is admin
-    if (comment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const isOwner = comment.user && comment.user.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== 'admin') {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to delete this comment'
       });
     }
 
-    comment.remove();
-    await post.save();
+    const commentCount = await commentService.deleteComment(comment);
 
     res.json({
       status: 'success',
       message: 'Comment deleted successfully',
       data: {
-        commentCount: post.comments.length
+        commentCount
       }
     });
 
@@ -753,7 +828,7 @@ router.delete('/:id/comment/:commentId', authMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/posts/:id/share
-// @desc    Share post (increment share count)
+// @desc    Record a share of a post. Repeat shares within an hour count once.
 // @access  Private
 router.post('/:id/share', authMiddleware, async (req, res) => {
   try {
@@ -766,14 +841,14 @@ router.post('/:id/share', authMiddleware, async (req, res) => {
       });
     }
 
-    post.shares += 1;
-    await post.save();
+    const recorded = await interactionService.record(req, post, 'share');
 
     res.json({
       status: 'success',
       message: 'Post shared successfully',
       data: {
-        shareCount: post.shares
+        // The share reaches post.shares with the next aggregation run
+        shareCount: post.shares + (recorded ? 1 : 0)
       }
     });
 
@@ -792,6 +867,87 @@ router.post('/:id/share', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   POST /api/posts/:id/dwell
+// @desc    Record how long the viewer spent reading a post
+// @access  Public/Private (optional auth)
+router.post('/:id/dwell', optionalAuthMiddleware, [
+  body('seconds').isInt({ min: 1, max: 24 * 60 * 60 }).withMessage('Seconds must be a positive whole number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('isActive');
+
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
+    await interactionService.record(req, post, 'dwell', { seconds: req.body.seconds });
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Reading time recorded'
+    });
+
+  } catch (error) {
+    console.error('Record dwell time error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/source
+// @desc    Click-through to a post's original article or link; records the click and redirects
+// @access  Public/Private (optional auth)
+router.get('/:id/source', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('isActive originalSource link');
+    const target = post && post.isActive && (post.originalSource || (post.link && post.link.url));
+
+    // Only ever redirect to web addresses stored on the post
+    if (!target || !/^https?:\/\//i.test(target)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
+    await interactionService.record(req, post, 'click');
+    res.redirect(target);
+
+  } catch (error) {
+    console.error('Post click-through error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/posts/:id/report
 // @desc    Report post
 // @access  Private
@@ -844,7 +1000,10 @@ router.post('/:id/report', authMiddleware, [
 
     res.json({
       status: 'success',
-      message: 'Post reported successfully. Our team will review it shortly.'
+      message: 'Post reported successfully. Our team will review it shortly.',
+      data: {
+        viewerHasReported: true
+      }
     });
 
   } catch (error) {
@@ -863,26 +1022,33 @@ router.post('/:id/report', authMiddleware, [
 });
 
 // @route   GET /api/posts/trending/today
-// @desc    Get trending posts for today
+// @desc    Get the top posts of the 24 hour trending ranking (see GET /api/trending)
 // @access  Public/Private (optional auth)
-router.get('/trending/today', optionalAuthMiddleware, async (req, res) => {
+router.get('/trending/today', optionalAuthMiddleware, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const posts = await Post.find({
-      isActive: true,
-      createdAt: { $gte: today }
-    })
+    const { sort, filter } = trendingService.getSort('24h');
+
+    const posts = await Post.find({ ...filter, isActive: true })
       .populate('author', 'name profilePicture')
       .populate('categories', 'name color slug')
-      .sort({ engagement: -1 })
-      .limit(10);
+      .sort(sort)
+      .limit(parseInt(req.query.limit) || 10);
 
     res.json({
       status: 'success',
       data: {
-        posts
+        posts: await postSerializer.serializeMany(posts, req.user)
       }
     });
 
@@ -0,0 +1,83 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { optionalAuthMiddleware } = require('../middleware/auth');
+const searchService = require('../services/searchService');
+const postSerializer = require('../services/postSerializer');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Full-text search over posts, ranked by relevance, with highlighted matches.
+//          q supports "exact phrases" and -excluded words or phrases. Cursor paginated.
+// @access  Public/Private (optional auth)
+router.get('/', optionalAuthMiddleware, [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters')
+    .bail()
+    .custom((value) => searchService.hasTerms(value))
+    .withMessage('Search must include at least one word or phrase that is not excluded'),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('category').optional().isMongoId().withMessage('Invalid category ID'),
+  query('author').optional().isMongoId().withMessage('Invalid author ID'),
+  query('from').optional().isISO8601().withMessage('Invalid from date').toDate(),
+  query('to').optional().isISO8601().withMessage('Invalid to date').toDate(),
+  query('type').optional().isIn(['all', 'news', 'user']).withMessage('Invalid post type'),
+  query('sortBy').optional().isIn(['relevance', 'recent']).withMessage('Invalid sort option')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const { q, category, author, from, to, type, sortBy, cursor } = req.query;
+
+    const results = await searchService.search(q, {
+      category,
+      author,
+      from,
+      to,
+      type,
+      sortBy,
+      cursor,
+      limit
+    });
+
+    if (!results) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        query: results.parsed,
+        posts: await postSerializer.serializeMany(results.posts, req.user),
+        pagination: {
+          nextCursor: results.nextCursor,
+          hasNextPage: results.hasNextPage,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Post } = require('../models');
+const { optionalAuthMiddleware } = require('../middleware/auth');
+const feedService = require('../services/feedService');
+const trendingService = require('../services/trendingService');
+const postSerializer = require('../services/postSerializer');
+
+const router = express.Router();
+
+// @route   GET /api/trending
+// @desc    Get trending posts for a window (1h, 24h or 7d), ranked by the
+//          scheduled trending job. Cursor paginated.
+// @access  Public/Private (optional auth)
+router.get('/', optionalAuthMiddleware, [
+  query('window').optional().isIn(trendingService.windows).withMessage('Window must be one of 1h, 24h or 7d'),
+  query('category').optional().isMongoId().withMessage('Invalid category ID'),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const { window = '24h', category, cursor } = req.query;
+    const { sort, filter } = trendingService.getSort(window);
+
+    const page = await feedService.paginate(Post, {
+      filter: {
+        ...filter,
+        isActive: true,
+        ...(category && { categories: category })
+      },
+      sort,
+      cursor,
+      limit,
+      populate: [
+        { path: 'author', select: 'name profilePicture' },
+        { path: 'categories', select: 'name color slug' }
+      ]
+    });
+
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        window,
+        posts: await postSerializer.serializeMany(page.items, req.user),
+        pagination: {
+          nextCursor: page.nextCursor,
+          hasNextPage: page.hasNextPage,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trending posts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
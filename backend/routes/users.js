@@ -1,21 +1,498 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const xss = require('xss');
+const { User, Post, Category } = require('../models');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
+const imageService = require('../services/imageService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const postSerializer = require('../services/postSerializer');
+
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
 
-// Placeholder routes until implemented
+// Data exports are expensive to build, so limit them per user
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 exports per hour
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    error: 'Too many data export requests, please try again later.'
+  }
+});
+
+// Validation rules
+const updateProfileValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage('Name can only contain letters and spaces'),
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Bio cannot exceed 500 characters'),
+  body('interests')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Interests must be an array of at most 20 categories'),
+  body('interests.*')
+    .isMongoId()
+    .withMessage('Invalid category ID in interests'),
+  body('emailPreferences.digestFrequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'instant', 'never'])
+    .withMessage('Invalid digest frequency'),
+  body('emailPreferences.breakingNews')
+    .optional()
+    .isBoolean()
+    .withMessage('breakingNews must be a boolean')
+    .toBoolean(),
+  body('emailPreferences.includeSavedPosts')
+    .optional()
+    .isBoolean()
+    .withMessage('includeSavedPosts must be a boolean')
+    .toBoolean()
+];
+
+const cropValidation = ['cropX', 'cropY', 'cropWidth', 'cropHeight'].map((field) =>
+  body(field)
+    .optional()
+    .isInt({ min: field.startsWith('cropW') || field.startsWith('cropH') ? 1 : 0 })
+    .withMessage(`${field} must be a non-negative integer`)
+    .toInt()
+);
+
+// Run multer and answer upload errors (size, type) with a 400
+const uploadProfilePicture = (req, res, next) => {
+  imageService.upload.single('profilePicture')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
+// Same shape as GET /api/auth/me
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  profilePicture: user.profilePicture,
+  bio: user.bio,
+  interests: user.interests,
+  role: user.role,
+  emailPreferences: user.emailPreferences,
+  lastActive: user.lastActive,
+  gdprConsent: user.gdprConsent
+});
+
 router.get('/health', (req, res) => {
   res.json({ status: 'success', message: 'Users route ready' });
 });
 
-router.get('/', authMiddleware, async (req, res) => {
+// @route   PUT /api/users/profile
+// @desc    Update current user's profile
+// @access  Private
+router.put('/profile', authMiddleware, updateProfileValidation, async (req, res) => {
   try {
-    // Logic to fetch users
-    res.json({ status: 'success', data: { users: [] } });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, bio, interests, emailPreferences } = req.body;
+    const user = req.user;
+
+    if (interests !== undefined) {
+      const uniqueInterests = [...new Set(interests)];
+      const activeCount = await Category.countDocuments({ _id: { $in: uniqueInterests }, isActive: true });
+      if (activeCount !== uniqueInterests.length) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'One or more selected interests do not exist'
+        });
+      }
+      user.interests = uniqueInterests;
+    }
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+    if (bio !== undefined) {
+      user.bio = xss(bio);
+    }
+    if (emailPreferences) {
+      if (emailPreferences.digestFrequency !== undefined) {
+        user.emailPreferences.digestFrequency = emailPreferences.digestFrequency;
+      }
+      if (emailPreferences.breakingNews !== undefined) {
+        user.emailPreferences.breakingNews = emailPreferences.breakingNews;
+      }
+      if (emailPreferences.includeSavedPosts !== undefined) {
+        user.emailPreferences.includeSavedPosts = emailPreferences.includeSavedPosts;
+      }
+    }
+
+    await user.save();
+    await user.populate('interests');
+
+    res.json({
+      status: 'success',
+      message: 'Profile updated successfully',
+      data: {
+        user: formatUser(user)
+      }
+    });
+
   } catch (error) {
-    res.status(500).json({ status: 'error', message: 'Failed to fetch users' });
+    console.error('Update profile error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((e) => e.message)
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
   }
 });
 
-module.exports = router;
+// @route   POST /api/users/profile/picture
+// @desc    Upload a profile picture, optionally cropped to cropX/cropY/cropWidth/cropHeight
+// @access  Private
+router.post('/profile/picture', authMiddleware, uploadProfilePicture, cropValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Profile picture file is required'
+      });
+    }
+
+    const { cropX, cropY, cropWidth, cropHeight } = req.body;
+    const cropValues = [cropX, cropY, cropWidth, cropHeight];
+    let crop = null;
+
+    if (cropValues.some((value) => value !== undefined)) {
+      if (cropValues.some((value) => value === undefined)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'cropX, cropY, cropWidth and cropHeight must be provided together'
+        });
+      }
+      crop = { x: cropX, y: cropY, width: cropWidth, height: cropHeight };
+    }
+
+    const user = req.user;
+    const previousPicture = user.profilePicture;
+
+    user.profilePicture = await imageService.processAndSaveAvatar(req.file.buffer, imageService.generateFilename(), crop);
+    await user.save();
+
+    await imageService.deleteImage(previousPicture);
+
+    res.json({
+      status: 'success',
+      message: 'Profile picture updated successfully',
+      data: {
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload profile picture error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/profile/picture
+// @desc    Remove current user's profile picture
+// @access  Private
+router.delete('/profile/picture', authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+    const previousPicture = user.profilePicture;
+
+    user.profilePicture = null;
+    await user.save();
+
+    await imageService.deleteImage(previousPicture);
+
+    res.json({
+      status: 'success',
+      message: 'Profile picture removed',
+      data: {
+        user: formatUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove profile picture error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/users/export-data
+// @desc    Export all data held about the current user as a zip archive.
+//          Large exports are built in the background and emailed as a download link.
+// @access  Private
+router.get('/export-data', authMiddleware, exportLimiter, async (req, res) => {
+  try {
+    const activeExport = await dataExportService.findActiveExport(req.user._id);
+    if (activeExport) {
+      return res.status(202).json({
+        status: 'success',
+        message: 'Your export is already being prepared. We will email you a download link when it is ready.',
+        data: {
+          exportId: activeExport._id,
+          exportStatus: activeExport.status
+        }
+      });
+    }
+
+    // Large exports are collected and built by the background job, not in the request
+    if (dataExportService.isLargeExport(await dataExportService.measureExport(req.user))) {
+      const dataExport = await dataExportService.queueExport(req.user);
+      return res.status(202).json({
+        status: 'success',
+        message: 'Your export is being prepared. We will email you a download link when it is ready.',
+        data: {
+          exportId: dataExport._id,
+          exportStatus: dataExport.status
+        }
+      });
+    }
+
+    const collected = await dataExportService.collectUserData(req.user._id);
+    const date = new Date().toISOString().split('T')[0];
 
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="intelixir-data-export-${date}.zip"`,
+      'Cache-Control': 'no-store'
+    });
+    await dataExportService.buildArchive(collected, res);
 
+  } catch (error) {
+    console.error('Export data error:', error);
+    // Part of the archive may already have been sent
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/users/export-data/status
+// @desc    Get the status of the current user's latest background export
+// @access  Private
+router.get('/export-data/status', authMiddleware, async (req, res) => {
+  try {
+    const dataExport = await dataExportService.getLatestExport(req.user._id);
+
+    res.json({
+      status: 'success',
+      data: {
+        export: dataExport && {
+          id: dataExport._id,
+          status: dataExport.status,
+          size: dataExport.size,
+          createdAt: dataExport.createdAt,
+          completedAt: dataExport.completedAt,
+          expiresAt: dataExport.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get export status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/users/export-data/:exportId/download
+// @desc    Download a background export through the emailed link
+// @access  Public (time-limited token)
+router.get('/export-data/:exportId/download', [
+  param('exportId').isMongoId(),
+  query('token').isHexadecimal().isLength({ min: 64, max: 64 })
+], async (req, res) => {
+  try {
+    const filepath = validationResult(req).isEmpty()
+      ? await dataExportService.getDownload(req.params.exportId, req.query.token)
+      : null;
+
+    if (!filepath) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This download link is invalid or has expired'
+      });
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Cache-Control', 'no-store');
+    res.download(filepath, `intelixir-data-export-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Export download error:', error);
+        res.status(404).json({
+          status: 'error',
+          message: 'This download link is invalid or has expired'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Export download error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/account
+// @desc    Delete the current user's account after the grace period (password required)
+// @access  Private
+router.delete('/account', authMiddleware, [
+  body('password').notEmpty().withMessage('Password is required to delete your account')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const { deleted, scheduledFor } = await accountDeletionService.requestDeletion(user);
+
+    res.clearCookie('refreshToken');
+
+    res.json({
+      status: 'success',
+      message: deleted
+        ? 'Your account has been deleted'
+        : `Your account will be deleted on ${scheduledFor.toDateString()}. Log in again before then to cancel.`,
+      data: {
+        deleted,
+        deletionScheduledFor: scheduledFor
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a user's public profile with their recent posts
+// @access  Public/Private (optional auth)
+router.get('/:id', optionalAuthMiddleware, [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isVerified: true })
+      .select('name profilePicture bio interests role createdAt')
+      .populate('interests', 'name color slug');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const [postCount, recentPosts] = await Promise.all([
+      Post.countDocuments({ author: user._id, isActive: true }),
+      Post.find({ author: user._id, isActive: true })
+        .populate('author', 'name profilePicture')
+        .populate('categories', 'name color slug')
+        .sort({ createdAt: -1 })
+        .limit(5)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          profilePicture: user.profilePicture,
+          bio: user.bio,
+          interests: user.interests,
+          role: user.role,
+          joinedAt: user.createdAt,
+          postCount
+        },
+        recentPosts: await postSerializer.serializeMany(recentPosts, req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,9 @@
 const { User, Category } = require('../models');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const migrateComments = require('./migrateComments');
+const migrateLikes = require('./migrateLikes');
+const migrateInterests = require('./migrateInterests');
 
 const initializeApp = async () => {
   try {
@@ -11,11 +15,15 @@ const initializeApp = async () => {
     if (!adminUser) {
       // Create admin user
       console.log('Creating admin user...');
+
+      // Without ADMIN_PASSWORD the admin gets an unusable random password, which is
+      // never shown; the operator sets one through the forgot password flow
+      const adminEmail = process.env.ADMIN_EMAIL || 'admin@intelixir.com';
       
       adminUser = await User.create({
         name: 'Admin',
-        email: process.env.ADMIN_EMAIL || 'admin@intelixir.com',
-        password: process.env.ADMIN_PASSWORD || 'admin123',
+        email: adminEmail,
+        password: process.env.ADMIN_PASSWORD || crypto.randomBytes(32).toString('hex'),
         role: 'admin',
         isVerified: true,
         gdprConsent: true,
@@ -23,6 +31,9 @@ const initializeApp = async () => {
       });
 
       console.log('Admin user created successfully');
+      if (!process.env.ADMIN_PASSWORD) {
+        console.log(`No ADMIN_PASSWORD set: request a password reset for ${adminEmail} to log in as admin`);
+      }
     } else {
       console.log('Admin user already exists');
     }
@@ -88,6 +99,10 @@ const initializeApp = async () => {
       }
     }
 
+    await migrateInterests();
+    await migrateComments();
+    await migrateLikes();
+
     console.log('Application initialization completed successfully');
 
   } catch (error) {
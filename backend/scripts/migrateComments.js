@@ -0,0 +1,76 @@
+// Moves comments embedded in posts (the old Post.comments array) into the Comment
+// collection and stores each post's commentCount. Safe to run more than once: comments
+// keep their _id, so ones copied by an interrupted run are skipped.
+//
+// Runs on startup from initializeApp; can also be run on its own:
+//
+//   npm run migrate:comments
+const mongoose = require('mongoose');
+const { Post, Comment } = require('../models');
+
+const DUPLICATE_KEY = 11000;
+
+const migrateComments = async () => {
+  // Build the schema's indexes before inserting rather than racing the background build
+  await Comment.init();
+
+  // Raw collection access, since `comments` is no longer part of the Post schema
+  const posts = Post.collection.find({ comments: { $exists: true } }, { projection: { comments: 1 } });
+  let migratedPosts = 0;
+  let migratedComments = 0;
+
+  for await (const post of posts) {
+    const comments = (post.comments || []).map((comment) => ({
+      _id: comment._id,
+      post: post._id,
+      user: comment.user,
+      parent: null,
+      depth: 0,
+      content: comment.content,
+      replyCount: 0,
+      editedAt: null,
+      isDeleted: false,
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt
+    }));
+
+    if (comments.length > 0) {
+      try {
+        await Comment.collection.insertMany(comments, { ordered: false });
+      } catch (error) {
+        const errors = error.writeErrors || [];
+        if (errors.length === 0 || errors.some((writeError) => writeError.code !== DUPLICATE_KEY)) {
+          throw error;
+        }
+      }
+    }
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { commentCount: comments.length }, $unset: { comments: '' } }
+    );
+    migratedPosts += 1;
+    migratedComments += comments.length;
+  }
+
+  // Posts created before commentCount existed and never commented on
+  await Post.collection.updateMany({ commentCount: { $exists: false } }, { $set: { commentCount: 0 } });
+
+  if (migratedPosts > 0) {
+    console.log(`Migrated ${migratedComments} comments from ${migratedPosts} posts`);
+  }
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(migrateComments)
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+      console.error('Comment migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateComments;
@@ -0,0 +1,64 @@
+// Converts user interests stored as free text (category names or slugs, from
+// before User.interests referenced Category) into Category ids. Values that don't
+// match a category are dropped. Safe to run more than once: users whose interests
+// are all ids already are left alone.
+//
+// Runs on startup from initializeApp, after the default categories exist; can also
+// be run on its own:
+//
+//   npm run migrate:interests
+const mongoose = require('mongoose');
+const { User, Category } = require('../models');
+
+const migrateInterests = async () => {
+  const categories = await Category.find().select('name slug');
+  const byKey = new Map();
+  categories.forEach((category) => {
+    byKey.set(category._id.toString(), category._id);
+    byKey.set(category.slug.toLowerCase(), category._id);
+    byKey.set(category.name.trim().toLowerCase(), category._id);
+  });
+
+  // Raw collection access, since the schema can no longer load these users
+  const users = User.collection.find(
+    { interests: { $elemMatch: { $not: { $type: 'objectId' } } } },
+    { projection: { interests: 1 } }
+  );
+  let migratedUsers = 0;
+  let droppedValues = 0;
+
+  for await (const user of users) {
+    const ids = new Map();
+    for (const value of user.interests || []) {
+      const id = value instanceof mongoose.Types.ObjectId
+        ? value
+        : byKey.get(String(value).trim().toLowerCase());
+      if (id) {
+        ids.set(id.toString(), id);
+      } else {
+        droppedValues += 1;
+      }
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $set: { interests: [...ids.values()] } });
+    migratedUsers += 1;
+  }
+
+  if (migratedUsers > 0) {
+    console.log(`Migrated interests of ${migratedUsers} users (${droppedValues} unmatched values dropped)`);
+  }
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(migrateInterests)
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+      console.error('Interest migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateInterests;
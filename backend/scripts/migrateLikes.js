@@ -0,0 +1,71 @@
+// Moves likes embedded in posts (the old Post.likes array) into the Reaction
+// collection as "like" reactions and stores each post's reactionCounts.like. Safe to
+// run more than once: a user can only react to a post once, so likes copied by an
+// interrupted run are skipped.
+//
+// Runs on startup from initializeApp; can also be run on its own:
+//
+//   npm run migrate:likes
+const mongoose = require('mongoose');
+const { Post, Reaction } = require('../models');
+
+const DUPLICATE_KEY = 11000;
+
+const migrateLikes = async () => {
+  // The unique (post, user) index is what skips likes copied by an earlier run,
+  // so it has to exist before inserting
+  await Reaction.init();
+
+  // Raw collection access, since `likes` is no longer part of the Post schema
+  const posts = Post.collection.find({ likes: { $exists: true } }, { projection: { likes: 1 } });
+  let migratedPosts = 0;
+  let migratedLikes = 0;
+
+  for await (const post of posts) {
+    const reactions = (post.likes || []).filter((like) => like.user).map((like) => ({
+      post: post._id,
+      user: like.user,
+      type: 'like',
+      createdAt: like.createdAt,
+      updatedAt: like.createdAt
+    }));
+
+    if (reactions.length > 0) {
+      try {
+        await Reaction.collection.insertMany(reactions, { ordered: false });
+      } catch (error) {
+        const errors = error.writeErrors || [];
+        if (errors.length === 0 || errors.some((writeError) => writeError.code !== DUPLICATE_KEY)) {
+          throw error;
+        }
+      }
+    }
+
+    // Count what is stored rather than the array, which may have held duplicate likes
+    const likeCount = await Reaction.countDocuments({ post: post._id, type: 'like' });
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { 'reactionCounts.like': likeCount }, $unset: { likes: '' } }
+    );
+    migratedPosts += 1;
+    migratedLikes += likeCount;
+  }
+
+  if (migratedPosts > 0) {
+    console.log(`Migrated ${migratedLikes} likes from ${migratedPosts} posts`);
+  }
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(migrateLikes)
+    .then(() => mongoose.disconnect())
+    .catch((error) => {
+      console.error('Like migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateLikes;
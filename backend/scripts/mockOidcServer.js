@@ -0,0 +1,164 @@
+// Minimal OpenID Connect provider for trying out and testing external login locally.
+//
+//   npm run mock-oidc
+//
+// Then add a provider in the admin panel with issuer http://localhost:4011 (or
+// MOCK_OIDC_PORT), client ID "intelixir" and client secret "intelixir-secret".
+// The authorize page lets you pick the email and name to log in as.
+// Not for production use: it signs in whoever you type.
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const createMockOidcServer = ({
+  port = 4011,
+  clientId = 'intelixir',
+  clientSecret = 'intelixir-secret'
+} = {}) => {
+  const issuer = `http://localhost:${port}`;
+  const kid = crypto.randomBytes(8).toString('hex');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  // Authorization codes and access tokens waiting to be used
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Login form standing in for the provider's own login and consent screens
+  app.get('/authorize', (req, res) => {
+    if (req.query.client_id !== clientId || req.query.response_type !== 'code') {
+      return res.status(400).send('Unknown client or unsupported response type');
+    }
+
+    const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('');
+
+    res.send(`<!DOCTYPE html>
+<html><body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+  <h2>Mock OIDC login</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="${escapeHtml(req.query.login_hint || 'jane@example.com')}" size="32"></label></p>
+    <p><label>Name<br><input name="name" value="Jane Doe" size="32"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+    <p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Deny</button></p>
+  </form>
+</body></html>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const redirect = new URL(req.body.redirect_uri);
+    redirect.searchParams.set('state', req.body.state);
+
+    if (req.body.deny) {
+      redirect.searchParams.set('error', 'access_denied');
+      return res.redirect(redirect.toString());
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri: req.body.redirect_uri,
+      nonce: req.body.nonce,
+      codeChallenge: req.body.code_challenge,
+      claims: {
+        // Stable per email, like a real provider's user id
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+        email,
+        email_verified: req.body.email_verified === 'true',
+        name: req.body.name
+      }
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let [id, secret] = [req.body.client_id, req.body.client_secret];
+    const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+    if (basic) {
+      [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.claims);
+
+    res.json({
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: 3600,
+      id_token: jwt.sign(
+        { ...grant.claims, nonce: grant.nonce },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+      )
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!claims) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(claims);
+  });
+
+  return { app, issuer, clientId, clientSecret };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT || '4011', 10);
+  const server = createMockOidcServer({
+    port,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID,
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET
+  });
+
+  server.app.listen(port, () => {
+    console.log(`Mock OIDC provider running at ${server.issuer}`);
+    console.log(`Client ID: ${server.clientId}, client secret: ${server.clientSecret}`);
+  });
+}
+
+module.exports = createMockOidcServer;
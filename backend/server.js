@@ -19,9 +19,17 @@ const categoryRoutes = require('./routes/categories');
 const adminRoutes = require('./routes/admin');
 const contactRoutes = require('./routes/contact');
 const digestRoutes = require('./routes/digest');
+const bookmarkRoutes = require('./routes/bookmarks');
+const searchRoutes = require('./routes/search');
+const trendingRoutes = require('./routes/trending');
 
 // Import services
 const newsService = require('./services/newsService');
+const digestService = require('./services/digestService');
+const dataExportService = require('./services/dataExportService');
+const accountDeletionService = require('./services/accountDeletionService');
+const trendingService = require('./services/trendingService');
+const interactionService = require('./services/interactionService');
 
 // Import error handling middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -100,6 +108,8 @@ mongoose.connect(process.env.MONGODB_URI)
     console.log('Connected to MongoDB');
     // Initialize admin user and categories
     require('./scripts/initializeApp')();
+    // Don't wait for the first scheduled run to have trending rankings
+    trendingService.refresh().catch((error) => console.error('Error refreshing trending rankings:', error));
   })
   .catch(err => {
     console.error('Database connection error:', err);
@@ -114,6 +124,9 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/digest', digestRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/trending', trendingRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -148,7 +161,6 @@ cron.schedule('0 * * * *', async () => {
 cron.schedule('0 8 * * *', async () => {
   console.log('Sending daily email digests...');
   try {
-    const digestService = require('./services/digestService');
     await digestService.sendDailyDigests();
     console.log('Daily email digests sent successfully');
   } catch (error) {
@@ -156,6 +168,59 @@ cron.schedule('0 8 * * *', async () => {
   }
 });
 
+// Weekly email digest - runs at 8 AM every Monday
+cron.schedule('0 8 * * 1', async () => {
+  console.log('Sending weekly email digests...');
+  try {
+    await digestService.sendWeeklyDigests();
+    console.log('Weekly email digests sent successfully');
+  } catch (error) {
+    console.error('Error sending weekly digests:', error);
+  }
+});
+
+// Remove expired data export archives - runs every hour
+cron.schedule('30 * * * *', async () => {
+  try {
+    const result = await dataExportService.cleanupExports();
+    if (result.expired || result.failed) {
+      console.log(`Data export cleanup: ${result.expired} expired, ${result.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up data exports:', error);
+  }
+});
+
+// Delete accounts whose deletion grace period has ended - runs every hour
+cron.schedule('15 * * * *', async () => {
+  try {
+    const result = await accountDeletionService.processScheduledDeletions();
+    if (result.processed) {
+      console.log(`Scheduled account deletion: ${result.deleted} deleted, ${result.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error processing scheduled account deletions:', error);
+  }
+});
+
+// Recompute the trending rankings - runs every 10 minutes
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    await trendingService.refresh();
+  } catch (error) {
+    console.error('Error refreshing trending rankings:', error);
+  }
+});
+
+// Add new views, shares, reading time and click-throughs to post counters - runs every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    await interactionService.aggregateCounters();
+  } catch (error) {
+    console.error('Error aggregating interaction events:', error);
+  }
+});
+
 const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, "0.0.0.0", () => {
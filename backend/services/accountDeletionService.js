@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { User, Post, Comment, Reaction, Bookmark, EmailDigest, Session } = require('../models');
+const { revokeTokens } = require('../middleware/auth');
+const emailService = require('./emailService');
+const imageService = require('./imageService');
+const settingsService = require('./settingsService');
+const dataExportService = require('./dataExportService');
+const sessionService = require('./sessionService');
+const commentService = require('./commentService');
+const reactionService = require('./reactionService');
+const bookmarkService = require('./bookmarkService');
+const personalizationService = require('./personalizationService');
+const interactionService = require('./interactionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AccountDeletionService {
+  get deletedUserEmail() {
+    return process.env.DELETED_USER_EMAIL || 'deleted-user@intelixir.com';
+  }
+
+  // Schedule the account for deletion after the configured grace period and sign it out
+  // everywhere. With a grace period of 0 the account is deleted straight away.
+  async requestDeletion(user) {
+    const settings = await settingsService.get();
+    const { gracePeriodDays } = settings.accountDeletion;
+
+    revokeTokens(user);
+    await sessionService.revokeAllSessions(user._id, 'account-deletion');
+
+    if (gracePeriodDays === 0) {
+      await user.save();
+      await this.deleteAccount(user);
+      return { deleted: true, scheduledFor: null };
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + gracePeriodDays * DAY_MS);
+    await user.save();
+
+    try {
+      await emailService.sendAccountDeletionScheduledEmail(user, user.deletionScheduledFor);
+    } catch (emailError) {
+      console.error('Failed to send account deletion email:', emailError);
+    }
+
+    return { deleted: false, scheduledFor: user.deletionScheduledFor };
+  }
+
+  // Delete every account whose grace period has run out
+  async processScheduledDeletions() {
+    const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+    const result = { processed: users.length, deleted: 0, failed: 0 };
+
+    for (const user of users) {
+      try {
+        await this.deleteAccount(user);
+        result.deleted++;
+      } catch (error) {
+        result.failed++;
+        console.error(`Failed to delete account ${user._id}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  // Hard-delete the user. Posts and comments are deleted or handed to a placeholder
+  // "Deleted User" depending on the accountDeletion.contentHandling setting.
+  async deleteAccount(user) {
+    const settings = await settingsService.get();
+    const anonymize = settings.accountDeletion.contentHandling === 'anonymize';
+    const userId = user._id;
+
+    const posts = await Post.find({ author: userId }).select('image');
+    const images = [user.profilePicture, ...posts.map((post) => post.image)];
+
+    // Reactions and reports are personal data either way
+    await reactionService.deleteUserReactions(userId);
+    await Post.updateMany({ 'reportedBy.user': userId }, { $pull: { reportedBy: { user: userId } } });
+
+    if (anonymize) {
+      const placeholder = await this.getDeletedUserPlaceholder();
+      await Post.updateMany({ author: userId }, { $set: { author: placeholder._id, image: null } });
+      await Comment.updateMany({ user: userId }, { $set: { user: placeholder._id } });
+    } else {
+      await Post.deleteMany({ author: userId });
+      await Comment.deleteMany({ post: { $in: posts.map((post) => post._id) } });
+      await Reaction.deleteMany({ post: { $in: posts.map((post) => post._id) } });
+      await Bookmark.deleteMany({ post: { $in: posts.map((post) => post._id) } });
+      await commentService.deleteUserComments(userId);
+    }
+
+    for (const image of images) {
+      await imageService.deleteImage(image);
+    }
+
+    await bookmarkService.deleteUserData(userId);
+    await personalizationService.deleteUserData(userId);
+    await interactionService.deleteUserData(userId);
+    await EmailDigest.deleteMany({ user: userId });
+    await Session.deleteMany({ user: userId });
+    await dataExportService.deleteUserExports(userId);
+    await User.deleteOne({ _id: userId });
+
+    try {
+      await emailService.sendAccountDeletedEmail(user);
+    } catch (emailError) {
+      console.error('Failed to send account deleted email:', emailError);
+    }
+  }
+
+  // Unverified account with an unusable password that anonymized content is attributed to
+  async getDeletedUserPlaceholder() {
+    const existing = await User.findOne({ email: this.deletedUserEmail });
+    if (existing) {
+      return existing;
+    }
+
+    return User.create({
+      name: 'Deleted User',
+      email: this.deletedUserEmail,
+      password: crypto.randomBytes(32).toString('hex'),
+      isVerified: false,
+      emailPreferences: { digestFrequency: 'never', breakingNews: false }
+    });
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -0,0 +1,69 @@
+const { AuditLog } = require('../models');
+
+class AuditService {
+  // Record a change made by req.user. `before` and `after` are reduced to the
+  // fields whose values actually differ.
+  async record(req, { action, targetType, targetId, before = null, after = null }) {
+    try {
+      const changes = this.diff(before, after);
+
+      await AuditLog.create({
+        actor: req.user ? req.user._id : null,
+        action,
+        targetType,
+        targetId,
+        before: changes.before,
+        after: changes.after,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      // An audit failure shouldn't undo a change that already happened
+      console.error('Audit log error:', error);
+    }
+  }
+
+  diff(before, after) {
+    if (!before || !after) {
+      return { before, after };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changedBefore[key] = before[key];
+        changedAfter[key] = after[key];
+      }
+    }
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  async getEntries({ filter = {}, page = 1, limit = 20 }) {
+    const skip = (page - 1) * limit;
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalEntries / limit),
+        totalEntries,
+        hasNextPage: page < Math.ceil(totalEntries / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,206 @@
+const { Bookmark, ReadingList } = require('../models');
+const postSerializer = require('./postSerializer');
+
+const postPopulate = {
+  path: 'post',
+  match: { isActive: true },
+  populate: [
+    { path: 'author', select: 'name profilePicture' },
+    { path: 'categories', select: 'name color slug' }
+  ]
+};
+
+// Saved posts and the reading lists they are filed under. Bookmarks without a
+// list make up the general "Saved" list.
+class BookmarkService {
+  // `list` is a reading list id, 'saved' for bookmarks outside any list, or 'all'
+  buildFilter(userId, { list = 'all', unread = false } = {}) {
+    const filter = { user: userId };
+    if (list === 'saved') {
+      filter.list = null;
+    } else if (list !== 'all') {
+      filter.list = list;
+    }
+    if (unread) {
+      filter.readAt = null;
+    }
+    return filter;
+  }
+
+  // Page of bookmarks with their (serialized) posts. A single list is shown in its
+  // own order; 'all' is most recently saved first.
+  async getBookmarks(user, { list = 'all', unread = false, page = 1, limit = 20 } = {}) {
+    const filter = this.buildFilter(user._id, { list, unread });
+    const sort = list === 'all' ? { createdAt: -1 } : { position: 1, createdAt: 1 };
+
+    const [bookmarks, total] = await Promise.all([
+      Bookmark.find(filter)
+        .populate(postPopulate)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Bookmark.countDocuments(filter)
+    ]);
+
+    // Posts removed since they were saved drop out of the page
+    const visible = bookmarks.filter((bookmark) => bookmark.post);
+    const posts = await postSerializer.serializeMany(visible.map((bookmark) => bookmark.post), user);
+
+    return {
+      bookmarks: visible.map((bookmark, index) => ({
+        ...this.format(bookmark),
+        post: posts[index]
+      })),
+      total
+    };
+  }
+
+  format(bookmark) {
+    return {
+      _id: bookmark._id,
+      list: bookmark.list,
+      position: bookmark.position,
+      note: bookmark.note,
+      readAt: bookmark.readAt,
+      createdAt: bookmark.createdAt
+    };
+  }
+
+  // A null list id is the general "Saved" list, which always exists
+  async listExists(userId, listId) {
+    if (!listId) {
+      return true;
+    }
+    return Boolean(await ReadingList.exists({ _id: listId, user: userId }));
+  }
+
+  async nextPosition(userId, listId) {
+    const last = await Bookmark.findOne({ user: userId, list: listId }).sort({ position: -1 }).select('position');
+    return last ? last.position + 1 : 0;
+  }
+
+  // Returns { bookmark, created }; saving an already saved post returns the existing bookmark
+  async save(userId, postId, { listId = null, note = '' } = {}) {
+    const existing = await Bookmark.findOne({ user: userId, post: postId });
+    if (existing) {
+      return { bookmark: existing, created: false };
+    }
+
+    try {
+      const bookmark = await Bookmark.create({
+        user: userId,
+        post: postId,
+        list: listId,
+        note,
+        position: await this.nextPosition(userId, listId)
+      });
+      return { bookmark, created: true };
+    } catch (error) {
+      // Saved twice at the same moment
+      if (error.code === 11000) {
+        return { bookmark: await Bookmark.findOne({ user: userId, post: postId }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  // Moving to another list puts the bookmark at the end of it
+  async update(bookmark, { listId, note, read }) {
+    if (listId !== undefined && String(listId) !== String(bookmark.list)) {
+      bookmark.list = listId;
+      bookmark.position = await this.nextPosition(bookmark.user, listId);
+    }
+    if (note !== undefined) {
+      bookmark.note = note;
+    }
+    if (read !== undefined) {
+      bookmark.readAt = read ? bookmark.readAt || new Date() : null;
+    }
+    await bookmark.save();
+    return bookmark;
+  }
+
+  // Put the given bookmarks of one list in this order. They take over the positions
+  // they already hold between them, so a single page of a long list can be reordered
+  // without touching the rest. Returns false if any id isn't a bookmark in that list.
+  async reorder(userId, listId, bookmarkIds) {
+    const bookmarks = await Bookmark.find({ _id: { $in: bookmarkIds }, user: userId, list: listId }).select('position');
+    // A repeated id also leaves the counts unequal
+    if (bookmarks.length !== bookmarkIds.length) {
+      return false;
+    }
+
+    const positions = bookmarks.map((bookmark) => bookmark.position).sort((a, b) => a - b);
+    await Bookmark.bulkWrite(bookmarkIds.map((id, index) => ({
+      updateOne: { filter: { _id: id, user: userId }, update: { $set: { position: positions[index] } } }
+    })));
+    return true;
+  }
+
+  // Opening a saved post marks it as read
+  async markRead(userId, postId) {
+    await Bookmark.updateOne({ user: userId, post: postId, readAt: null }, { $set: { readAt: new Date() } });
+  }
+
+  // Reading lists with the number of posts in each, after the general "Saved" list
+  async getLists(userId) {
+    const [lists, counts] = await Promise.all([
+      ReadingList.find({ user: userId }).sort({ createdAt: 1 }),
+      Bookmark.aggregate([
+        { $match: { user: userId } },
+        {
+          $group: {
+            _id: '$list',
+            count: { $sum: 1 },
+            unread: { $sum: { $cond: [{ $eq: ['$readAt', null] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const countFor = (listId) => counts.find((entry) => String(entry._id) === String(listId)) || { count: 0, unread: 0 };
+    const saved = countFor(null);
+
+    return {
+      saved: { count: saved.count, unread: saved.unread },
+      lists: lists.map((list) => ({
+        _id: list._id,
+        name: list.name,
+        description: list.description,
+        count: countFor(list._id).count,
+        unread: countFor(list._id).unread,
+        createdAt: list.createdAt
+      }))
+    };
+  }
+
+  // Bookmarks in a deleted list move to the end of the general "Saved" list
+  async deleteList(list) {
+    const bookmarks = await Bookmark.find({ user: list.user, list: list._id }).sort({ position: 1 }).select('_id');
+    const start = await this.nextPosition(list.user, null);
+
+    if (bookmarks.length > 0) {
+      await Bookmark.bulkWrite(bookmarks.map((bookmark, index) => ({
+        updateOne: { filter: { _id: bookmark._id }, update: { $set: { list: null, position: start + index } } }
+      })));
+    }
+    await ReadingList.deleteOne({ _id: list._id });
+  }
+
+  // Saved posts the user hasn't opened yet, most recently saved first
+  async getUnreadPosts(userId, limit = 5) {
+    const bookmarks = await Bookmark.find({ user: userId, readAt: null })
+      .populate(postPopulate)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return bookmarks.map((bookmark) => bookmark.post).filter(Boolean);
+  }
+
+  async deleteUserData(userId) {
+    await Bookmark.deleteMany({ user: userId });
+    await ReadingList.deleteMany({ user: userId });
+  }
+}
+
+module.exports = new BookmarkService();
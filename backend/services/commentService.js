@@ -0,0 +1,126 @@
+const { Post, Comment } = require('../models');
+const feedService = require('./feedService');
+const personalizationService = require('./personalizationService');
+
+// Replies to a comment at this depth become siblings of it instead of nesting further
+const MAX_DEPTH = 3;
+const COMMENT_SORT = { createdAt: 1 };
+const userPopulate = { path: 'user', select: 'name profilePicture' };
+
+// Threaded comments stored in the Comment collection. Post.commentCount is kept
+// in step with the number of visible (not deleted) comments.
+class CommentService {
+  // One page of a post's top-level comments, or of the replies to `parent`, oldest
+  // first. Returns { comments, nextCursor, hasNextPage }, or null for an invalid cursor.
+  async getPage(postId, { parent = null, cursor = null, limit = 20 } = {}) {
+    const conditions = [{ post: postId, parent }];
+
+    if (cursor) {
+      const position = feedService.decodeCursor(cursor, COMMENT_SORT);
+      if (!position) {
+        return null;
+      }
+      conditions.push(feedService.cursorFilter(COMMENT_SORT, position));
+    }
+
+    const comments = await Comment.find({ $and: conditions })
+      .populate(userPopulate)
+      .sort({ ...COMMENT_SORT, _id: 1 })
+      .limit(limit + 1);
+
+    const hasNextPage = comments.length > limit;
+    const page = hasNextPage ? comments.slice(0, limit) : comments;
+
+    return {
+      comments: page,
+      nextCursor: hasNextPage ? feedService.encodeCursor(page[page.length - 1], COMMENT_SORT) : null,
+      hasNextPage
+    };
+  }
+
+  // Returns { comment, commentCount }, or null when the parent comment can't be replied to
+  async addComment(post, userId, { content, parentId = null }) {
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, post: post._id, isDeleted: false });
+      if (!parent) {
+        return null;
+      }
+      if (parent.depth >= MAX_DEPTH) {
+        parent = await Comment.findById(parent.parent);
+      }
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      user: userId,
+      parent: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      content
+    });
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+    const updatedPost = await Post.adjustCounters(post._id, { commentCount: 1 });
+    await personalizationService.recordInteraction(userId, post, 'comment');
+
+    await comment.populate(userPopulate);
+    return { comment, commentCount: updatedPost.commentCount };
+  }
+
+  async editComment(comment, content) {
+    comment.content = content;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate(userPopulate);
+    return comment;
+  }
+
+  // Comments with replies are blanked so the thread stays intact; others are
+  // removed, along with any blanked ancestors left without replies.
+  // Returns the post's new commentCount.
+  async deleteComment(comment) {
+    if (comment.replyCount > 0) {
+      comment.isDeleted = true;
+      comment.content = '';
+      comment.user = null;
+      await comment.save();
+    } else {
+      await this.removeLeaf(comment);
+    }
+
+    const updatedPost = await Post.adjustCounters(comment.post, { commentCount: -1 });
+    return updatedPost ? updatedPost.commentCount : 0;
+  }
+
+  async removeLeaf(comment) {
+    await Comment.deleteOne({ _id: comment._id });
+    if (!comment.parent) {
+      return;
+    }
+
+    const parent = await Comment.findOneAndUpdate(
+      { _id: comment.parent },
+      { $inc: { replyCount: -1 } },
+      { new: true }
+    );
+    if (parent && parent.isDeleted && parent.replyCount <= 0) {
+      await this.removeLeaf(parent);
+    }
+  }
+
+  // Account deletion: delete the user's comments, deepest first so that as many
+  // as possible are removed outright rather than left as placeholders
+  async deleteUserComments(userId) {
+    const comments = await Comment.find({ user: userId }).select('_id').sort({ depth: -1 });
+    for (const { _id } of comments) {
+      const comment = await Comment.findById(_id);
+      if (comment && !comment.isDeleted) {
+        await this.deleteComment(comment);
+      }
+    }
+  }
+}
+
+module.exports = new CommentService();
@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { User, Post, Category, Comment, Reaction, Bookmark, ReadingList, Affinity, SeenPost, InteractionEvent, Contact, EmailDigest, DataExport, Session } = require('../models');
+const emailService = require('./emailService');
+const imageService = require('./imageService');
+const ZipArchive = require('./zipArchive');
+
+const EXPORTS_DIR = path.join(__dirname, '..', 'exports');
+
+// Files written to every archive, alongside manifest.json and images/
+const DATA_FILES = {
+  profile: 'Your account details and preferences',
+  posts: 'Posts you created',
+  comments: 'Comments you wrote',
+  reactions: 'Your reactions to posts',
+  bookmarks: 'Posts you saved, with the reading list and note for each',
+  readingLists: 'Reading lists you created',
+  affinities: 'Categories and authors your personalized feed learned you engage with',
+  viewedPosts: 'Posts you opened in the last 30 days, used to rank your feed',
+  interactions: 'Views, reading time, shares and source clicks recorded in the last 90 days',
+  reports: 'Posts you reported',
+  contacts: 'Messages sent through the contact form with your email address',
+  digests: 'Email digests prepared for you, with open and click history',
+  sessions: 'Logins on your devices, with the IP address and when each was last used'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class DataExportService {
+  constructor() {
+    // Exports above either limit are built in the background and emailed as a link
+    this.maxInlineRecords = parseInt(process.env.EXPORT_INLINE_MAX_RECORDS) || 500;
+    this.maxInlineBytes = parseInt(process.env.EXPORT_INLINE_MAX_BYTES) || 10 * 1024 * 1024; // 10MB
+    this.linkTtlHours = parseInt(process.env.EXPORT_LINK_TTL_HOURS) || 48;
+  }
+
+  get apiUrl() {
+    return process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  }
+
+  // Gather everything stored about a user. Images are listed but not read yet.
+  async collectUserData(userId) {
+    const user = await User.findById(userId)
+      .select('-verificationToken -verificationExpires -passwordResetToken -passwordResetExpires +loginSecurity.knownDevices')
+      .populate('interests', 'name slug')
+      .lean();
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [posts, comments, reactions, bookmarks, readingLists, affinities, viewedPosts, interactions, reports, contacts, digests, sessions] = await Promise.all([
+      Post.find({ author: user._id })
+        .populate('categories', 'name slug')
+        .sort({ createdAt: -1 })
+        .lean(),
+      this.findComments(user._id),
+      this.findReactions(user._id),
+      this.findBookmarks(user._id),
+      ReadingList.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+      this.findAffinities(user._id),
+      SeenPost.find({ user: user._id }).populate('post', 'title').sort({ seenAt: -1 }).lean(),
+      InteractionEvent.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+      this.findEmbedded(user._id, 'reportedBy', { reason: '$reportedBy.reason' }),
+      Contact.find({ email: user.email }).sort({ createdAt: -1 }).lean(),
+      EmailDigest.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+      Session.find({ user: user._id }).sort({ createdAt: -1 }).lean()
+    ]);
+
+    const data = {
+      profile: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        bio: user.bio,
+        profilePicture: user.profilePicture,
+        role: user.role,
+        isVerified: user.isVerified,
+        interests: user.interests,
+        emailPreferences: user.emailPreferences,
+        gdprConsent: user.gdprConsent,
+        gdprConsentDate: user.gdprConsentDate,
+        // Accounts at external login providers linked to this one
+        identities: (user.identities || []).map((identity) => ({
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email,
+          linkedAt: identity.linkedAt
+        })),
+        lastActive: user.lastActive,
+        // Devices and IP addresses logged in from, to spot logins from new ones
+        knownDevices: ((user.loginSecurity && user.loginSecurity.knownDevices) || []).map((entry) => ({
+          device: entry.device,
+          ip: entry.ip,
+          lastSeenAt: entry.lastSeenAt
+        })),
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      // Only counts are exported for other people's reactions, comments and reports
+      posts: posts.map((post) => ({
+        id: post._id,
+        title: post.title,
+        content: post.content,
+        type: post.type,
+        image: post.image,
+        link: post.link,
+        categories: post.categories,
+        tags: post.tags,
+        isNews: post.isNews,
+        originalSource: post.originalSource,
+        publishedAt: post.publishedAt,
+        isActive: post.isActive,
+        reactionCounts: post.reactionCounts,
+        commentCount: post.commentCount,
+        shares: post.shares,
+        views: post.views,
+        createdAt: post.createdAt,
+        updatedAt: post.updatedAt
+      })),
+      comments,
+      reactions,
+      bookmarks,
+      readingLists: readingLists.map((list) => ({
+        id: list._id,
+        name: list.name,
+        description: list.description,
+        createdAt: list.createdAt
+      })),
+      affinities,
+      viewedPosts: viewedPosts.map((view) => ({
+        post: view.post ? view.post._id : null,
+        postTitle: view.post ? view.post.title : null,
+        seenAt: view.seenAt
+      })),
+      interactions: interactions.map((event) => ({
+        type: event.type,
+        post: event.post,
+        seconds: event.seconds,
+        createdAt: event.createdAt
+      })),
+      reports,
+      contacts: contacts.map((contact) => ({
+        id: contact._id,
+        name: contact.name,
+        email: contact.email,
+        message: contact.message,
+        status: contact.status,
+        adminNotes: contact.adminNotes,
+        createdAt: contact.createdAt
+      })),
+      digests: digests.map((digest) => ({
+        id: digest._id,
+        digestType: digest.digestType,
+        channel: digest.channel,
+        posts: digest.posts,
+        sentAt: digest.sentAt,
+        emailOpened: digest.emailOpened,
+        openedAt: digest.openedAt,
+        clickedPosts: digest.clickedPosts.map((click) => ({ post: click.post, clickedAt: click.clickedAt })),
+        createdAt: digest.createdAt
+      })),
+      // Token hashes are left out; they are of no use outside the server
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        revokedAt: session.revokedAt,
+        revokedReason: session.revokedReason
+      }))
+    };
+
+    const imagePaths = [user.profilePicture, ...posts.map((post) => post.image)];
+    const images = await this.findImages(imagePaths);
+
+    return { user, data, images };
+  }
+
+  // The user's comments and replies, with the post they belong to
+  async findComments(userId) {
+    const comments = await Comment.find({ user: userId })
+      .populate('post', 'title author')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return comments.map((comment) => ({
+      id: comment._id,
+      post: comment.post ? comment.post._id : null,
+      postTitle: comment.post ? comment.post.title : null,
+      onOwnPost: Boolean(comment.post && comment.post.author && comment.post.author.equals(userId)),
+      inReplyTo: comment.parent,
+      content: comment.content,
+      editedAt: comment.editedAt,
+      createdAt: comment.createdAt
+    }));
+  }
+
+  async findReactions(userId) {
+    const reactions = await Reaction.find({ user: userId })
+      .populate('post', 'title author')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return reactions.map((reaction) => ({
+      post: reaction.post ? reaction.post._id : null,
+      postTitle: reaction.post ? reaction.post.title : null,
+      onOwnPost: Boolean(reaction.post && reaction.post.author && reaction.post.author.equals(userId)),
+      type: reaction.type,
+      createdAt: reaction.createdAt
+    }));
+  }
+
+  async findBookmarks(userId) {
+    const bookmarks = await Bookmark.find({ user: userId })
+      .populate('post', 'title')
+      .populate('list', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return bookmarks.map((bookmark) => ({
+      post: bookmark.post ? bookmark.post._id : null,
+      postTitle: bookmark.post ? bookmark.post.title : null,
+      list: bookmark.list ? bookmark.list.name : null,
+      note: bookmark.note,
+      readAt: bookmark.readAt,
+      createdAt: bookmark.createdAt
+    }));
+  }
+
+  // Learned affinities, named after the category or author they are for
+  async findAffinities(userId) {
+    const affinities = await Affinity.find({ user: userId }).sort({ kind: 1, score: -1 }).lean();
+    const targets = (kind) => affinities.filter((affinity) => affinity.kind === kind).map((affinity) => affinity.target);
+    const [categories, authors] = await Promise.all([
+      Category.find({ _id: { $in: targets('category') } }).select('name').lean(),
+      User.find({ _id: { $in: targets('author') } }).select('name').lean()
+    ]);
+    const names = new Map([...categories, ...authors].map((doc) => [doc._id.toString(), doc.name]));
+
+    return affinities.map((affinity) => ({
+      kind: affinity.kind,
+      target: affinity.target,
+      name: names.get(affinity.target.toString()) || null,
+      score: affinity.score,
+      scoredAt: affinity.scoredAt
+    }));
+  }
+
+  // The user's own entries in one of the arrays embedded in posts, with the post they belong to
+  async findEmbedded(userId, field, extraFields = {}) {
+    return Post.aggregate([
+      { $match: { [`${field}.user`]: userId } },
+      { $unwind: `$${field}` },
+      { $match: { [`${field}.user`]: userId } },
+      {
+        $project: {
+          _id: 0,
+          id: `$${field}._id`,
+          post: '$_id',
+          postTitle: '$title',
+          onOwnPost: { $eq: ['$author', userId] },
+          ...extraFields,
+          createdAt: `$${field}.createdAt`
+        }
+      },
+      { $sort: { createdAt: -1 } }
+    ]);
+  }
+
+  // Uploaded files that still exist on disk, with their place in the archive
+  async findImages(publicPaths) {
+    const unique = [...new Set(publicPaths.filter(Boolean))];
+    const images = [];
+
+    for (const publicPath of unique) {
+      const filepath = imageService.resolvePath(publicPath);
+      if (!filepath) {
+        continue;
+      }
+
+      try {
+        const stats = await fs.stat(filepath);
+        images.push({
+          source: publicPath,
+          filepath,
+          path: `images/${path.posix.relative('/uploads', publicPath)}`,
+          size: stats.size
+        });
+      } catch {
+        // File was removed from disk; the manifest still lists the path in the JSON data
+      }
+    }
+
+    return images;
+  }
+
+  // Rough size of a user's export, from counts and file sizes, to decide whether
+  // to build it in the background before collecting anything
+  async measureExport(user) {
+    const [posts, ...counts] = await Promise.all([
+      Post.find({ author: user._id }).select('image').lean(),
+      Comment.countDocuments({ user: user._id }),
+      Reaction.countDocuments({ user: user._id }),
+      Bookmark.countDocuments({ user: user._id }),
+      ReadingList.countDocuments({ user: user._id }),
+      Affinity.countDocuments({ user: user._id }),
+      SeenPost.countDocuments({ user: user._id }),
+      InteractionEvent.countDocuments({ user: user._id }),
+      Contact.countDocuments({ email: user.email }),
+      EmailDigest.countDocuments({ user: user._id }),
+      Session.countDocuments({ user: user._id })
+    ]);
+    const images = await this.findImages([user.profilePicture, ...posts.map((post) => post.image)]);
+
+    return {
+      records: posts.length + counts.reduce((total, count) => total + count, 0),
+      imageBytes: images.reduce((total, image) => total + image.size, 0)
+    };
+  }
+
+  isLargeExport({ records, imageBytes }) {
+    return records > this.maxInlineRecords || imageBytes > this.maxInlineBytes;
+  }
+
+  // Write the archive to `output` (a file or the response), ending it when done.
+  // Resolves to the archive size.
+  async buildArchive({ user, data, images }, output) {
+    const archive = new ZipArchive(output);
+
+    await archive.addJson('manifest.json', {
+      format: 'intelixir-data-export',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      user: { id: user._id, email: user.email },
+      files: Object.entries(DATA_FILES).map(([key, description]) => ({
+        path: `${key}.json`,
+        description,
+        records: Array.isArray(data[key]) ? data[key].length : 1
+      })),
+      images: images.map((image) => ({ path: image.path, source: image.source, size: image.size }))
+    });
+
+    for (const key of Object.keys(DATA_FILES)) {
+      await archive.addJson(`${key}.json`, data[key]);
+    }
+
+    for (const image of images) {
+      await archive.addFileFromPath(image.path, image.filepath);
+    }
+
+    return archive.finish();
+  }
+
+  // An export that is still being built, so repeated requests don't start another one
+  async findActiveExport(userId) {
+    return DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } })
+      .sort({ createdAt: -1 });
+  }
+
+  async getLatestExport(userId) {
+    return DataExport.findOne({ user: userId }).sort({ createdAt: -1 });
+  }
+
+  // Record a background export and start building it after the response is sent
+  async queueExport(user) {
+    const dataExport = await DataExport.create({ user: user._id });
+
+    setImmediate(() => {
+      this.processExport(dataExport, user).catch((error) => {
+        console.error('Data export error:', error);
+      });
+    });
+
+    return dataExport;
+  }
+
+  async processExport(dataExport, user) {
+    const filename = `${dataExport._id}.zip`;
+    const filepath = path.join(EXPORTS_DIR, filename);
+
+    try {
+      dataExport.status = 'processing';
+      await dataExport.save();
+
+      const collected = await this.collectUserData(user._id);
+      await fs.mkdir(EXPORTS_DIR, { recursive: true });
+      const size = await this.buildArchive(collected, createWriteStream(filepath));
+
+      const token = crypto.randomBytes(32).toString('hex');
+
+      dataExport.status = 'ready';
+      dataExport.filename = filename;
+      dataExport.size = size;
+      dataExport.downloadTokenHash = hashToken(token);
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + this.linkTtlHours * 60 * 60 * 1000);
+      await dataExport.save();
+
+      await emailService.sendDataExportEmail(collected.user, {
+        downloadUrl: `${this.apiUrl}/api/users/export-data/${dataExport._id}/download?token=${token}`,
+        expiresIn: `${this.linkTtlHours} hours`,
+        size
+      });
+    } catch (error) {
+      await fs.unlink(filepath).catch(() => {});
+      dataExport.status = 'failed';
+      dataExport.error = error.message;
+      await dataExport.save();
+      throw error;
+    }
+  }
+
+  // Returns the archive path for a valid, unexpired download link, otherwise null
+  async getDownload(exportId, token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: exportId,
+      status: 'ready',
+      expiresAt: { $gt: new Date() }
+    }).select('+downloadTokenHash');
+
+    if (!dataExport) {
+      return null;
+    }
+
+    const expected = Buffer.from(dataExport.downloadTokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    dataExport.downloadedAt = new Date();
+    await dataExport.save();
+
+    return path.join(EXPORTS_DIR, dataExport.filename);
+  }
+
+  // Remove every export record and archive belonging to a user
+  async deleteUserExports(userId) {
+    const exports = await DataExport.find({ user: userId, filename: { $exists: true } });
+
+    for (const dataExport of exports) {
+      try {
+        await fs.unlink(path.join(EXPORTS_DIR, dataExport.filename));
+      } catch {
+        // Already removed by the cleanup job
+      }
+    }
+
+    await DataExport.deleteMany({ user: userId });
+  }
+
+  // Delete archives whose link has expired and give up on exports that never finished
+  async cleanupExports() {
+    const now = new Date();
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+
+    for (const dataExport of expired) {
+      try {
+        await fs.unlink(path.join(EXPORTS_DIR, dataExport.filename));
+      } catch (error) {
+        console.log('Could not delete export file:', error.message);
+      }
+      dataExport.status = 'expired';
+      await dataExport.save();
+    }
+
+    const stale = await DataExport.updateMany(
+      { status: { $in: ['pending', 'processing'] }, createdAt: { $lte: new Date(now.getTime() - 24 * 60 * 60 * 1000) } },
+      { $set: { status: 'failed', error: 'Export did not finish' } }
+    );
+
+    return { expired: expired.length, failed: stale.modifiedCount };
+  }
+}
+
+module.exports = new DataExportService();
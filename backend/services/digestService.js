@@ -0,0 +1,165 @@
+const { User, Post, EmailDigest } = require('../models');
+const emailService = require('./emailService');
+const bookmarkService = require('./bookmarkService');
+const trendingService = require('./trendingService');
+
+class DigestService {
+  constructor() {
+    this.maxPostsPerDigest = parseInt(process.env.DIGEST_MAX_POSTS) || 10;
+    // How far back to look when a user has never received a digest of this type
+    this.defaultLookback = {
+      daily: 24 * 60 * 60 * 1000,
+      weekly: 7 * 24 * 60 * 60 * 1000,
+      trending: 24 * 60 * 60 * 1000
+    };
+    // Digest types users can subscribe to via emailPreferences.digestFrequency
+    this.frequencies = ['daily', 'weekly'];
+  }
+
+  async sendDailyDigests(options = {}) {
+    return this.sendDigests('daily', options);
+  }
+
+  async sendWeeklyDigests(options = {}) {
+    return this.sendDigests('weekly', options);
+  }
+
+  // Send (or preview, when dryRun is set) digests to every verified user
+  // subscribed to the given frequency
+  async sendDigests(digestType, { dryRun = false } = {}) {
+    if (!this.frequencies.includes(digestType)) {
+      throw new Error(`Unsupported digest type: ${digestType}`);
+    }
+
+    console.log(`Starting ${digestType} digest run${dryRun ? ' (dry run)' : ''}...`);
+
+    const result = { digestType, dryRun, processed: 0, sent: 0, skipped: 0, failed: 0, recipients: [] };
+
+    const users = User.find({
+      isVerified: true,
+      'emailPreferences.digestFrequency': digestType
+    })
+      .select('name email interests emailPreferences')
+      .cursor();
+
+    for await (const user of users) {
+      result.processed++;
+
+      try {
+        const since = await this.getLastDigestDate(user._id, digestType);
+        const posts = await this.getPostsForUser(user, since);
+
+        // Saved posts stay unread until opened, so on their own they would send
+        // the same digest every time; they only come along with new posts
+        if (posts.length === 0) {
+          result.skipped++;
+          continue;
+        }
+
+        const savedPosts = user.emailPreferences.includeSavedPosts
+          ? await bookmarkService.getUnreadPosts(user._id)
+          : [];
+
+        if (!dryRun) {
+          await emailService.sendDigestEmail(user, posts, digestType, null, savedPosts);
+        }
+
+        result.sent++;
+        result.recipients.push({
+          user: user._id,
+          email: user.email,
+          since,
+          posts: posts.map((post) => ({ id: post._id, title: post.title })),
+          savedPosts: savedPosts.map((post) => ({ id: post._id, title: post.title }))
+        });
+
+      } catch (error) {
+        console.error(`Error sending ${digestType} digest to ${user.email}:`, error);
+        result.failed++;
+      }
+    }
+
+    console.log(`${digestType} digest run completed. Sent: ${result.sent}, Skipped: ${result.skipped}, Failed: ${result.failed}`);
+    return result;
+  }
+
+  // Build a digest for the user from the default lookback window and store it
+  // as a web digest. Returns null when there is nothing to include.
+  async generateDigest(user, digestType) {
+    if (!this.defaultLookback[digestType]) {
+      throw new Error(`Unsupported digest type: ${digestType}`);
+    }
+
+    const since = new Date(Date.now() - this.defaultLookback[digestType]);
+    const posts = digestType === 'trending'
+      ? await this.getTrendingPosts(since)
+      : await this.getPostsForUser(user, since);
+
+    if (posts.length === 0) {
+      return null;
+    }
+
+    const now = new Date();
+    const digest = await EmailDigest.create({
+      user: user._id,
+      posts: posts.map((post) => post._id),
+      digestType,
+      channel: 'web',
+      sentAt: now,
+      windowEnd: now
+    });
+
+    // Hand back the populated posts without another query
+    digest.posts = posts;
+    return digest;
+  }
+
+  // Start of the window for the next digest: the end of the previous emailed
+  // digest's window, or the default lookback if the user has never received one.
+  // Digests recorded before windowEnd existed fall back to their send time.
+  async getLastDigestDate(userId, digestType) {
+    const lastDigest = await EmailDigest.findOne({ user: userId, digestType, channel: { $ne: 'web' } })
+      .sort({ windowEnd: -1, sentAt: -1 })
+      .select('windowEnd sentAt');
+
+    if (lastDigest) {
+      return lastDigest.windowEnd || lastDigest.sentAt;
+    }
+
+    return new Date(Date.now() - this.defaultLookback[digestType]);
+  }
+
+  // Top posts from the user's interest categories since the given date.
+  // Users without interests get the top posts across all categories.
+  async getPostsForUser(user, since, limit = this.maxPostsPerDigest) {
+    const query = {
+      isActive: true,
+      createdAt: { $gt: since }
+    };
+
+    const interests = (user.interests || []).map((interest) => interest._id || interest);
+    if (interests.length > 0) {
+      query.categories = { $in: interests };
+    }
+
+    return Post.find(query)
+      .populate('author', 'name')
+      .populate('categories', 'name color slug')
+      .sort({ engagement: -1, createdAt: -1 })
+      .limit(limit);
+  }
+
+  // Top posts of the trending ranking whose window best covers the given date
+  async getTrendingPosts(since, limit = this.maxPostsPerDigest) {
+    const window = Date.now() - since <= 24 * 60 * 60 * 1000 ? '24h' : '7d';
+    const { sort, filter } = trendingService.getSort(window);
+
+    return Post.find({ ...filter, isActive: true })
+      .populate('author', 'name')
+      .populate('categories', 'name color slug')
+      .sort(sort)
+      .limit(limit);
+  }
+}
+
+module.exports = new DigestService();
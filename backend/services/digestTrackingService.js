@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { EmailDigest } = require('../models');
+const personalizationService = require('./personalizationService');
+
+// 1x1 transparent GIF served by the open-tracking pixel
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+class DigestTrackingService {
+  constructor() {
+    this.pixel = TRACKING_PIXEL;
+  }
+
+  get secret() {
+    return process.env.DIGEST_TRACKING_SECRET || process.env.JWT_SECRET;
+  }
+
+  get apiUrl() {
+    return process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  }
+
+  // Signature over the digest (and post, for clicks) so tracking links can't be forged
+  sign(digestId, postId = '') {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${digestId}:${postId}`)
+      .digest('base64url')
+      .substring(0, 22);
+  }
+
+  verify(signature, digestId, postId = '') {
+    if (typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(digestId, postId));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  getOpenPixelUrl(digestId) {
+    return `${this.apiUrl}/api/digest/track/open/${digestId}.gif?sig=${this.sign(digestId)}`;
+  }
+
+  getClickUrl(digestId, postId) {
+    return `${this.apiUrl}/api/digest/track/click/${digestId}/${postId}?sig=${this.sign(digestId, postId)}`;
+  }
+
+  async recordOpen(digestId) {
+    await EmailDigest.updateOne(
+      { _id: digestId, emailOpened: false },
+      { $set: { emailOpened: true, openedAt: new Date() } }
+    );
+  }
+
+  // Only the first click on each post is stored, and teaches the recipient's
+  // personalized feed. A click also counts as an open, since many clients block
+  // the tracking pixel.
+  async recordClick(digestId, postId) {
+    await this.recordOpen(digestId);
+    const digest = await EmailDigest.findOneAndUpdate(
+      { _id: digestId, posts: postId, 'clickedPosts.post': { $ne: postId } },
+      { $push: { clickedPosts: { post: postId, clickedAt: new Date() } } }
+    ).select('user');
+
+    if (digest) {
+      await personalizationService.recordDigestClick(digest.user, postId);
+    }
+  }
+
+  async getDigestStats(digestId) {
+    const digest = await EmailDigest.findById(digestId)
+      .populate('user', 'name email')
+      .populate('clickedPosts.post', 'title');
+
+    if (!digest) {
+      return null;
+    }
+
+    const postCount = digest.posts.length;
+    const clickCount = digest.clickedPosts.length;
+
+    return {
+      id: digest._id,
+      user: digest.user,
+      digestType: digest.digestType,
+      channel: digest.channel,
+      sentAt: digest.sentAt,
+      emailOpened: digest.emailOpened,
+      openedAt: digest.openedAt,
+      postCount,
+      clickCount,
+      clickThroughRate: this.toRate(clickCount, postCount),
+      clicks: digest.clickedPosts.map((click) => ({
+        post: click.post,
+        clickedAt: click.clickedAt
+      }))
+    };
+  }
+
+  // Open rate and click-through rates for emailed digests sent in the last `days` days
+  async getAggregateStats({ days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { channel: { $ne: 'web' }, sentAt: { $gte: since } };
+
+    const [totals, byType, byCategory] = await Promise.all([
+      EmailDigest.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            sent: { $sum: 1 },
+            opened: { $sum: { $cond: ['$emailOpened', 1, 0] } },
+            clicked: { $sum: { $cond: [{ $gt: [{ $size: '$clickedPosts' }, 0] }, 1, 0] } },
+            postsDelivered: { $sum: { $size: '$posts' } },
+            postClicks: { $sum: { $size: '$clickedPosts' } }
+          }
+        }
+      ]),
+      EmailDigest.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$digestType',
+            sent: { $sum: 1 },
+            opened: { $sum: { $cond: ['$emailOpened', 1, 0] } },
+            clicked: { $sum: { $cond: [{ $gt: [{ $size: '$clickedPosts' }, 0] }, 1, 0] } }
+          }
+        },
+        { $sort: { sent: -1 } }
+      ]),
+      this.getCategoryClickStats(match)
+    ]);
+
+    const summary = totals[0] || { sent: 0, opened: 0, clicked: 0, postsDelivered: 0, postClicks: 0 };
+
+    return {
+      days,
+      sent: summary.sent,
+      opened: summary.opened,
+      clicked: summary.clicked,
+      openRate: this.toRate(summary.opened, summary.sent),
+      clickRate: this.toRate(summary.clicked, summary.sent),
+      clickThroughRate: this.toRate(summary.postClicks, summary.postsDelivered),
+      byType: byType.map((type) => ({
+        digestType: type._id,
+        sent: type.sent,
+        opened: type.opened,
+        clicked: type.clicked,
+        openRate: this.toRate(type.opened, type.sent),
+        clickRate: this.toRate(type.clicked, type.sent)
+      })),
+      byCategory
+    };
+  }
+
+  // Per category: how many digest slots its posts filled and how many of those were clicked
+  async getCategoryClickStats(match) {
+    const rows = await EmailDigest.aggregate([
+      { $match: match },
+      { $project: { posts: 1, clicked: '$clickedPosts.post' } },
+      { $unwind: '$posts' },
+      { $project: { post: '$posts', clicked: { $in: ['$posts', '$clicked'] } } },
+      {
+        $lookup: {
+          from: 'posts',
+          localField: 'post',
+          foreignField: '_id',
+          pipeline: [{ $project: { categories: 1 } }],
+          as: 'post'
+        }
+      },
+      { $unwind: '$post' },
+      { $unwind: '$post.categories' },
+      {
+        $group: {
+          _id: '$post.categories',
+          delivered: { $sum: 1 },
+          clicks: { $sum: { $cond: ['$clicked', 1, 0] } }
+        }
+      },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, color: 1 } }],
+          as: 'category'
+        }
+      },
+      { $unwind: '$category' },
+      { $sort: { delivered: -1 } }
+    ]);
+
+    return rows.map((row) => ({
+      category: row.category,
+      delivered: row.delivered,
+      clicks: row.clicks,
+      clickThroughRate: this.toRate(row.clicks, row.delivered)
+    }));
+  }
+
+  // Percentage with one decimal place
+  toRate(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+  }
+}
+
+module.exports = new DigestTrackingService();
@@ -1,9 +1,31 @@
 const nodemailer = require('nodemailer');
 const { EmailDigest } = require('../models');
 const { htmlToText } = require('html-to-text');
+const templateEngine = require('./templateEngine');
+const digestTrackingService = require('./digestTrackingService');
+const sampleData = require('../templates/emails/samples');
+
+// Subject line for each template in templates/emails
+const TEMPLATES = {
+  verification: { subject: () => 'Verify Your Intelixir Account' },
+  'password-reset': { subject: () => 'Reset Your Intelixir Password' },
+  welcome: { subject: () => 'Welcome to Intelixir!' },
+  digest: { subject: (data) => `Your ${data.digestType} Intelixir Digest - ${data.date}` },
+  'breaking-news': { subject: () => '🚨 Breaking News from Intelixir' },
+  'contact-notification': { subject: (data) => `New Contact Form Submission from ${data.name}` },
+  'data-export': { subject: () => 'Your Intelixir Data Export Is Ready' },
+  'account-deletion-scheduled': { subject: () => 'Your Intelixir Account Is Scheduled for Deletion' },
+  'account-deleted': { subject: () => 'Your Intelixir Account Has Been Deleted' },
+  'account-locked': { subject: () => 'Your Intelixir Account Has Been Locked' },
+  'new-login': { subject: () => 'New Login to Your Intelixir Account' },
+  'magic-link': { subject: () => 'Your Intelixir Login Link' },
+  'email-change-verification': { subject: () => 'Confirm Your New Intelixir Email Address' },
+  'email-change-notice': { subject: () => 'Your Intelixir Email Address Is Being Changed' }
+};
 
 class EmailService {
   constructor() {
+    this.templateEngine = templateEngine;
     this.transporter = nodemailer.createTransport({
       host: process.env.SMTP_HOST,
       port: parseInt(process.env.SMTP_PORT || '587', 10),
@@ -46,39 +68,126 @@ class EmailService {
     }
   }
 
+  // Render a template through the configured engine and send it
+  async sendTemplate(to, templateName, data) {
+    const { subject, html, text } = this.renderTemplate(templateName, data);
+    return this.sendEmail(to, subject, html, text);
+  }
+
+  renderTemplate(templateName, data = {}) {
+    const template = TEMPLATES[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const subject = template.subject(data);
+    const { html, text } = this.templateEngine.render(templateName, {
+      year: new Date().getFullYear(),
+      title: subject,
+      ...data
+    });
+
+    return {
+      subject,
+      html,
+      text: text || htmlToText(html)
+    };
+  }
+
+  setTemplateEngine(engine) {
+    this.templateEngine = engine;
+  }
+
+  // Render a template with its bundled sample data, for admin previews
+  previewTemplate(templateName) {
+    if (!sampleData[templateName]) {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+    return this.renderTemplate(templateName, sampleData[templateName]);
+  }
+
+  listTemplates() {
+    return Object.keys(TEMPLATES);
+  }
+
   async sendVerificationEmail(email, name, verificationUrl) {
-    const subject = 'Verify Your Intelixir Account';
-    const htmlContent = this.generateVerificationEmailHTML(name, verificationUrl);
-    return this.sendEmail(email, subject, htmlContent);
+    return this.sendTemplate(email, 'verification', {
+      name,
+      verificationUrl,
+      expiresIn: '24 hours'
+    });
   }
 
   async sendPasswordResetEmail(email, name, resetUrl) {
-    const subject = 'Reset Your Intelixir Password';
-    const htmlContent = this.generatePasswordResetEmailHTML(name, resetUrl);
-    return this.sendEmail(email, subject, htmlContent);
+    return this.sendTemplate(email, 'password-reset', {
+      name,
+      resetUrl,
+      expiresIn: '10 minutes'
+    });
   }
 
-  async sendWelcomeEmail(email, name) {
-    const subject = 'Welcome to Intelixir!';
-    const htmlContent = this.generateWelcomeEmailHTML(name);
-    return this.sendEmail(email, subject, htmlContent);
+  async sendMagicLinkEmail(email, name, loginUrl, expiresIn) {
+    return this.sendTemplate(email, 'magic-link', {
+      name,
+      loginUrl,
+      expiresIn
+    });
   }
 
-  async sendDigestEmail(user, posts, digestType = 'daily') {
-    try {
-      const subject = `Your ${digestType} Intelixir Digest - ${new Date().toDateString()}`;
-      const htmlContent = this.generateDigestEmailHTML(user, posts, digestType);
+  // Sent to the new address, which must be confirmed before the change takes effect
+  async sendEmailChangeVerificationEmail(user, newEmail, confirmUrl, expiresIn) {
+    return this.sendTemplate(newEmail, 'email-change-verification', {
+      name: user.name,
+      newEmail,
+      confirmUrl,
+      expiresIn
+    });
+  }
 
-      await this.sendEmail(user.email, subject, htmlContent);
+  // Sent to the current address when a change is requested
+  async sendEmailChangeNoticeEmail(user, newEmail) {
+    return this.sendTemplate(user.email, 'email-change-notice', {
+      name: user.name,
+      newEmail,
+      securityUrl: `${process.env.FRONTEND_URL}/profile`
+    });
+  }
 
-      const emailDigest = new EmailDigest({
+  async sendWelcomeEmail(email, name) {
+    return this.sendTemplate(email, 'welcome', {
+      name,
+      dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`
+    });
+  }
+
+  // Pass an existing digest to email it instead of recording a new one
+  // savedPosts are the user's unread bookmarks, listed after the new posts
+  async sendDigestEmail(user, posts, digestType = 'daily', existingDigest = null, savedPosts = []) {
+    try {
+      // Build the record first so its id can go into the tracking links
+      // windowEnd is the generation time, so for an existing digest it stays as is
+      const emailDigest = existingDigest || new EmailDigest({
         user: user._id,
         posts: posts.map((post) => post._id),
         digestType,
-        sentAt: new Date()
+        windowEnd: new Date()
       });
 
-      await emailDigest.save();
+      await this.sendTemplate(user.email, 'digest', this.buildDigestData(user, posts, digestType, emailDigest._id, savedPosts));
+
+      emailDigest.channel = 'email';
+      emailDigest.sentAt = new Date();
+
+      if (existingDigest) {
+        // An existing digest usually has its posts populated, with inactive posts
+        // matched out as null; saving it would drop those posts from the record
+        await EmailDigest.updateOne(
+          { _id: emailDigest._id },
+          { $set: { channel: emailDigest.channel, sentAt: emailDigest.sentAt } }
+        );
+      } else {
+        await emailDigest.save();
+      }
       return emailDigest;
     } catch (error) {
       console.error('Error sending digest email:', error);
@@ -87,107 +196,96 @@ class EmailService {
   }
 
   async sendBreakingNewsEmail(user, post) {
-    const subject = '🚨 Breaking News from Intelixir';
-    const htmlContent = this.generateBreakingNewsEmailHTML(user, post);
-    return this.sendEmail(user.email, subject, htmlContent);
+    return this.sendTemplate(user.email, 'breaking-news', {
+      name: user.name,
+      post: this.buildPostData(post),
+      preferencesUrl: `${process.env.FRONTEND_URL}/profile`
+    });
   }
 
   async sendContactFormNotification(contactData) {
-    const subject = `New Contact Form Submission from ${contactData.name}`;
-    const htmlContent = this.generateContactNotificationHTML(contactData);
-    return this.sendEmail(process.env.ADMIN_EMAIL, subject, htmlContent);
-  }
-
-  generateVerificationEmailHTML(name, verificationUrl) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Verify Your Email</title>
-        <style>
-            body { font-family: 'Poppins', Arial, sans-serif; line-height: 1.6; color: #2B2B2B; margin: 0; padding: 0; background-color: #F5F7FA; }
-            .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
-            .header { background: linear-gradient(135deg, #00A4EF 0%, #0056b3 100%); color: white; padding: 30px; text-align: center; }
-            .logo { font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-            .content { padding: 40px 30px; }
-            .button { display: inline-block; padding: 15px 30px; background: #00A4EF; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
-            .button:hover { background: #0056b3; }
-            .footer { background: #F5F7FA; padding: 20px; text-align: center; font-size: 14px; color: #666; }
-            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <div class="logo">Intelixir</div>
-                <p>AI-Powered Social News Platform</p>
-            </div>
-            <div class="content">
-                <h2>Welcome ${name}!</h2>
-                <p>Please verify your email address to complete your registration and start exploring personalized news and social features.</p>
-                <div style="text-align: center;">
-                    <a href="${verificationUrl}" class="button">Verify My Email</a>
-                </div>
-                <div class="warning">
-                    <strong>Security Notice:</strong> This verification link will expire in 24 hours. If you didn't create an account with Intelixir, please ignore this email.
-                </div>
-                <p>If the button doesn't work, copy and paste this link in your browser:</p>
-                <p style="word-break: break-all; color: #00A4EF;">${verificationUrl}</p>
-            </div>
-            <div class="footer">
-                <p>© 2024 Intelixir. All rights reserved.</p>
-            </div>
-        </div>
-    </body>
-    </html>`;
-  }
-
-  generatePasswordResetEmailHTML(name, resetUrl) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Reset Your Password</title>
-        <style>
-            body { font-family: 'Poppins', Arial, sans-serif; line-height: 1.6; color: #2B2B2B; margin: 0; padding: 0; background-color: #F5F7FA; }
-            .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
-            .header { background: linear-gradient(135deg, #00A4EF 0%, #0056b3 100%); color: white; padding: 30px; text-align: center; }
-            .logo { font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-            .content { padding: 40px 30px; }
-            .button { display: inline-block; padding: 15px 30px; background: #00A4EF; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
-            .button:hover { background: #0056b3; }
-            .footer { background: #F5F7FA; padding: 20px; text-align: center; font-size: 14px; color: #666; }
-            .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <div class="logo">Intelixir</div>
-                <p>AI-Powered Social News Platform</p>
-            </div>
-            <div class="content">
-                <h2>Hello ${name},</h2>
-                <p>We received a request to reset your password for your Intelixir account.</p>
-                <div style="text-align: center;">
-                    <a href="${resetUrl}" class="button">Reset My Password</a>
-                </div>
-                <div class="warning">
-                    <strong>Security Notice:</strong> This password reset link will expire in 1 hour. If you did not request a password reset, please ignore this email or contact support if you're concerned.
-                </div>
-                <p>If the button doesn't work, copy and paste this link in your browser:</p>
-                <p style="word-break: break-all; color: #00A4EF;">${resetUrl}</p>
-            </div>
-            <div class="footer">
-                <p>© 2024 Intelixir. All rights reserved.</p>
-            </div>
-        </div>
-    </body>
-    </html>`;
+    return this.sendTemplate(process.env.ADMIN_EMAIL, 'contact-notification', {
+      name: contactData.name,
+      email: contactData.email,
+      subject: contactData.subject,
+      message: contactData.message,
+      receivedAt: new Date(contactData.createdAt || Date.now()).toUTCString(),
+      adminUrl: `${process.env.FRONTEND_URL}/admin/contacts`
+    });
+  }
+
+  async sendDataExportEmail(user, { downloadUrl, expiresIn, size }) {
+    return this.sendTemplate(user.email, 'data-export', {
+      name: user.name,
+      downloadUrl,
+      expiresIn,
+      size: `${(size / (1024 * 1024)).toFixed(1)} MB`
+    });
+  }
+
+  async sendAccountDeletionScheduledEmail(user, scheduledFor) {
+    return this.sendTemplate(user.email, 'account-deletion-scheduled', {
+      name: user.name,
+      deletionDate: scheduledFor.toDateString(),
+      loginUrl: `${process.env.FRONTEND_URL}/login`
+    });
+  }
+
+  async sendAccountDeletedEmail(user) {
+    return this.sendTemplate(user.email, 'account-deleted', {
+      name: user.name
+    });
+  }
+
+  async sendAccountLockedEmail(user, lockedUntil) {
+    return this.sendTemplate(user.email, 'account-locked', {
+      name: user.name,
+      lockedUntil: lockedUntil.toUTCString(),
+      resetUrl: `${process.env.FRONTEND_URL}/reset-password`
+    });
+  }
+
+  async sendNewLoginEmail(user, { device, ip, time }) {
+    return this.sendTemplate(user.email, 'new-login', {
+      name: user.name,
+      device,
+      ip,
+      time: time.toUTCString(),
+      securityUrl: `${process.env.FRONTEND_URL}/profile`
+    });
+  }
+
+  // With a digest id, post links go through the click tracker and an open pixel is added
+  buildDigestData(user, posts, digestType, digestId = null, savedPosts = []) {
+    return {
+      name: user.name,
+      digestType,
+      date: new Date().toDateString(),
+      postCount: posts.length,
+      posts: posts.map((post) => ({
+        ...this.buildPostData(post),
+        ...(digestId && { url: digestTrackingService.getClickUrl(digestId, post._id) })
+      })),
+      savedPosts: savedPosts.map((post) => this.buildPostData(post)),
+      savedUrl: `${process.env.FRONTEND_URL}/saved`,
+      trackingPixelUrl: digestId ? digestTrackingService.getOpenPixelUrl(digestId) : null,
+      digestUrl: `${process.env.FRONTEND_URL}/digest`,
+      preferencesUrl: `${process.env.FRONTEND_URL}/profile`
+    };
+  }
+
+  buildPostData(post) {
+    const content = post.content || '';
+    return {
+      title: post.title || `${content.substring(0, 80)}${content.length > 80 ? '...' : ''}`,
+      excerpt: `${content.substring(0, 200)}${content.length > 200 ? '...' : ''}`,
+      url: `${process.env.FRONTEND_URL}/post/${post._id}`,
+      author: post.author && post.author.name ? post.author.name : '',
+      categories: (post.categories || [])
+        .map((category) => category.name)
+        .filter(Boolean)
+        .join(', ')
+    };
   }
 }
 
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const { Post } = require('../models');
+const trendingService = require('./trendingService');
+const personalizationService = require('./personalizationService');
+
+const SORT_OPTIONS = ['recent', 'popular', 'trending'];
+
+// A sort key value from a cursor: numbers, strings and null as they are, and dates
+// as { date }. Returns undefined for anything else.
+const decodeCursorValue = (value) => {
+  if (value === null || typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+    return value;
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1 && typeof value.date === 'string') {
+    const date = new Date(value.date);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  return undefined;
+};
+
+const postPopulate = [
+  { path: 'author', select: 'name profilePicture' },
+  { path: 'categories', select: 'name color slug' }
+];
+
+// Cursor-paginated post feeds. A cursor holds the sort key values of the last
+// post on a page (plus its _id as a tie-breaker), so the next page starts right
+// after it even when new posts arrive in between.
+class FeedService {
+  constructor() {
+    this.sortOptions = SORT_OPTIONS;
+  }
+
+  // Sort spec and any extra filter for a sortBy mode, matching GET /api/posts.
+  // 'relevance' ranks text search matches and needs a $text filter.
+  getSort(sortBy = 'recent') {
+    switch (sortBy) {
+      case 'popular':
+        return { sort: { engagement: -1, createdAt: -1 }, filter: {} };
+      case 'trending':
+        // The materialized 24 hour trending ranking
+        return trendingService.getSort('24h');
+      case 'relevance':
+        return {
+          sort: { score: -1, createdAt: -1 },
+          filter: {},
+          computed: { score: { $meta: 'textScore' } }
+        };
+      default: // 'recent'
+        return { sort: { createdAt: -1 }, filter: {} };
+    }
+  }
+
+  encodeCursor(doc, sort) {
+    const values = Object.keys(sort).map((key) => {
+      // Sort keys may be paths into subdocuments, e.g. trendingScores.24h
+      const value = key.split('.').reduce((object, part) => (object == null ? object : object[part]), doc);
+      return value instanceof Date ? { date: value.toISOString() } : value;
+    });
+    return Buffer.from(JSON.stringify({ values, id: doc._id.toString() })).toString('base64url');
+  }
+
+  // Returns null for malformed cursors or ones built for a different sort
+  decodeCursor(cursor, sort) {
+    try {
+      const { values, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!Array.isArray(values) || values.length !== Object.keys(sort).length || typeof id !== 'string' || !mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      // Values go straight into the query, so anything that could hold an operator is rejected
+      const decoded = values.map(decodeCursorValue);
+      if (decoded.some((value) => value === undefined)) {
+        return null;
+      }
+      return { values: decoded, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+      return null;
+    }
+  }
+
+  // Filter matching documents that sort strictly after the cursor position
+  cursorFilter(sort, cursor) {
+    const keys = [...Object.keys(sort), '_id'];
+    const values = [...cursor.values, cursor.id];
+    const direction = (key) => (key === '_id' ? sort[Object.keys(sort).pop()] : sort[key]);
+
+    return {
+      $or: keys.map((key, index) => {
+        const condition = {};
+        keys.slice(0, index).forEach((previousKey, previousIndex) => {
+          condition[previousKey] = values[previousIndex];
+        });
+        condition[key] = { [direction(key) < 0 ? '$lt' : '$gt']: values[index] };
+        return condition;
+      })
+    };
+  }
+
+  // Fetch one page of any model, sorted by `sort` with _id as the tie-breaker.
+  // `computed` adds sort keys that aren't stored (such as a text search score), in
+  // which case the page comes from an aggregation and holds plain objects; `select`
+  // only applies to pages fetched without it.
+  //
+  // Returns { items, nextCursor, hasNextPage }, or null when the cursor is invalid.
+  // Passing `page` instead of a cursor selects a numbered page (for admin tables),
+  // and the result then also has the total count.
+  async paginate(Model, { filter = {}, sort, cursor = null, page = null, limit = 10, populate = null, select = null, computed = null }) {
+    let position = null;
+    if (cursor) {
+      position = this.decodeCursor(cursor, sort);
+      if (!position) {
+        return null;
+      }
+    }
+
+    const fullSort = { ...sort, _id: sort[Object.keys(sort).pop()] };
+    const numbered = !position && Boolean(page);
+    const skip = numbered ? (page - 1) * limit : 0;
+
+    // Fetch one extra item to know whether another page exists
+    let items;
+    if (computed) {
+      const pipeline = [
+        { $match: Model.find().cast(Model, { ...filter }) },
+        { $addFields: computed },
+        ...(position ? [{ $match: this.cursorFilter(sort, position) }] : []),
+        { $sort: fullSort },
+        { $skip: skip },
+        { $limit: limit + 1 }
+      ];
+      items = await Model.aggregate(pipeline);
+      if (populate) {
+        items = await Model.populate(items, populate);
+      }
+    } else {
+      let query = Model.find(position ? { $and: [filter, this.cursorFilter(sort, position)] } : filter)
+        .sort(fullSort)
+        .skip(skip)
+        .limit(limit + 1);
+      if (select) query = query.select(select);
+      if (populate) query = query.populate(populate);
+      items = await query;
+    }
+
+    const hasNextPage = items.length > limit;
+    const pageItems = hasNextPage ? items.slice(0, limit) : items;
+    const result = {
+      items: pageItems,
+      nextCursor: hasNextPage ? this.encodeCursor(pageItems[pageItems.length - 1], sort) : null,
+      hasNextPage
+    };
+
+    if (numbered) {
+      result.total = await Model.countDocuments(filter);
+    }
+    return result;
+  }
+
+  // Personalized feeds page through a ranking stored on the first page, so their
+  // cursors name the ranking and an offset into it
+  encodeRankedCursor(feedId, offset) {
+    return Buffer.from(JSON.stringify({ feed: feedId.toString(), offset })).toString('base64url');
+  }
+
+  decodeRankedCursor(cursor) {
+    try {
+      const { feed, offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof feed !== 'string' || !mongoose.isValidObjectId(feed) || !Number.isInteger(offset) || offset < 0) {
+        return null;
+      }
+      return { feed: new mongoose.Types.ObjectId(feed), offset };
+    } catch {
+      return null;
+    }
+  }
+
+  // Fetch one page of posts. sortBy 'personalized' ranks posts for `viewer` (see
+  // personalizationService) and adds an `explanation` to each post; `refresh`
+  // ranks them again instead of reusing a recent ranking. Returns
+  // { posts, nextCursor, hasNextPage }, or null when the cursor is invalid.
+  async getPostsPage({ filter = {}, sortBy = 'recent', cursor = null, limit = 10, populate = postPopulate, viewer = null, refresh = false }) {
+    if (sortBy === 'personalized') {
+      return this.getPersonalizedPage({ filter, cursor, limit, populate, viewer, refresh });
+    }
+
+    const { sort, filter: sortFilter, computed = null } = this.getSort(sortBy);
+    const page = await this.paginate(Post, {
+      filter: { ...filter, ...sortFilter },
+      sort,
+      cursor,
+      limit,
+      populate,
+      computed
+    });
+
+    if (!page) {
+      return null;
+    }
+    return { posts: page.items, nextCursor: page.nextCursor, hasNextPage: page.hasNextPage };
+  }
+
+  // The first page starts from the user's recent ranking for the filter, or ranks
+  // the feed if there is none; later pages read on from that ranking. Posts
+  // deactivated in the meantime are left out, so a page can come up short.
+  async getPersonalizedPage({ filter, cursor, limit, populate, viewer, refresh = false }) {
+    let feed;
+    let offset = 0;
+    if (cursor) {
+      const position = this.decodeRankedCursor(cursor);
+      feed = position && await personalizationService.getRankedFeed(viewer, position.feed, filter);
+      if (!feed) {
+        return null;
+      }
+      offset = position.offset;
+    } else {
+      feed = (!refresh && await personalizationService.findRecentRankedFeed(viewer, filter)) ||
+        await personalizationService.rankFeed(viewer, filter);
+    }
+
+    const entries = feed.entries.slice(offset, offset + limit);
+    const found = await Post.find({ ...filter, _id: { $in: entries.map((entry) => entry.post) } })
+      .populate(populate)
+      .lean();
+    const byId = new Map(found.map((post) => [post._id.toString(), post]));
+
+    const posts = entries
+      .filter((entry) => byId.has(entry.post.toString()))
+      .map((entry) => {
+        const post = byId.get(entry.post.toString());
+        return { ...post, explanation: personalizationService.explain(post, entry.ranking, feed.profile) };
+      });
+    const hasNextPage = offset + limit < feed.entries.length;
+    return {
+      posts,
+      nextCursor: hasNextPage ? this.encodeRankedCursor(feed._id, offset + limit) : null,
+      hasNextPage
+    };
+  }
+}
+
+module.exports = new FeedService();
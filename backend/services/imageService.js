@@ -0,0 +1,122 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs').promises;
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+
+class ImageService {
+  constructor() {
+    // Multer configuration for image uploads, kept in memory for sharp
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
+      },
+      fileFilter: (req, file, cb) => {
+        // Check if file is an image
+        if (file.mimetype.startsWith('image/')) {
+          cb(null, true);
+        } else {
+          cb(new Error('Only image files are allowed'), false);
+        }
+      }
+    });
+  }
+
+  generateFilename() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}.jpg`;
+  }
+
+  // Helper function to ensure upload directory exists
+  async ensureUploadDir(folder) {
+    const uploadDir = path.join(UPLOADS_ROOT, folder);
+    try {
+      await fs.access(uploadDir);
+    } catch {
+      await fs.mkdir(uploadDir, { recursive: true });
+    }
+    return uploadDir;
+  }
+
+  // Process and save a post image
+  async processAndSaveImage(buffer, filename) {
+    const uploadDir = await this.ensureUploadDir('posts');
+    const filepath = path.join(uploadDir, filename);
+
+    // Process image with sharp
+    await sharp(buffer)
+      .resize(1200, 800, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .jpeg({
+        quality: 85,
+        progressive: true
+      })
+      .toFile(filepath);
+
+    return `/uploads/posts/${filename}`;
+  }
+
+  // Crop (optional region in source pixels) and save a square profile picture
+  async processAndSaveAvatar(buffer, filename, crop = null) {
+    const uploadDir = await this.ensureUploadDir('avatars');
+    const filepath = path.join(uploadDir, filename);
+
+    let image = sharp(buffer).rotate();
+
+    if (crop) {
+      // metadata() describes the image before rotation, and the crop is made on
+      // the upright image: orientations 5-8 turn it by 90 degrees
+      const metadata = await image.metadata();
+      const [width, height] = metadata.orientation >= 5
+        ? [metadata.height, metadata.width]
+        : [metadata.width, metadata.height];
+      const left = Math.min(Math.max(crop.x, 0), width - 1);
+      const top = Math.min(Math.max(crop.y, 0), height - 1);
+      image = image.extract({
+        left,
+        top,
+        width: Math.min(crop.width, width - left),
+        height: Math.min(crop.height, height - top)
+      });
+    }
+
+    await image
+      .resize(256, 256, { fit: 'cover', position: 'attention' })
+      .jpeg({
+        quality: 85,
+        progressive: true
+      })
+      .toFile(filepath);
+
+    return `/uploads/avatars/${filename}`;
+  }
+
+  // Map a public /uploads path to its file on disk, or null for anything outside uploads
+  resolvePath(publicPath) {
+    if (!publicPath || !publicPath.startsWith('/uploads/')) {
+      return null;
+    }
+
+    const filepath = path.join(UPLOADS_ROOT, path.relative('/uploads', publicPath));
+    return filepath.startsWith(UPLOADS_ROOT + path.sep) ? filepath : null;
+  }
+
+  // Remove a previously saved upload by its public /uploads path
+  async deleteImage(publicPath) {
+    const filepath = this.resolvePath(publicPath);
+    if (!filepath) {
+      return;
+    }
+
+    try {
+      await fs.unlink(filepath);
+    } catch (deleteError) {
+      console.log('Could not delete image file:', deleteError.message);
+    }
+  }
+}
+
+module.exports = new ImageService();
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Post, InteractionEvent } = require('../models');
+
+const DUPLICATE_KEY = 11000;
+const MINUTE = 60 * 1000;
+
+// Repeats of an interaction by the same viewer within this window are dropped
+const DEDUPE_WINDOWS = {
+  view: 30 * MINUTE,
+  dwell: 30 * MINUTE,
+  share: 60 * MINUTE,
+  click: 30 * MINUTE
+};
+// Post counter each event type adds to
+const COUNTERS = {
+  view: 'views',
+  share: 'shares',
+  click: 'clickThroughs',
+  dwell: 'dwellCount'
+};
+// Longest reading time a dwell event counts for
+const MAX_DWELL_SECONDS = 30 * 60;
+
+// Crawlers, link previewers, headless browsers and scripts
+const BOT_PATTERN = /bot|crawl|spider|slurp|scrape|preview|headless|phantom|lighthouse|facebookexternalhit|embedly|curl|wget|python|java\/|go-http|okhttp|axios|node-fetch|httpclient|^$/i;
+
+// Records views, reading time, shares and click-throughs as interaction events,
+// dropping bots and repeats, and rolls them up into post counters in the
+// background instead of writing to the post on every request.
+class InteractionService {
+  isBot(req) {
+    return BOT_PATTERN.test(req.get('user-agent') || '');
+  }
+
+  // Signed-in users are identified by id. Anonymous viewers by a keyed hash of
+  // their IP address and browser, so neither is stored.
+  viewerKey(req) {
+    if (req.user) {
+      return `u:${req.user._id}`;
+    }
+    const secret = process.env.INTERACTION_SECRET || process.env.JWT_SECRET;
+    const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+    return `a:${crypto.createHmac('sha256', secret).update(fingerprint).digest('base64url').substring(0, 22)}`;
+  }
+
+  // Record an interaction with a post. Returns false when it was dropped as a
+  // bot or a repeat within the type's dedupe window.
+  async record(req, post, type, { seconds = null } = {}) {
+    if (this.isBot(req)) {
+      return false;
+    }
+
+    const bucket = Math.floor(Date.now() / DEDUPE_WINDOWS[type]);
+    try {
+      await InteractionEvent.create({
+        type,
+        post: post._id,
+        user: req.user ? req.user._id : null,
+        seconds: type === 'dwell' ? Math.min(Math.round(seconds), MAX_DWELL_SECONDS) : null,
+        dedupeKey: `${type}:${post._id}:${this.viewerKey(req)}:${bucket}`
+      });
+      return true;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Add events not counted yet to the post counters. A run first stamps the
+  // events it is going to count with its own id, so when several servers run the
+  // job at once each event is counted by exactly one of them, however long a run
+  // takes. A run that dies after stamping leaves its events uncounted rather
+  // than counting any twice.
+  async aggregateCounters() {
+    const runId = new mongoose.Types.ObjectId();
+
+    // Pending events are stored with countedBy: null. Ones recorded before events
+    // were stamped have no countedBy at all and are already on the posts.
+    const { modifiedCount } = await InteractionEvent.updateMany(
+      { countedBy: { $type: 'null' } },
+      { $set: { countedBy: runId } }
+    );
+    if (modifiedCount === 0) {
+      return { posts: 0, events: 0 };
+    }
+
+    const totals = await InteractionEvent.aggregate([
+      { $match: { countedBy: runId } },
+      {
+        $group: {
+          _id: { post: '$post', type: '$type' },
+          count: { $sum: 1 },
+          seconds: { $sum: { $ifNull: ['$seconds', 0] } }
+        }
+      }
+    ]);
+
+    const increments = new Map();
+    let events = 0;
+    for (const total of totals) {
+      const key = total._id.post.toString();
+      const counters = increments.get(key) || {};
+      counters[COUNTERS[total._id.type]] = total.count;
+      if (total._id.type === 'dwell') {
+        counters.dwellSeconds = total.seconds;
+      }
+      increments.set(key, counters);
+      events += total.count;
+    }
+
+    for (const [postId, counters] of increments) {
+      await Post.adjustCounters(postId, counters);
+    }
+
+    return { posts: increments.size, events };
+  }
+
+  // Account deletion. Events the post counters already include are deleted; newer
+  // ones lose everything tying them to the user and are left for the next run to
+  // count (they expire with the other events).
+  async deleteUserData(userId) {
+    await InteractionEvent.deleteMany({ user: userId, countedBy: { $not: { $type: 'null' } } });
+    await InteractionEvent.updateMany({ user: userId }, [
+      { $set: { user: null, dedupeKey: { $concat: ['deleted:', { $toString: '$_id' }] } } }
+    ]);
+  }
+}
+
+module.exports = new InteractionService();
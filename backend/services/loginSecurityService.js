@@ -0,0 +1,113 @@
+const { User } = require('../models');
+const emailService = require('./emailService');
+const sessionService = require('./sessionService');
+
+const MAX_FAILED_ATTEMPTS = 5;
+// Failures further apart than this start the count again
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+// The first lockout lasts BASE_LOCK_MS and each further one doubles, up to MAX_LOCK_MS
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KNOWN_DEVICES = 20;
+
+// Per-account brute-force protection and new-device login alerts. Counters are
+// updated atomically so parallel attempts against one account all count.
+class LoginSecurityService {
+  isLocked(user) {
+    const { lockedUntil } = user.loginSecurity;
+    return Boolean(lockedUntil) && lockedUntil > new Date();
+  }
+
+  getLockDuration(lockCount) {
+    return Math.min(BASE_LOCK_MS * 2 ** lockCount, MAX_LOCK_MS);
+  }
+
+  // Count a failed password or two-factor code. Returns { locked, lockedUntil }.
+  async recordFailure(user) {
+    const now = new Date();
+
+    let updated = await User.findOneAndUpdate(
+      { _id: user._id, 'loginSecurity.lastFailedAt': { $gte: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+      { new: true }
+    );
+    if (!updated) {
+      updated = await User.findByIdAndUpdate(
+        user._id,
+        { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': now } },
+        { new: true }
+      );
+    }
+
+    if (!updated || updated.loginSecurity.failedAttempts < MAX_FAILED_ATTEMPTS) {
+      return { locked: false, lockedUntil: null };
+    }
+
+    // Only the request that reaches the threshold first applies the lock
+    const lockedUntil = new Date(now.getTime() + this.getLockDuration(updated.loginSecurity.lockCount));
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, 'loginSecurity.failedAttempts': { $gte: MAX_FAILED_ATTEMPTS } },
+      {
+        $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': lockedUntil },
+        $inc: { 'loginSecurity.lockCount': 1 }
+      },
+      { new: true }
+    );
+
+    if (!locked) {
+      return { locked: this.isLocked(updated), lockedUntil: updated.loginSecurity.lockedUntil };
+    }
+
+    try {
+      await emailService.sendAccountLockedEmail(locked, lockedUntil);
+    } catch (emailError) {
+      console.error('Failed to send account locked email:', emailError);
+    }
+
+    return { locked: true, lockedUntil };
+  }
+
+  // Reset failed attempts and any lockout. Changes the user without saving it.
+  clearFailures(user) {
+    user.loginSecurity.failedAttempts = 0;
+    user.loginSecurity.lastFailedAt = undefined;
+    user.loginSecurity.lockedUntil = undefined;
+    user.loginSecurity.lockCount = 0;
+  }
+
+  // Remember the device and IP of a successful login and email the user if the
+  // combination hasn't been seen before. The first login ever doesn't trigger an email.
+  async checkNewDevice(user, req) {
+    const device = sessionService.describeDevice(req.get('user-agent') || '');
+    const ip = req.ip;
+
+    const record = await User.findById(user._id).select('+loginSecurity.knownDevices');
+    const knownDevices = record.loginSecurity.knownDevices || [];
+    const known = knownDevices.find((entry) => entry.device === device && entry.ip === ip);
+
+    if (known) {
+      known.lastSeenAt = new Date();
+    } else {
+      knownDevices.push({ device, ip, lastSeenAt: new Date() });
+    }
+
+    const devices = knownDevices
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .slice(0, MAX_KNOWN_DEVICES)
+      .map(({ device: name, ip: address, lastSeenAt }) => ({ device: name, ip: address, lastSeenAt }));
+    await User.updateOne({ _id: user._id }, { $set: { 'loginSecurity.knownDevices': devices } });
+
+    const isNewDevice = !known && knownDevices.length > 1;
+    if (isNewDevice) {
+      try {
+        await emailService.sendNewLoginEmail(user, { device, ip, time: new Date() });
+      } catch (emailError) {
+        console.error('Failed to send new login email:', emailError);
+      }
+    }
+
+    return isNewDevice;
+  }
+}
+
+module.exports = new LoginSecurityService();
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { normalizeEmail } = require('validator');
+const { User, IdentityProvider } = require('../models');
+
+// Discovery documents and signing keys change rarely
+const METADATA_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const STATE_TOKEN_EXPIRE = '10m';
+const STATE_PURPOSE = 'oidc-login';
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+class OidcError extends Error {}
+
+// OpenID Connect authorization code flow (with PKCE) against providers stored
+// as IdentityProvider documents.
+class OidcService {
+  constructor() {
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  get apiUrl() {
+    return process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  }
+
+  getRedirectUri(provider) {
+    return `${this.apiUrl}/api/auth/oidc/${provider.slug}/callback`;
+  }
+
+  async getActiveProvider(slug, { withSecret = false } = {}) {
+    const query = IdentityProvider.findOne({ slug, isActive: true });
+    return withSecret ? query.select('+clientSecret') : query;
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(10000)
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const reason = body && (body.error_description || body.error);
+      throw new OidcError(`Request to ${url} failed with status ${response.status}${reason ? `: ${reason}` : ''}`);
+    }
+    return body;
+  }
+
+  async getDiscovery(issuer) {
+    const cached = this.discoveryCache.get(issuer);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL) {
+      return cached.document;
+    }
+
+    const document = await this.fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (document.issuer !== issuer) {
+      throw new OidcError(`Discovery document issuer ${document.issuer} does not match ${issuer}`);
+    }
+
+    this.discoveryCache.set(issuer, { document, fetchedAt: Date.now() });
+    return document;
+  }
+
+  // Public key for a token's key id. The key set is re-fetched once when the id is
+  // unknown, since providers rotate keys.
+  async getSigningKey(jwksUri, kid) {
+    const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    let cached = this.jwksCache.get(jwksUri);
+    let jwk = cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL && findKey(cached.keys);
+
+    if (!jwk) {
+      const { keys = [] } = await this.fetchJson(jwksUri);
+      cached = { keys, fetchedAt: Date.now() };
+      this.jwksCache.set(jwksUri, cached);
+      jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+      throw new OidcError('No matching signing key found for ID token');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Build the provider's authorization URL. The returned stateToken carries the
+  // state, nonce and PKCE verifier, and whether the user agreed to the processing
+  // of their data before leaving, and is kept in a cookie until the callback.
+  async createAuthorizationRequest(provider, { gdprConsent = false } = {}) {
+    const discovery = await this.getDiscovery(provider.issuer);
+
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: this.getRedirectUri(provider),
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    const stateToken = jwt.sign(
+      { purpose: STATE_PURPOSE, provider: provider.slug, state, nonce, codeVerifier, gdprConsent },
+      process.env.JWT_SECRET,
+      { expiresIn: STATE_TOKEN_EXPIRE }
+    );
+
+    return { url: `${discovery.authorization_endpoint}?${params}`, stateToken };
+  }
+
+  // Check the state returned by the provider against the one from the cookie
+  verifyState(stateToken, provider, state) {
+    let decoded;
+    try {
+      decoded = jwt.verify(stateToken || '', process.env.JWT_SECRET);
+    } catch {
+      throw new OidcError('Login session expired, please try again');
+    }
+
+    if (decoded.purpose !== STATE_PURPOSE || decoded.provider !== provider.slug || decoded.state !== state) {
+      throw new OidcError('Invalid login state, please try again');
+    }
+    return decoded;
+  }
+
+  // Exchange the authorization code and return the verified identity claims
+  async getIdentity(provider, { code, nonce, codeVerifier }) {
+    const discovery = await this.getDiscovery(provider.issuer);
+
+    const tokens = await this.fetchJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${Buffer.from(
+          `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`
+        ).toString('base64')}`
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getRedirectUri(provider),
+        code_verifier: codeVerifier
+      })
+    });
+
+    if (!tokens.id_token) {
+      throw new OidcError('Provider did not return an ID token');
+    }
+
+    const claims = await this.verifyIdToken(provider, discovery, tokens.id_token, nonce);
+
+    // Some providers only put the email in the userinfo response
+    if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await this.fetchJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      if (userInfo.sub === claims.sub) {
+        Object.assign(claims, { email: userInfo.email, email_verified: userInfo.email_verified, name: claims.name || userInfo.name });
+      }
+    }
+
+    return claims;
+  }
+
+  async verifyIdToken(provider, discovery, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new OidcError('Malformed ID token');
+    }
+
+    const key = await this.getSigningKey(discovery.jwks_uri, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: SUPPORTED_ALGORITHMS,
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw new OidcError(`Invalid ID token: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new OidcError('ID token nonce does not match');
+    }
+    return claims;
+  }
+
+  // Find the user for an external identity: an already linked account, else the account
+  // with the same (provider-verified) email, which gets linked, else a new account.
+  // Returns null when no account may be used. A new account needs the consent the
+  // user gave when starting the login (see createAuthorizationRequest).
+  async findOrCreateUser(provider, claims, { gdprConsent = false } = {}) {
+    const linked = await User.findOne({
+      identities: { $elemMatch: { provider: provider.slug, subject: claims.sub } }
+    });
+    if (linked) {
+      return linked;
+    }
+
+    // An unverified email could belong to anyone, so it can't be used for linking
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    if (!claims.email || !emailVerified) {
+      throw new OidcError('Your account at this provider has no verified email address');
+    }
+
+    // Normalized like the addresses users register and log in with
+    const email = normalizeEmail(claims.email);
+    if (!email) {
+      throw new OidcError('Your account at this provider has no valid email address');
+    }
+    const identity = { provider: provider.slug, subject: claims.sub, email };
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      existing.identities.push(identity);
+      // The provider has verified the address for us
+      if (!existing.isVerified) {
+        existing.isVerified = true;
+        existing.verificationToken = undefined;
+        existing.verificationExpires = undefined;
+      }
+      await existing.save();
+      return existing;
+    }
+
+    if (!provider.allowSignup) {
+      return null;
+    }
+    if (!gdprConsent) {
+      throw new OidcError('To sign up with this provider, start from the registration page and agree to the processing of your data');
+    }
+
+    return User.create({
+      name: this.getDisplayName(claims, email),
+      email,
+      // Unusable random password; the user can set one through the reset flow
+      password: crypto.randomBytes(32).toString('hex'),
+      isVerified: true,
+      gdprConsent: true,
+      gdprConsentDate: new Date(),
+      identities: [identity]
+    });
+  }
+
+  // Name that passes the registration rules (letters and spaces, 2-50 characters)
+  getDisplayName(claims, email) {
+    const candidates = [claims.name, [claims.given_name, claims.family_name].filter(Boolean).join(' '), email.split('@')[0]];
+    for (const candidate of candidates) {
+      const name = String(candidate || '').replace(/[^a-zA-Z\s]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 50);
+      if (name.length >= 2) {
+        return name;
+      }
+    }
+    return 'Intelixir User';
+  }
+}
+
+const oidcService = new OidcService();
+oidcService.OidcError = OidcError;
+
+module.exports = oidcService;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+const BREACHED_PASSWORDS_FILE = path.join(__dirname, '../data/breached-passwords.txt');
+// Shorter name parts (e.g. "Al") would reject too many reasonable passwords
+const MIN_PERSONAL_PART_LENGTH = 3;
+
+// The one place password rules live; used by registration, password reset and
+// password change.
+class PasswordPolicyService {
+  constructor() {
+    this.breachedPasswords = null;
+  }
+
+  // Loaded on first use and kept in memory
+  getBreachedPasswords() {
+    if (!this.breachedPasswords) {
+      this.breachedPasswords = new Set(
+        fs.readFileSync(BREACHED_PASSWORDS_FILE, 'utf8')
+          .split('\n')
+          .map((line) => line.trim())
+          .filter((line) => line && !line.startsWith('#'))
+      );
+    }
+    return this.breachedPasswords;
+  }
+
+  isBreached(password) {
+    return this.getBreachedPasswords().has(password.toLowerCase());
+  }
+
+  // Returns the first rule the password breaks, or null if it is acceptable.
+  // `user` supplies the name and email the password must not contain.
+  check(password, { name = '', email = '' } = {}) {
+    if (typeof password !== 'string' || password.length < MIN_LENGTH || password.length > MAX_LENGTH) {
+      return `Password must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters`;
+    }
+
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password)) {
+      return 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+    }
+
+    const lowered = password.toLowerCase();
+    const personalParts = [...String(name).split(/\s+/), String(email).split('@')[0]]
+      .map((part) => part.toLowerCase())
+      .filter((part) => part.length >= MIN_PERSONAL_PART_LENGTH);
+
+    if (personalParts.some((part) => lowered.includes(part))) {
+      return 'Password must not contain your name or email address';
+    }
+
+    if (this.isBreached(password)) {
+      return 'This password is too common and has appeared in data breaches. Please choose another one';
+    }
+
+    return null;
+  }
+
+  // express-validator custom validator; takes the name and email from the request body
+  validator() {
+    return (value, { req }) => {
+      const error = this.check(value, { name: req.body.name, email: req.body.email });
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    };
+  }
+}
+
+module.exports = new PasswordPolicyService();
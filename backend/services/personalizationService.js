@@ -0,0 +1,284 @@
+const { Post, Affinity, SeenPost, RankedFeed } = require('../models');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Affinity scores halve after this long without new interactions
+const AFFINITY_HALF_LIFE = 30 * DAY;
+
+// How much each kind of interaction teaches us about a user's taste
+const INTERACTION_WEIGHTS = {
+  view: 1,
+  reaction: 3,
+  digestClick: 4,
+  comment: 5
+};
+
+// Contribution of each ranking signal, all of which are scaled to 0..1
+const RANKING_WEIGHTS = {
+  category: 3,
+  author: 2,
+  recency: 2,
+  engagement: 1
+};
+// Posts the user has already opened keep this share of their score
+const SEEN_FACTOR = 0.2;
+// Following a category counts like this much learned affinity (1 is the user's favourite)
+const FOLLOW_AFFINITY = 1;
+// Engagement score at which the engagement signal is maxed out (log scale)
+const ENGAGEMENT_CEILING = 1000;
+const MAX_AUTHORS = 50;
+const MAX_SEEN = 500;
+// Candidates scored for a feed: the newest posts, and the newest posts in the
+// user's categories or by their authors
+const MAX_RECENT_CANDIDATES = 500;
+const MAX_AFFINE_CANDIDATES = 500;
+// Posts kept in a feed's ranking
+const MAX_RANKED = 500;
+// First pages reuse a ranking up to this old instead of ranking again
+const RANKED_FEED_MAX_AGE = 10 * 60 * 1000;
+
+// Sum of `score` over the entries of a literal [{ id, score }] list matching `id`
+const lookupScore = (entries, id) => ({
+  $reduce: {
+    input: { $literal: entries },
+    initialValue: 0,
+    in: { $add: ['$$value', { $cond: [{ $eq: ['$$this.id', id] }, '$$this.score', 0] }] }
+  }
+});
+
+// Personalized feed ranking. Each post is scored from the viewer's affinity for
+// its categories and author, how recent and how engaging it is, and whether the
+// viewer has already seen it. Affinities are learned from interactions and fade
+// over time.
+class PersonalizationService {
+  // Learn from a user interacting with a post. `post` needs its author and categories.
+  async recordInteraction(userId, post, type) {
+    const weight = INTERACTION_WEIGHTS[type];
+    if (!userId || !post || !weight) {
+      return;
+    }
+
+    const authorId = post.author && (post.author._id || post.author);
+    const targets = (post.categories || []).map((category) => ({ kind: 'category', target: category._id || category }));
+    // Engaging with your own posts says nothing about taste in authors
+    if (authorId && authorId.toString() !== userId.toString()) {
+      targets.push({ kind: 'author', target: authorId });
+    }
+    if (targets.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    // Decay the stored score to now, then add the new interaction
+    const decayedScore = {
+      $multiply: [
+        { $ifNull: ['$score', 0] },
+        { $pow: [0.5, { $divide: [{ $subtract: [now, { $ifNull: ['$scoredAt', now] }] }, AFFINITY_HALF_LIFE] }] }
+      ]
+    };
+
+    await Affinity.bulkWrite(targets.map(({ kind, target }) => ({
+      updateOne: {
+        filter: { user: userId, kind, target },
+        update: [{ $set: { score: { $add: [decayedScore, weight] }, scoredAt: now } }],
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  // Record that a user opened a post
+  async recordView(userId, post) {
+    if (!userId) {
+      return;
+    }
+    const { upsertedCount } = await SeenPost.updateOne(
+      { user: userId, post: post._id },
+      { $set: { seenAt: new Date() } },
+      { upsert: true }
+    );
+    // Only the first view teaches anything; re-reading is already counted
+    if (upsertedCount > 0) {
+      await this.recordInteraction(userId, post, 'view');
+    }
+  }
+
+  async recordDigestClick(userId, postId) {
+    const post = await Post.findById(postId).select('author categories');
+    await this.recordInteraction(userId, post, 'digestClick');
+  }
+
+  // Everything the ranking needs to know about a user. Learned affinities are
+  // decayed to `now` and scaled so the user's strongest affinity of each kind is 1.
+  async getProfile(user, now = new Date()) {
+    const [affinities, seen] = await Promise.all([
+      Affinity.find({ user: user._id }).sort({ score: -1 }).lean(),
+      SeenPost.find({ user: user._id }).sort({ seenAt: -1 }).limit(MAX_SEEN).select('post').lean()
+    ]);
+
+    const decayed = (affinity) => affinity.score * Math.pow(0.5, (now - affinity.scoredAt) / AFFINITY_HALF_LIFE);
+    const normalize = (entries) => {
+      const max = Math.max(0, ...entries.map((entry) => entry.score));
+      return max > 0 ? entries.map((entry) => ({ ...entry, score: entry.score / max })) : [];
+    };
+    const learned = (kind) => normalize(
+      affinities
+        .filter((affinity) => affinity.kind === kind)
+        .map((affinity) => ({ id: affinity.target, score: decayed(affinity) }))
+    );
+
+    // Followed categories count in full, on top of anything learned about them
+    const followed = (user.interests || []).map((interest) => ({
+      id: interest._id || interest,
+      name: interest.name || null
+    }));
+    const categories = new Map(learned('category').map((entry) => [entry.id.toString(), entry]));
+    followed.forEach((interest) => {
+      const key = interest.id.toString();
+      const entry = categories.get(key) || { id: interest.id, score: 0 };
+      categories.set(key, { id: entry.id, score: entry.score + FOLLOW_AFFINITY });
+    });
+
+    return {
+      followed,
+      categories: [...categories.values()],
+      authors: learned('author').slice(0, MAX_AUTHORS),
+      seen: seen.map((entry) => entry.post)
+    };
+  }
+
+  // Aggregation fields that score posts for the profile: `personalScore` to sort
+  // on, and the individual signals in `ranking` for explanations
+  rankingFields(profile, now = new Date()) {
+    const signals = {
+      category: {
+        $max: [0, {
+          $max: { $map: { input: { $ifNull: ['$categories', []] }, as: 'category', in: lookupScore(profile.categories, '$$category') } }
+        }]
+      },
+      author: lookupScore(profile.authors, '$author'),
+      // 1 for a brand new post, 0.5 after a day, 0.25 after three days
+      recency: {
+        $divide: [1, { $add: [1, { $divide: [{ $max: [0, { $subtract: [now, '$createdAt'] }] }, DAY] }] }]
+      },
+      engagement: {
+        $min: [1, { $divide: [{ $log10: { $add: [1, { $max: [0, { $ifNull: ['$engagement', 0] }] }] } }, Math.log10(1 + ENGAGEMENT_CEILING)] }]
+      }
+    };
+    const seen = { $in: ['$_id', { $literal: profile.seen }] };
+
+    // Fields set in one $addFields stage can't refer to each other, so the score
+    // repeats the signal expressions
+    return {
+      ranking: { ...signals, seen },
+      personalScore: {
+        $multiply: [
+          {
+            $add: Object.entries(RANKING_WEIGHTS).map(([signal, weight]) => ({
+              $multiply: [{ $min: [1, signals[signal]] }, weight]
+            }))
+          },
+          { $cond: [seen, SEEN_FACTOR, 1] }
+        ]
+      }
+    };
+  }
+
+  // Rank the posts matching `filter` for a user and store the ranking, which the
+  // pages of the feed are then read from (see RankedFeed). Only the newest posts
+  // and the newest ones in the user's categories or by their authors are scored.
+  async rankFeed(user, filter, now = new Date()) {
+    const profile = await this.getProfile(user, now);
+
+    const affine = [
+      ...(profile.categories.length > 0 ? [{ categories: { $in: profile.categories.map((entry) => entry.id) } }] : []),
+      ...(profile.authors.length > 0 ? [{ author: { $in: profile.authors.map((entry) => entry.id) } }] : [])
+    ];
+    const [recent, preferred] = await Promise.all([
+      Post.find(filter).sort({ createdAt: -1 }).limit(MAX_RECENT_CANDIDATES).select('_id').lean(),
+      affine.length > 0
+        ? Post.find({ $and: [filter, { $or: affine }] }).sort({ createdAt: -1 }).limit(MAX_AFFINE_CANDIDATES).select('_id').lean()
+        : []
+    ]);
+    const candidates = [...recent, ...preferred].map((post) => post._id);
+
+    const ranked = await Post.aggregate([
+      { $match: { _id: { $in: candidates } } },
+      { $addFields: this.rankingFields(profile, now) },
+      { $sort: { personalScore: -1, createdAt: -1, _id: -1 } },
+      { $limit: MAX_RANKED },
+      { $project: { ranking: 1 } }
+    ]);
+
+    return RankedFeed.create({
+      user: user._id,
+      filterKey: JSON.stringify(filter),
+      profile: { followed: profile.followed, categories: profile.categories },
+      entries: ranked.map(({ _id, ranking }) => ({ post: _id, ranking }))
+    });
+  }
+
+  // The user's latest ranking for the filter if it is recent enough to start a
+  // feed from, otherwise null
+  async findRecentRankedFeed(user, filter, now = new Date()) {
+    return RankedFeed.findOne({
+      user: user._id,
+      filterKey: JSON.stringify(filter),
+      createdAt: { $gt: new Date(now.getTime() - RANKED_FEED_MAX_AGE) }
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  // A stored ranking of the user's for the same filter, or null once it has expired
+  async getRankedFeed(user, id, filter) {
+    return RankedFeed.findOne({ _id: id, user: user._id, filterKey: JSON.stringify(filter) }).lean();
+  }
+
+  // The main reason a post was ranked for the user, e.g. "Because you follow
+  // Technology". `post` is a populated aggregation result and `ranking` its
+  // signals from rankingFields().
+  explain(post, ranking, profile) {
+    if (!ranking) {
+      return null;
+    }
+
+    const contributions = Object.entries(RANKING_WEIGHTS)
+      .map(([signal, weight]) => ({ signal, value: Math.min(1, ranking[signal] || 0) * weight }))
+      .sort((a, b) => b.value - a.value);
+    const top = contributions[0];
+    if (!top || top.value <= 0) {
+      return null;
+    }
+
+    if (top.signal === 'category') {
+      const scores = new Map(profile.categories.map((entry) => [entry.id.toString(), entry.score]));
+      const best = (post.categories || [])
+        .filter((category) => category && category._id)
+        .sort((a, b) => (scores.get(b._id.toString()) || 0) - (scores.get(a._id.toString()) || 0))[0];
+      if (best) {
+        const follows = profile.followed.some((interest) => interest.id.toString() === best._id.toString());
+        return follows ? `Because you follow ${best.name}` : `Because you read a lot about ${best.name}`;
+      }
+    }
+    if (top.signal === 'author' && post.author && post.author.name) {
+      return `Because you engage with posts by ${post.author.name}`;
+    }
+    if (top.signal === 'engagement') {
+      return 'Popular with other readers';
+    }
+    return 'New since you last looked';
+  }
+
+  // Account deletion: forget what was learned about the user, and the user as an author.
+  // Rankings of other users' feeds that include the user's posts expire soon enough.
+  async deleteUserData(userId) {
+    await Promise.all([
+      Affinity.deleteMany({ user: userId }),
+      Affinity.deleteMany({ kind: 'author', target: userId }),
+      SeenPost.deleteMany({ user: userId }),
+      RankedFeed.deleteMany({ user: userId })
+    ]);
+  }
+}
+
+module.exports = new PersonalizationService();
@@ -0,0 +1,58 @@
+const { Reaction, Bookmark, REACTION_TYPES } = require('../models');
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+// Shapes posts for API responses. Clients get aggregate counts plus fields about
+// the viewer's own relationship to each post; who reported a post and why is
+// moderation data and only included for admins.
+class PostSerializer {
+  // Accepts Mongoose documents or plain objects (e.g. aggregation results)
+  async serializeMany(posts, viewer = null) {
+    const list = posts.filter(Boolean);
+
+    const viewerFilter = viewer && { user: viewer._id, post: { $in: list.map((post) => post._id) } };
+    const [reactions, bookmarks] = viewer && list.length > 0
+      ? await Promise.all([
+        Reaction.find(viewerFilter).select('post type'),
+        Bookmark.find(viewerFilter).select('post')
+      ])
+      : [[], []];
+    const reactionByPost = new Map(reactions.map((reaction) => [reaction.post.toString(), reaction.type]));
+    const bookmarkByPost = new Map(bookmarks.map((bookmark) => [bookmark.post.toString(), bookmark._id]));
+
+    return list.map((post) => this.serialize(post, viewer, {
+      viewerReaction: reactionByPost.get(post._id.toString()) || null,
+      viewerBookmarkId: bookmarkByPost.get(post._id.toString()) || null
+    }));
+  }
+
+  async serializeOne(post, viewer = null) {
+    const [serialized] = await this.serializeMany([post], viewer);
+    return serialized;
+  }
+
+  serialize(post, viewer, { viewerReaction = null, viewerBookmarkId = null } = {}) {
+    const { reportedBy = [], __v, ...data } = typeof post.toJSON === 'function' ? post.toJSON() : post;
+    const isAdmin = Boolean(viewer && viewer.role === 'admin');
+    const counts = data.reactionCounts || {};
+
+    const serialized = {
+      ...data,
+      reactionCount: REACTION_TYPES.reduce((total, type) => total + (counts[type] || 0), 0),
+      viewerReaction,
+      viewerHasLiked: viewerReaction === 'like',
+      viewerBookmarkId,
+      viewerHasReported: Boolean(viewer) && reportedBy.some((report) => sameId(report.user, viewer)),
+      viewerCanEdit: Boolean(viewer) && (isAdmin || sameId(data.author, viewer))
+    };
+
+    if (isAdmin) {
+      serialized.reportCount = reportedBy.length;
+      serialized.reportedBy = reportedBy;
+    }
+
+    return serialized;
+  }
+}
+
+module.exports = new PostSerializer();
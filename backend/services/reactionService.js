@@ -0,0 +1,61 @@
+const { Post, Reaction } = require('../models');
+const personalizationService = require('./personalizationService');
+
+const DUPLICATE_KEY = 11000;
+
+// Reactions (like, insightful, ...) stored one per user per post in the Reaction
+// collection, with per-type totals kept on Post.reactionCounts.
+class ReactionService {
+  // Set the user's reaction on a post, replacing any earlier one.
+  // Returns the post with its updated counts.
+  async setReaction(post, userId, type) {
+    let previous;
+    try {
+      // The pre-update document tells which counter (if any) to move the reaction from
+      previous = await Reaction.findOneAndUpdate(
+        { post: post._id, user: userId },
+        { $set: { type } },
+        { upsert: true, new: false }
+      );
+    } catch (error) {
+      // Two simultaneous first reactions both tried to insert; the other one won
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      return this.setReaction(post, userId, type);
+    }
+
+    if (previous && previous.type === type) {
+      return post;
+    }
+
+    const increments = { [`reactionCounts.${type}`]: 1 };
+    if (previous) {
+      increments[`reactionCounts.${previous.type}`] = -1;
+    } else {
+      // Changing the type of an existing reaction is not a new interaction
+      await personalizationService.recordInteraction(userId, post, 'reaction');
+    }
+    return Post.adjustCounters(post._id, increments);
+  }
+
+  // Returns the post with its updated counts
+  async removeReaction(post, userId) {
+    const removed = await Reaction.findOneAndDelete({ post: post._id, user: userId });
+    if (!removed) {
+      return post;
+    }
+    return Post.adjustCounters(post._id, { [`reactionCounts.${removed.type}`]: -1 });
+  }
+
+  // Account deletion: remove the user's reactions and take them off the post totals
+  async deleteUserReactions(userId) {
+    const reactions = await Reaction.find({ user: userId }).select('post type');
+    for (const reaction of reactions) {
+      await Reaction.deleteOne({ _id: reaction._id });
+      await Post.adjustCounters(reaction.post, { [`reactionCounts.${reaction.type}`]: -1 });
+    }
+  }
+}
+
+module.exports = new ReactionService();
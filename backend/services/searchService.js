@@ -0,0 +1,195 @@
+const { Post } = require('../models');
+const feedService = require('./feedService');
+
+const MAX_TOKENS = 20;
+const SNIPPET_LENGTH = 200;
+// Context shown before the first match in a snippet
+const SNIPPET_LEAD = 60;
+
+// Words and quoted phrases, each optionally negated with a leading '-'
+const TOKEN_PATTERN = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Only letters and digits reach the text index; everything else separates words
+const words = (text) => text.replace(/[^\p{L}\p{N}']+/gu, ' ').replace(/'/g, '').trim().split(' ').filter(Boolean);
+
+// Rough English stem so "taxes" highlights "tax" and "taxing" like the text index matches them
+const stem = (word) => {
+  const stemmed = word.replace(/(ing|ed|es|s)$/i, '');
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+// Full-text search over post titles, tags and content using the weighted text
+// index on Post. Queries support "exact phrases" and -excluded words or phrases.
+class SearchService {
+  // Split a query into { terms, phrases, excludedTerms, excludedPhrases }
+  parse(query = '') {
+    const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [] };
+    let tokens = 0;
+
+    for (const match of String(query).matchAll(TOKEN_PATTERN)) {
+      if (tokens >= MAX_TOKENS) break;
+      const [, phraseNegated, phrase, termNegated, term] = match;
+
+      if (phrase !== undefined) {
+        const phraseWords = words(phrase);
+        if (phraseWords.length === 0) continue;
+        // A quoted single word is just a word
+        const text = phraseWords.join(' ');
+        const negated = phraseNegated === '-';
+        if (phraseWords.length === 1) {
+          (negated ? parsed.excludedTerms : parsed.terms).push(text.toLowerCase());
+        } else {
+          (negated ? parsed.excludedPhrases : parsed.phrases).push(text.toLowerCase());
+        }
+        tokens++;
+        continue;
+      }
+
+      const negated = termNegated === '-';
+      for (const word of words(term)) {
+        (negated ? parsed.excludedTerms : parsed.terms).push(word.toLowerCase());
+        tokens++;
+      }
+    }
+
+    return parsed;
+  }
+
+  // The text index needs at least one word or phrase to look for
+  hasTerms(query) {
+    const parsed = this.parse(query);
+    return parsed.terms.length > 0 || parsed.phrases.length > 0;
+  }
+
+  // $text search string built from the parsed query only, so nothing the user
+  // types is passed through as operator syntax
+  toTextSearch(parsed) {
+    return [
+      ...parsed.terms,
+      ...parsed.phrases.map((phrase) => `"${phrase}"`),
+      ...parsed.excludedTerms.map((term) => `-${term}`),
+      ...parsed.excludedPhrases.map((phrase) => `-"${phrase}"`)
+    ].join(' ');
+  }
+
+  // Filter for a free-text search, for use alongside other post filters
+  textFilter(query) {
+    return { $text: { $search: this.toTextSearch(this.parse(query)) } };
+  }
+
+  // One cursor-paginated page of active posts matching the query, best matches
+  // first (or newest first with sortBy 'recent'). With phrases, every phrase must
+  // appear; plain words then only affect the ranking. Returns null when the
+  // cursor is invalid.
+  async search(query, { category, author, from, to, type = 'all', sortBy = 'relevance', cursor = null, limit = 10 } = {}) {
+    const parsed = this.parse(query);
+    const filter = {
+      $text: { $search: this.toTextSearch(parsed) },
+      isActive: true
+    };
+
+    if (category) {
+      filter.categories = category;
+    }
+    if (author) {
+      filter.author = author;
+    }
+    if (type === 'news') {
+      filter.isNews = true;
+    } else if (type === 'user') {
+      filter.isNews = false;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const { sort } = feedService.getSort(sortBy === 'recent' ? 'recent' : 'relevance');
+    const page = await feedService.paginate(Post, {
+      filter,
+      sort,
+      cursor,
+      limit,
+      populate: [
+        { path: 'author', select: 'name profilePicture' },
+        { path: 'categories', select: 'name color slug' }
+      ],
+      // Keep the score on newest-first results too
+      computed: { score: { $meta: 'textScore' } }
+    });
+
+    if (!page) {
+      return null;
+    }
+
+    return {
+      parsed,
+      posts: page.items.map((post) => ({ ...post, highlights: this.highlight(post, parsed) })),
+      nextCursor: page.nextCursor,
+      hasNextPage: page.hasNextPage
+    };
+  }
+
+  // Title and a content snippet split into segments, with { match: true } on the
+  // parts that matched the query. Returned as plain text so clients never have
+  // to render markup from post content.
+  highlight(post, parsed) {
+    const pattern = this.highlightPattern(parsed);
+    const content = post.content || '';
+
+    let start = 0;
+    const firstMatch = pattern ? content.search(pattern) : -1;
+    if (firstMatch > SNIPPET_LEAD) {
+      // Start the snippet at a word boundary shortly before the first match
+      const boundary = content.lastIndexOf(' ', firstMatch - SNIPPET_LEAD);
+      start = boundary === -1 ? 0 : boundary + 1;
+    }
+
+    const end = Math.min(content.length, start + SNIPPET_LENGTH);
+    const snippet = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+
+    return {
+      title: this.segments(post.title || '', pattern),
+      snippet: this.segments(snippet, pattern)
+    };
+  }
+
+  highlightPattern(parsed) {
+    const alternatives = [
+      ...parsed.phrases.map((phrase) => `${phrase.split(' ').map(escapeRegex).join('\\W+')}[\\p{L}\\p{N}]*`),
+      ...parsed.terms.map((term) => `${escapeRegex(stem(term))}[\\p{L}\\p{N}]*`)
+    ];
+    if (alternatives.length === 0) {
+      return null;
+    }
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+  }
+
+  segments(text, pattern) {
+    if (!text) {
+      return [];
+    }
+    if (!pattern) {
+      return [{ text, match: false }];
+    }
+
+    const result = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      if (match.index > lastIndex) {
+        result.push({ text: text.slice(lastIndex, match.index), match: false });
+      }
+      result.push({ text: match[0], match: true });
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+      result.push({ text: text.slice(lastIndex), match: false });
+    }
+    return result;
+  }
+}
+
+module.exports = new SearchService();
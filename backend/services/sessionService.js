@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session } = require('../models');
+
+// How long the token replaced by a rotation stays usable, for parallel refreshes
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionService {
+  signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRE }
+    );
+  }
+
+  // jti makes every refresh token unique, even two issued in the same second
+  signRefreshToken(userId, sessionId) {
+    const refreshToken = jwt.sign(
+      { userId, sessionId, jti: crypto.randomBytes(16).toString('hex') },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: process.env.JWT_REFRESH_EXPIRE }
+    );
+    const { exp } = jwt.decode(refreshToken);
+    return { refreshToken, expiresAt: new Date(exp * 1000) };
+  }
+
+  // Start a new session for a successful login
+  async createSession(user, req) {
+    const userAgent = req.get('user-agent') || '';
+    const session = new Session({
+      user: user._id,
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ip: req.ip
+    });
+
+    const { refreshToken, expiresAt } = this.signRefreshToken(user._id, session._id);
+    session.tokenHash = hashToken(refreshToken);
+    session.expiresAt = expiresAt;
+    await session.save();
+
+    return {
+      accessToken: this.signAccessToken(user._id, session._id),
+      refreshToken,
+      session
+    };
+  }
+
+  // Exchange a refresh token for a new access token and a rotated refresh token.
+  // Returns null if the token is invalid. Presenting a token that has already been
+  // rotated means it was copied, so the whole session is revoked.
+  // refreshToken is null in the result when a parallel request already rotated it.
+  async refresh(presentedToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(presentedToken, process.env.JWT_REFRESH_SECRET);
+    } catch {
+      return null;
+    }
+
+    if (!decoded.sessionId) {
+      return null;
+    }
+
+    const sessionFilter = {
+      _id: decoded.sessionId,
+      user: decoded.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    };
+    let session = await Session.findOne(sessionFilter).select('+tokenHash +previousTokenHash');
+
+    if (!session) {
+      return null;
+    }
+
+    const presentedHash = hashToken(presentedToken);
+
+    if (presentedHash === session.tokenHash) {
+      const { refreshToken, expiresAt } = this.signRefreshToken(session.user, session._id);
+      const now = new Date();
+
+      // Rotate only if the token is still the current one, so of two parallel
+      // refreshes exactly one rotates and the other gets the grace period below
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+          $set: {
+            previousTokenHash: presentedHash,
+            tokenHash: hashToken(refreshToken),
+            rotatedAt: now,
+            expiresAt,
+            lastUsedAt: now,
+            ip: req.ip
+          }
+        }
+      );
+
+      if (rotated) {
+        return {
+          userId: session.user,
+          sessionId: session._id,
+          accessToken: this.signAccessToken(session.user, session._id),
+          refreshToken
+        };
+      }
+
+      // A parallel request rotated it first
+      session = await Session.findOne(sessionFilter).select('+tokenHash +previousTokenHash');
+      if (!session) {
+        return null;
+      }
+    }
+
+    const withinGrace = presentedHash === session.previousTokenHash &&
+      session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+    if (!withinGrace) {
+      console.warn(`Refresh token reuse detected for session ${session._id}, revoking it`);
+      await this.revokeSession(session, 'reuse');
+      return null;
+    }
+
+    return {
+      userId: session.user,
+      sessionId: session._id,
+      accessToken: this.signAccessToken(session.user, session._id),
+      refreshToken: null
+    };
+  }
+
+  async isActive(sessionId) {
+    return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+  }
+
+  async getActiveSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  async revokeSession(session, reason) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+
+  // Revoke one of the user's sessions by id; returns false if there is no such active session
+  async revokeUserSession(userId, sessionId, reason = 'user') {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Revoke every active session of a user, optionally keeping one (the current one)
+  async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+
+  // Short human-readable description like "Chrome on Windows"
+  describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Firefox', /Firefox\//],
+      ['Chrome', /Chrome\//],
+      ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['iOS', /iPhone|iPad|iPod/],
+      ['Android', /Android/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/]
+    ];
+
+    const browser = (browsers.find(([, pattern]) => pattern.test(userAgent)) || ['Unknown browser'])[0];
+    const system = (systems.find(([, pattern]) => pattern.test(userAgent)) || [null])[0];
+
+    return system ? `${browser} on ${system}` : browser;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,58 @@
+const { SiteSettings } = require('../models');
+
+class SettingsService {
+  constructor() {
+    // Settings are read on hot paths, so keep a short-lived copy in memory
+    this.cacheTtl = 60 * 1000; // 1 minute
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  // Returns the settings document, creating it with defaults on first use
+  async get() {
+    if (this.cached && Date.now() - this.cachedAt < this.cacheTtl) {
+      return this.cached;
+    }
+
+    const settings = await SiteSettings.findOneAndUpdate(
+      { key: 'site' },
+      { $setOnInsert: { key: 'site' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    this.cached = settings;
+    this.cachedAt = Date.now();
+    return settings;
+  }
+
+  // Apply a nested partial update, e.g. { accountDeletion: { gracePeriodDays: 7 } }
+  async update(changes, updatedBy = null) {
+    const settings = await this.get();
+
+    for (const [section, values] of Object.entries(changes)) {
+      if (values === undefined) {
+        continue;
+      }
+      for (const [key, value] of Object.entries(values)) {
+        if (value !== undefined) {
+          settings.set(`${section}.${key}`, value);
+        }
+      }
+    }
+
+    settings.updatedBy = updatedBy;
+    try {
+      await settings.save();
+    } catch (error) {
+      // Don't keep serving the rejected values from the cache
+      this.cached = null;
+      throw error;
+    }
+
+    this.cached = settings;
+    this.cachedAt = Date.now();
+    return settings;
+  }
+}
+
+module.exports = new SettingsService();
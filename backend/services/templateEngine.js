@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+
+// Matches {{name}}, {{{name}}}, {{#each list}}, {{#if flag}}, {{else}} and {{/each}}
+const TAG_PATTERN = /\{\{(\{)?\s*([#/])?\s*([\w.]+)(?:\s+([\w.]+))?\s*\}?\}\}/g;
+const BLOCK_TYPES = ['each', 'if', 'unless'];
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+
+// Minimal logic-less template engine for the email templates.
+// {{value}} is escaped in HTML templates, {{{value}}} is inserted as-is.
+// Each template is wrapped in the shared layout for its format.
+//
+// Any object with a render(name, data) method returning { html, text } can be
+// swapped in through emailService.setTemplateEngine().
+class TemplateEngine {
+  constructor(templateDir) {
+    this.templateDir = templateDir;
+    this.cache = new Map();
+  }
+
+  render(name, data = {}) {
+    const html = this.renderFormat(name, 'html', data);
+    const text = this.renderFormat(name, 'txt', data);
+    return { html, text };
+  }
+
+  renderFormat(name, format, data) {
+    const template = this.load(name, format);
+    if (!template) {
+      return null;
+    }
+
+    const escape = format === 'html' ? escapeHtml : String;
+    const body = this.renderNodes(template, [data], escape);
+
+    const layout = this.load('layout', format);
+    if (!layout) {
+      return body;
+    }
+
+    return this.renderNodes(layout, [{ ...data, body }], escape);
+  }
+
+  // Returns the parsed template, or null if there is no file for this format
+  load(name, format) {
+    const key = `${name}.${format}`;
+    if (this.cache.has(key) && process.env.NODE_ENV !== 'development') {
+      return this.cache.get(key);
+    }
+
+    const filepath = path.join(this.templateDir, key);
+    const template = fs.existsSync(filepath) ? this.parse(fs.readFileSync(filepath, 'utf8'), key) : null;
+
+    this.cache.set(key, template);
+    return template;
+  }
+
+  parse(source, key) {
+    const root = { children: [] };
+    root.active = root.children;
+    const stack = [root];
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+      const [tag, raw, marker, keyword, arg] = match;
+      const current = stack[stack.length - 1];
+
+      if (match.index > lastIndex) {
+        current.active.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = match.index + tag.length;
+
+      if (marker === '#') {
+        if (!BLOCK_TYPES.includes(keyword) || !arg) {
+          throw new Error(`Invalid block ${tag} in template ${key}`);
+        }
+        const node = { type: keyword, path: arg, children: [], inverse: [] };
+        node.active = node.children;
+        current.active.push(node);
+        stack.push(node);
+      } else if (marker === '/') {
+        if (stack.length === 1 || current.type !== keyword) {
+          throw new Error(`Unexpected ${tag} in template ${key}`);
+        }
+        stack.pop();
+      } else if (keyword === 'else' && !raw) {
+        if (stack.length === 1) {
+          throw new Error(`Unexpected {{else}} in template ${key}`);
+        }
+        current.active = current.inverse;
+      } else {
+        current.active.push({ type: raw ? 'raw' : 'value', path: keyword });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in template ${key}`);
+    }
+
+    if (lastIndex < source.length) {
+      root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.children;
+  }
+
+  renderNodes(nodes, contexts, escape) {
+    return nodes.map((node) => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'raw':
+          return this.stringify(this.lookup(node.path, contexts));
+        case 'value':
+          return escape(this.stringify(this.lookup(node.path, contexts)));
+        case 'if':
+        case 'unless': {
+          const value = this.lookup(node.path, contexts);
+          const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+          const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+          return this.renderNodes(branch, contexts, escape);
+        }
+        case 'each': {
+          const items = this.lookup(node.path, contexts);
+          if (!Array.isArray(items) || items.length === 0) {
+            return this.renderNodes(node.inverse, contexts, escape);
+          }
+          return items.map((item) => this.renderNodes(node.children, [...contexts, item], escape)).join('');
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  // Resolve a dotted path against the innermost context that defines its first segment
+  lookup(keyPath, contexts) {
+    const parts = keyPath.split('.');
+    let value;
+
+    if (parts[0] === 'this') {
+      value = contexts[contexts.length - 1];
+      parts.shift();
+    } else {
+      const context = [...contexts].reverse().find((ctx) => ctx !== null && typeof ctx === 'object' && parts[0] in ctx);
+      value = context;
+    }
+
+    for (const part of parts) {
+      if (value === null || value === undefined) {
+        return undefined;
+      }
+      value = value[part];
+    }
+
+    return value;
+  }
+
+  stringify(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+}
+
+module.exports = new TemplateEngine(path.join(__dirname, '..', 'templates', 'emails'));
+module.exports.TemplateEngine = TemplateEngine;
@@ -0,0 +1,146 @@
+const { Post, Comment, Reaction, InteractionEvent, Category, REACTION_TYPES, ENGAGEMENT_WEIGHTS, TRENDING_WINDOWS } = require('../models');
+
+const HOUR = 60 * 60 * 1000;
+const WINDOW_HOURS = { '1h': 1, '24h': 24, '7d': 7 * 24 };
+
+// How fast scores fall with post age, as in (age + 2)^gravity. Categories can
+// override the gravity; news in fast-moving categories should fall off sooner.
+const DEFAULT_GRAVITY = 1.8;
+const AGE_OFFSET_HOURS = 2;
+// Posts kept in each window's ranking
+const MAX_RANKED = 500;
+
+const reactionWeight = {
+  $switch: {
+    branches: REACTION_TYPES.map((type) => ({
+      case: { $eq: ['$type', type] },
+      then: ENGAGEMENT_WEIGHTS.reactions[type]
+    })),
+    default: 0
+  }
+};
+
+// Ranks posts by engagement velocity with gravity-style decay: the engagement a
+// post gained within a window, per hour it has been around in that window,
+// divided by (age in hours + 2)^gravity. Scores are stored on the posts
+// (trendingScores.<window>) so feeds can sort and paginate on them directly.
+class TrendingService {
+  constructor() {
+    this.windows = TRENDING_WINDOWS;
+  }
+
+  scoreField(window) {
+    return `trendingScores.${window}`;
+  }
+
+  // Sort spec and filter for posts in a window's ranking
+  getSort(window = '24h') {
+    const field = this.scoreField(window);
+    return {
+      sort: { [field]: -1, createdAt: -1 },
+      filter: { [field]: { $gt: 0 } }
+    };
+  }
+
+  // Recompute every window's ranking
+  async refresh(now = new Date()) {
+    const categories = await Category.find().select('trending');
+    const config = new Map(categories.map((category) => [category._id.toString(), category.trending || {}]));
+
+    const result = {};
+    for (const window of this.windows) {
+      result[window] = await this.refreshWindow(window, config, now);
+    }
+    return result;
+  }
+
+  async refreshWindow(window, categoryConfig, now) {
+    const since = new Date(now.getTime() - WINDOW_HOURS[window] * HOUR);
+    const gained = await this.getEngagementSince(since);
+
+    const posts = await Post.find({ _id: { $in: [...gained.keys()] }, isActive: true })
+      .select('createdAt categories');
+
+    const ranked = posts
+      .map((post) => ({
+        id: post._id,
+        score: this.score(post, gained.get(post._id.toString()), window, categoryConfig, now)
+      }))
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RANKED);
+
+    const field = this.scoreField(window);
+    if (ranked.length > 0) {
+      await Post.bulkWrite(ranked.map((entry) => ({
+        updateOne: { filter: { _id: entry.id }, update: { $set: { [field]: entry.score } } }
+      })), { ordered: false });
+    }
+    // Drop posts that have fallen out of the ranking
+    await Post.updateMany(
+      { [field]: { $gt: 0 }, _id: { $nin: ranked.map((entry) => entry.id) } },
+      { $set: { [field]: 0 } }
+    );
+
+    return ranked.length;
+  }
+
+  // Engagement weighted as in Post.engagement, from the reactions, comments,
+  // views and shares recorded since the given date, by post id
+  async getEngagementSince(since) {
+    const [reactions, comments, interactions] = await Promise.all([
+      Reaction.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$post', engagement: { $sum: reactionWeight } } }
+      ]),
+      Comment.aggregate([
+        { $match: { createdAt: { $gte: since }, isDeleted: false } },
+        { $group: { _id: '$post', engagement: { $sum: ENGAGEMENT_WEIGHTS.comment } } }
+      ]),
+      InteractionEvent.aggregate([
+        { $match: { createdAt: { $gte: since }, type: { $in: ['view', 'share'] } } },
+        {
+          $group: {
+            _id: '$post',
+            engagement: { $sum: { $cond: [{ $eq: ['$type', 'share'] }, ENGAGEMENT_WEIGHTS.share, ENGAGEMENT_WEIGHTS.view] } }
+          }
+        }
+      ])
+    ]);
+
+    const gained = new Map();
+    [...reactions, ...comments, ...interactions].forEach((entry) => {
+      const key = entry._id.toString();
+      gained.set(key, (gained.get(key) || 0) + entry.engagement);
+    });
+    return gained;
+  }
+
+  score(post, engagement, window, categoryConfig, now) {
+    const ageHours = Math.max(0, (now - post.createdAt) / HOUR);
+    // Hours the post has been around within the window, at least one so a burst
+    // of reactions on a brand new post doesn't dwarf everything else
+    const activeHours = Math.max(1, Math.min(ageHours, WINDOW_HOURS[window]));
+    const { gravity, boost } = this.categorySettings(post.categories, categoryConfig);
+
+    return (engagement / activeHours) * boost / Math.pow(ageHours + AGE_OFFSET_HOURS, gravity);
+  }
+
+  // A post in several categories gets the slowest decay and the largest boost
+  // among them
+  categorySettings(categoryIds, categoryConfig) {
+    const settings = (categoryIds || [])
+      .map((id) => categoryConfig.get(id.toString()))
+      .filter(Boolean);
+
+    const gravities = settings.map((setting) => setting.gravity).filter((gravity) => gravity != null);
+    const boosts = settings.map((setting) => setting.boost).filter((boost) => boost != null);
+
+    return {
+      gravity: gravities.length > 0 ? Math.min(...gravities) : DEFAULT_GRAVITY,
+      boost: boosts.length > 0 ? Math.max(...boosts) : 1
+    };
+  }
+}
+
+module.exports = new TrendingService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Accept codes from one step before or after the current one to allow for clock drift
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRE = '5m';
+const CHALLENGE_PURPOSE = 'two-factor-login';
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// TOTP (RFC 6238) two-factor authentication. Secrets are stored encrypted with
+// AES-256-GCM; recovery codes are stored as SHA-256 hashes.
+class TwoFactorService {
+  get issuer() {
+    return process.env.TWO_FACTOR_ISSUER || 'Intelixir';
+  }
+
+  get encryptionKey() {
+    return crypto
+      .createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  base32Decode(input) {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  // HOTP value (RFC 4226) for a time step
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+  }
+
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS);
+  }
+
+  // Returns the matching time step, or null. Steps at or before lastUsedStep are
+  // rejected so a code can't be replayed.
+  verifyCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const current = this.currentStep();
+    for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+      const step = current + drift;
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+        continue;
+      }
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  getOtpauthUrl(email, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(CODE_DIGITS),
+      period: String(TIME_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  async getQrCode(otpauthUrl) {
+    return QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+  }
+
+  // Returns plain codes (shown to the user once) and the hashed records to store
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+
+    return {
+      codes,
+      records: codes.map((code) => ({ codeHash: hashRecoveryCode(code) }))
+    };
+  }
+
+  // Marks the matching unused recovery code as used; returns false if there is none
+  useRecoveryCode(user, code) {
+    const codeHash = hashRecoveryCode(String(code || ''));
+    const record = user.twoFactor.recoveryCodes.find((entry) => !entry.usedAt && entry.codeHash === codeHash);
+    if (!record) {
+      return false;
+    }
+    record.usedAt = new Date();
+    return true;
+  }
+
+  remainingRecoveryCodes(user) {
+    return (user.twoFactor.recoveryCodes || []).filter((entry) => !entry.usedAt).length;
+  }
+
+  // Check a TOTP code (or, with allowRecovery, a recovery code) against the user's
+  // enabled secret. The user must be loaded with the twoFactor secret fields selected.
+  verifyUser(user, { code, recoveryCode, allowRecovery = true }) {
+    if (!user.twoFactor || !user.twoFactor.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    if (code) {
+      const step = this.verifyCode(this.decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        return false;
+      }
+      user.twoFactor.lastUsedStep = step;
+      return true;
+    }
+
+    return Boolean(allowRecovery && recoveryCode && this.useRecoveryCode(user, recoveryCode));
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  signChallengeToken(userId) {
+    return jwt.sign(
+      { userId, purpose: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TOKEN_EXPIRE }
+    );
+  }
+
+  // Returns the decoded challenge token, or null if it is invalid or expired
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
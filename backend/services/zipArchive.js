@@ -0,0 +1,183 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+
+// CRC-32 lookup table (IEEE polynomial) used by the zip format
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// CRC-32 can be computed over chunks: start, update with each chunk, finish
+const CRC_START = 0xffffffff;
+const updateCrc = (crc, buffer) => {
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+};
+const finishCrc = (crc) => (crc ^ 0xffffffff) >>> 0;
+const crc32 = (buffer) => finishCrc(updateCrc(CRC_START, buffer));
+
+const encodeName = (name) => Buffer.from(name.replace(/\\/g, '/'), 'utf8');
+
+// MS-DOS time and date fields used in zip headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+
+// Minimal streaming zip writer for data exports. Each entry is written to the
+// output as soon as it is added, so only the central directory is kept in
+// memory; finish() writes it and ends the output. Already-compressed files
+// (images) are stored as-is, and read from disk in chunks.
+class ZipArchive {
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.offset = 0;
+    // Kept so that a failed write rejects the next one instead of going unhandled
+    this.error = null;
+    output.on('error', (error) => {
+      this.error = error;
+    });
+  }
+
+  // Bytes written so far; the archive size once finished
+  get size() {
+    return this.offset;
+  }
+
+  async write(buffer) {
+    if (this.error) {
+      throw this.error;
+    }
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      await once(this.output, 'drain');
+    }
+  }
+
+  async writeLocalHeader(entry) {
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(entry.method, 8);
+    local.writeUInt16LE(entry.time, 10);
+    local.writeUInt16LE(entry.date, 12);
+    local.writeUInt32LE(entry.crc, 14);
+    local.writeUInt32LE(entry.compressedSize, 18);
+    local.writeUInt32LE(entry.size, 22);
+    local.writeUInt16LE(entry.name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    entry.offset = this.offset;
+    this.entries.push(entry);
+    await this.write(local);
+    await this.write(entry.name);
+  }
+
+  async addFile(name, content, { compress = true, date = new Date() } = {}) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const compressed = compress ? zlib.deflateRawSync(data) : data;
+    // Fall back to storing when deflate doesn't help
+    const useDeflate = compress && compressed.length < data.length;
+    const stored = useDeflate ? compressed : data;
+
+    await this.writeLocalHeader({
+      name: encodeName(name),
+      method: useDeflate ? METHOD_DEFLATE : METHOD_STORE,
+      compressedSize: stored.length,
+      size: data.length,
+      crc: crc32(data),
+      ...toDosDateTime(date)
+    });
+    await this.write(stored);
+    return this;
+  }
+
+  addJson(name, value) {
+    return this.addFile(name, JSON.stringify(value, null, 2));
+  }
+
+  // Store a file from disk without loading it whole. The header needs the
+  // checksum up front, so the file is read twice.
+  async addFileFromPath(name, filepath, { date = new Date() } = {}) {
+    let crc = CRC_START;
+    let size = 0;
+    for await (const chunk of fs.createReadStream(filepath)) {
+      crc = updateCrc(crc, chunk);
+      size += chunk.length;
+    }
+
+    await this.writeLocalHeader({
+      name: encodeName(name),
+      method: METHOD_STORE,
+      compressedSize: size,
+      size,
+      crc: finishCrc(crc),
+      ...toDosDateTime(date)
+    });
+
+    let written = 0;
+    for await (const chunk of fs.createReadStream(filepath)) {
+      written += chunk.length;
+      await this.write(chunk);
+    }
+    if (written !== size) {
+      throw new Error(`${filepath} changed while it was being archived`);
+    }
+    return this;
+  }
+
+  // Write the central directory and end the output
+  async finish() {
+    const centralOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(FLAG_UTF8, 8);
+      central.writeUInt16LE(entry.method, 10);
+      central.writeUInt16LE(entry.time, 12);
+      central.writeUInt16LE(entry.date, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.compressedSize, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.name.length, 28);
+      central.writeUInt32LE(entry.offset, 42);
+
+      await this.write(central);
+      await this.write(entry.name);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - centralOffset, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    await this.write(end);
+
+    await new Promise((resolve, reject) => {
+      this.output.once('error', reject);
+      this.output.end(resolve);
+    });
+    if (this.error) {
+      throw this.error;
+    }
+    return this.offset;
+  }
+}
+
+module.exports = ZipArchive;
@@ -0,0 +1,110 @@
+// Sample data used to preview each email template from the admin panel
+
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const samplePosts = [
+  {
+    title: 'New battery chemistry promises faster charging for electric cars',
+    excerpt: 'Researchers have demonstrated a solid-state cell that charges to 80% in under twelve minutes while keeping its capacity over thousands of cycles...',
+    url: `${frontendUrl}/post/sample-1`,
+    author: 'Admin',
+    categories: 'Technology, Science'
+  },
+  {
+    title: 'Central banks signal a pause in rate hikes',
+    excerpt: 'Policy makers in several major economies hinted that inflation is cooling enough to hold rates steady for the rest of the quarter...',
+    url: `${frontendUrl}/post/sample-2`,
+    author: 'Admin',
+    categories: 'Business'
+  },
+  {
+    title: 'Underdogs <& "friends"> clinch the league title',
+    excerpt: 'A late goal sealed an unlikely championship. This sample title contains markup characters to check that escaping works.',
+    url: `${frontendUrl}/post/sample-3`,
+    author: 'Jane Doe',
+    categories: 'Sports'
+  }
+];
+
+module.exports = {
+  verification: {
+    name: 'Jane Doe',
+    verificationUrl: `${frontendUrl}/verify-email?token=sample-token`,
+    expiresIn: '24 hours'
+  },
+  'password-reset': {
+    name: 'Jane Doe',
+    resetUrl: `${frontendUrl}/reset-password?token=sample-token`,
+    expiresIn: '10 minutes'
+  },
+  welcome: {
+    name: 'Jane Doe',
+    dashboardUrl: `${frontendUrl}/dashboard`
+  },
+  digest: {
+    name: 'Jane Doe',
+    digestType: 'daily',
+    date: new Date().toDateString(),
+    postCount: samplePosts.length,
+    posts: samplePosts,
+    savedPosts: samplePosts.slice(0, 1),
+    savedUrl: `${frontendUrl}/saved`,
+    digestUrl: `${frontendUrl}/digest`,
+    preferencesUrl: `${frontendUrl}/profile`
+  },
+  'breaking-news': {
+    name: 'Jane Doe',
+    post: samplePosts[0],
+    preferencesUrl: `${frontendUrl}/profile`
+  },
+  'contact-notification': {
+    name: 'John Smith',
+    email: 'john@example.com',
+    subject: 'Partnership enquiry',
+    message: 'Hi there,\n\nI would like to talk about featuring our research on Intelixir. <script>alert(1)</script>\n\nThanks,\nJohn',
+    receivedAt: new Date().toUTCString(),
+    adminUrl: `${frontendUrl}/admin/contacts`
+  },
+  'data-export': {
+    name: 'Jane Doe',
+    downloadUrl: 'http://localhost:5000/api/users/export-data/sample/download?token=sample-token',
+    expiresIn: '48 hours',
+    size: '2.4 MB'
+  },
+  'account-deletion-scheduled': {
+    name: 'Jane Doe',
+    deletionDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toDateString(),
+    loginUrl: `${frontendUrl}/login`
+  },
+  'account-deleted': {
+    name: 'Jane Doe'
+  },
+  'account-locked': {
+    name: 'Jane Doe',
+    lockedUntil: new Date(Date.now() + 15 * 60 * 1000).toUTCString(),
+    resetUrl: `${frontendUrl}/reset-password`
+  },
+  'magic-link': {
+    name: 'Jane Doe',
+    loginUrl: `${frontendUrl}/magic-link?token=sample-token`,
+    expiresIn: '15 minutes'
+  },
+  'email-change-verification': {
+    name: 'Jane Doe',
+    newEmail: 'jane.new@example.com',
+    confirmUrl: `${frontendUrl}/confirm-email-change?token=sample-token`,
+    expiresIn: '24 hours'
+  },
+  'email-change-notice': {
+    name: 'Jane Doe',
+    newEmail: 'jane.new@example.com',
+    securityUrl: `${frontendUrl}/profile`
+  },
+  'new-login': {
+    name: 'Jane Doe',
+    device: 'Firefox on Windows',
+    ip: '203.0.113.42',
+    time: new Date().toUTCString(),
+    securityUrl: `${frontendUrl}/profile`
+  }
+};
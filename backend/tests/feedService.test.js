@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const feedService = require('../services/feedService');
+
+const objectId = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+const encodeRaw = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Just enough of MongoDB's query matching to run cursorFilter() output over
+// plain objects: $or, equality and $lt/$gt on numbers, dates and ObjectIds
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+const valueAt = (doc, path) => path.split('.').reduce((object, part) => (object == null ? object : object[part]), doc);
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some((clause) => matches(doc, clause));
+  }
+  const value = comparable(valueAt(doc, key));
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)) {
+    if ('$lt' in condition) return value < comparable(condition.$lt);
+    if ('$gt' in condition) return value > comparable(condition.$gt);
+  }
+  return value === comparable(condition);
+});
+
+// Sort plain objects the way paginate() sorts, with _id as the tie-breaker
+const sortDocs = (docs, sort) => {
+  const fullSort = { ...sort, _id: sort[Object.keys(sort).pop()] };
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of Object.entries(fullSort)) {
+      const left = comparable(valueAt(a, key));
+      const right = comparable(valueAt(b, key));
+      if (left !== right) {
+        return (left < right ? -1 : 1) * direction;
+      }
+    }
+    return 0;
+  });
+};
+
+// Page through docs with cursors the way a client would, returning the ids in page order
+const pageThrough = (docs, sort, limit) => {
+  const sorted = sortDocs(docs, sort);
+  const seen = [];
+  let cursor = null;
+  do {
+    const position = cursor && feedService.decodeCursor(cursor, sort);
+    const remaining = position ? sorted.filter((doc) => matches(doc, feedService.cursorFilter(sort, position))) : sorted;
+    const page = remaining.slice(0, limit);
+    seen.push(...page.map((doc) => doc._id.toHexString()));
+    cursor = remaining.length > limit ? feedService.encodeCursor(page[page.length - 1], sort) : null;
+  } while (cursor);
+  return seen;
+};
+
+describe('feedService cursors', () => {
+  const createdAt = new Date('2024-03-01T12:00:00.000Z');
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('round-trips the sort values and _id of every sort mode', () => {
+      const doc = {
+        _id: objectId(1),
+        createdAt,
+        engagement: 42,
+        score: 1.5,
+        trendingScores: { '24h': 0.25 }
+      };
+
+      ['recent', 'popular', 'trending', 'relevance'].forEach((sortBy) => {
+        const { sort } = feedService.getSort(sortBy);
+        const decoded = feedService.decodeCursor(feedService.encodeCursor(doc, sort), sort);
+
+        expect(decoded.id).toEqual(doc._id);
+        expect(decoded.values).toEqual(Object.keys(sort).map((key) => valueAt(doc, key)));
+      });
+    });
+
+    it('restores dates as Date objects', () => {
+      const sort = { createdAt: -1 };
+      const { values } = feedService.decodeCursor(feedService.encodeCursor({ _id: objectId(1), createdAt }, sort), sort);
+
+      expect(values[0]).toBeInstanceOf(Date);
+      expect(values[0].getTime()).toBe(createdAt.getTime());
+    });
+
+    it('reads dotted sort keys from subdocuments', () => {
+      const { sort } = feedService.getSort('trending');
+      const doc = { _id: objectId(1), createdAt, trendingScores: { '1h': 9, '24h': 3.5 } };
+
+      expect(feedService.decodeCursor(feedService.encodeCursor(doc, sort), sort).values[0]).toBe(3.5);
+    });
+
+    it('encodes a missing dotted value as null', () => {
+      const { sort } = feedService.getSort('trending');
+      const decoded = feedService.decodeCursor(feedService.encodeCursor({ _id: objectId(1), createdAt }, sort), sort);
+
+      expect(decoded.values[0]).toBeNull();
+    });
+
+    it('reads computed sort keys from aggregation results', () => {
+      const { sort, computed } = feedService.getSort('relevance');
+      const doc = { _id: objectId(1), createdAt, score: 2.75 };
+
+      expect(Object.keys(computed)).toEqual(['score']);
+      expect(feedService.decodeCursor(feedService.encodeCursor(doc, sort), sort).values).toEqual([2.75, createdAt]);
+    });
+  });
+
+  describe('invalid cursors', () => {
+    const sort = { engagement: -1, createdAt: -1 };
+    const id = objectId(1).toHexString();
+    const date = { date: createdAt.toISOString() };
+
+    it.each([
+      ['not base64 JSON', 'not a cursor'],
+      ['JSON that is not an object', encodeRaw('text')],
+      ['missing values', encodeRaw({ id })],
+      ['too few values', encodeRaw({ values: [5], id })],
+      ['too many values', encodeRaw({ values: [5, date, 1], id })],
+      ['a missing id', encodeRaw({ values: [5, date] })],
+      ['an invalid id', encodeRaw({ values: [5, date], id: 'xyz' })],
+      ['an id that is not a string', encodeRaw({ values: [5, date], id: { $ne: null } })],
+      ['an operator value', encodeRaw({ values: [{ $ne: null }, date], id })],
+      ['an array value', encodeRaw({ values: [[1, 2], date], id })],
+      ['an invalid date', encodeRaw({ values: [5, { date: 'yesterday' }], id })],
+      ['a date with extra keys', encodeRaw({ values: [5, { date: createdAt.toISOString(), $gt: '' }], id })],
+      ['a date that is not a string', encodeRaw({ values: [5, { date: 1709294400000 }], id })],
+      ['a boolean value', encodeRaw({ values: [true, date], id })]
+    ])('rejects %s', (description, cursor) => {
+      expect(feedService.decodeCursor(cursor, sort)).toBeNull();
+    });
+
+    it('rejects a cursor built for a sort with a different number of keys', () => {
+      const cursor = feedService.encodeCursor({ _id: objectId(1), createdAt }, { createdAt: -1 });
+
+      expect(feedService.decodeCursor(cursor, sort)).toBeNull();
+    });
+
+    it('makes paginate return null without querying', async () => {
+      const Model = { find: jest.fn(), aggregate: jest.fn() };
+
+      await expect(feedService.paginate(Model, { sort, cursor: 'not a cursor' })).resolves.toBeNull();
+      expect(Model.find).not.toHaveBeenCalled();
+      expect(Model.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cursorFilter', () => {
+    const id = objectId(7);
+
+    it('continues after the cursor on a single descending key', () => {
+      expect(feedService.cursorFilter({ createdAt: -1 }, { values: [createdAt], id })).toEqual({
+        $or: [
+          { createdAt: { $lt: createdAt } },
+          { createdAt, _id: { $lt: id } }
+        ]
+      });
+    });
+
+    it('breaks ties key by key on compound sorts', () => {
+      expect(feedService.cursorFilter({ engagement: -1, createdAt: -1 }, { values: [10, createdAt], id })).toEqual({
+        $or: [
+          { engagement: { $lt: 10 } },
+          { engagement: 10, createdAt: { $lt: createdAt } },
+          { engagement: 10, createdAt, _id: { $lt: id } }
+        ]
+      });
+    });
+
+    it('keeps dotted keys as paths', () => {
+      const { sort } = feedService.getSort('trending');
+
+      expect(feedService.cursorFilter(sort, { values: [0.5, createdAt], id }).$or[0]).toEqual({
+        'trendingScores.24h': { $lt: 0.5 }
+      });
+    });
+
+    it('compares ascending keys with $gt and orders _id like the last key', () => {
+      expect(feedService.cursorFilter({ name: 1 }, { values: ['m'], id })).toEqual({
+        $or: [
+          { name: { $gt: 'm' } },
+          { name: 'm', _id: { $gt: id } }
+        ]
+      });
+    });
+
+    it('orders _id like the last key when directions are mixed', () => {
+      const { $or } = feedService.cursorFilter({ name: 1, createdAt: -1 }, { values: ['m', createdAt], id });
+
+      expect($or[2]).toEqual({ name: 'm', createdAt, _id: { $lt: id } });
+    });
+  });
+
+  describe('paging through ties', () => {
+    // Every post shares its sort values with at least one other
+    const docs = Array.from({ length: 23 }, (_, index) => ({
+      _id: objectId(index + 1),
+      createdAt: new Date(createdAt.getTime() - Math.floor(index / 4) * 60 * 1000),
+      engagement: index % 3,
+      score: index % 2,
+      trendingScores: { '24h': (index % 5) / 10 }
+    }));
+
+    ['recent', 'popular', 'trending', 'relevance'].forEach((sortBy) => {
+      it(`returns every post exactly once, in order, sorted by ${sortBy}`, () => {
+        const { sort } = feedService.getSort(sortBy);
+        const expected = sortDocs(docs, sort).map((doc) => doc._id.toHexString());
+
+        [1, 4, 5, 10, 23].forEach((limit) => {
+          expect(pageThrough(docs, sort, limit)).toEqual(expected);
+        });
+      });
+    });
+
+    it('returns every post exactly once when all sort values are equal', () => {
+      const sort = { engagement: -1, createdAt: -1 };
+      const tied = docs.map((doc) => ({ ...doc, engagement: 3, createdAt }));
+
+      expect(pageThrough(tied, sort, 4)).toEqual(sortDocs(tied, sort).map((doc) => doc._id.toHexString()));
+    });
+  });
+});
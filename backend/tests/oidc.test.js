@@ -0,0 +1,220 @@
+const net = require('net');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.JWT_EXPIRE = '15m';
+process.env.JWT_REFRESH_EXPIRE = '7d';
+process.env.API_URL = 'http://api.test';
+process.env.FRONTEND_URL = 'http://frontend.test';
+
+// Nothing here sends email, and the real service connects to SMTP when loaded
+jest.mock('../services/emailService', () => ({}));
+
+const { User, IdentityProvider } = require('../models');
+const loginSecurityService = require('../services/loginSecurityService');
+const authRoutes = require('../routes/auth');
+const createMockOidcServer = require('../scripts/mockOidcServer');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Drives GET /api/auth/oidc/:slug and the callback against the mock provider, whose
+// (signed-in) login form is filled in with `identity`. `tamper` can change the form
+// and the callback URL. Returns the params of the final redirect to the frontend.
+const logIn = async (app, mock, identity, { query = '', tamper = {} } = {}) => {
+  const start = await request(app).get(`/api/auth/oidc/mock${query}`);
+  expect(start.status).toBe(302);
+  const cookies = start.headers['set-cookie'];
+
+  const authorize = new URL(start.headers.location);
+  expect(authorize.origin).toBe(mock.issuer);
+  const form = {
+    redirect_uri: authorize.searchParams.get('redirect_uri'),
+    state: authorize.searchParams.get('state'),
+    nonce: authorize.searchParams.get('nonce'),
+    code_challenge: authorize.searchParams.get('code_challenge'),
+    email: identity.email,
+    name: identity.name || 'Jane Doe',
+    ...(identity.emailVerified !== false && { email_verified: 'true' }),
+    ...tamper.form
+  };
+  const approved = await request(mock.app).post('/authorize').type('form').send(form);
+  expect(approved.status).toBe(302);
+
+  const callback = new URL(approved.headers.location);
+  expect(callback.origin).toBe(process.env.API_URL);
+  if (tamper.state) {
+    callback.searchParams.set('state', tamper.state);
+  }
+
+  const finish = await request(app).get(`${callback.pathname}${callback.search}`).set('Cookie', cookies);
+  expect(finish.status).toBe(302);
+  const done = new URL(finish.headers.location);
+  expect(`${done.origin}${done.pathname}`).toBe(`${process.env.FRONTEND_URL}/oidc-callback`);
+  return Object.fromEntries(done.searchParams);
+};
+
+describe('OpenID Connect login against the mock provider', () => {
+  let mock;
+  let server;
+  let app;
+  let provider;
+  let users;
+
+  beforeAll(async () => {
+    const port = await freePort();
+    mock = createMockOidcServer({ port });
+    await new Promise((resolve) => {
+      server = mock.app.listen(port, resolve);
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/api/auth', authRoutes);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    provider = {
+      slug: 'mock',
+      name: 'Mock',
+      issuer: mock.issuer,
+      clientId: mock.clientId,
+      clientSecret: mock.clientSecret,
+      scopes: 'openid email profile',
+      allowSignup: true,
+      isActive: true
+    };
+    users = [];
+
+    // No database here: providers and users live in memory
+    jest.spyOn(IdentityProvider, 'findOne').mockImplementation(() => {
+      const query = Promise.resolve(provider);
+      query.select = () => query;
+      return query;
+    });
+    jest.spyOn(User, 'findOne').mockImplementation(async (filter) => {
+      if (filter.identities) {
+        const { provider: slug, subject } = filter.identities.$elemMatch;
+        return users.find((user) => user.identities.some((identity) => identity.provider === slug && identity.subject === subject)) || null;
+      }
+      return users.find((user) => user.email === filter.email) || null;
+    });
+    jest.spyOn(User, 'create').mockImplementation(async (data) => {
+      const user = new User(data);
+      users.push(user);
+      return user;
+    });
+    jest.spyOn(mongoose.Model.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(loginSecurityService, 'checkNewDevice').mockResolvedValue();
+    // Rejected logins are logged by the callback route
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('links the account with the same verified email, normalized like registration', async () => {
+    const existing = new User({ name: 'Jane Doe', email: 'janedoe@gmail.com', password: 'Password123', isVerified: false });
+    users.push(existing);
+
+    const params = await logIn(app, mock, { email: 'Jane.Doe@GMail.com' });
+
+    expect(params.error).toBeUndefined();
+    expect(User.create).not.toHaveBeenCalled();
+    expect(existing.identities).toHaveLength(1);
+    expect(existing.identities[0].provider).toBe('mock');
+    expect(existing.isVerified).toBe(true);
+  });
+
+  it('logs a linked account in by its subject on the next login', async () => {
+    await logIn(app, mock, { email: 'jane@example.com' }, { query: '?gdprConsent=true' });
+    const [user] = users;
+    user.email = 'changed@example.com';
+
+    const params = await logIn(app, mock, { email: 'jane@example.com' });
+
+    expect(params.error).toBeUndefined();
+    expect(users).toHaveLength(1);
+  });
+
+  it('signs up a new user who gave consent and records it', async () => {
+    const before = new Date();
+
+    const params = await logIn(app, mock, { email: 'New.User@Example.com', name: 'New User' }, { query: '?gdprConsent=true' });
+
+    expect(params.error).toBeUndefined();
+    expect(users).toHaveLength(1);
+    const [user] = users;
+    expect(user.email).toBe('new.user@example.com');
+    expect(user.name).toBe('New User');
+    expect(user.isVerified).toBe(true);
+    expect(user.gdprConsent).toBe(true);
+    expect(user.gdprConsentDate.getTime()).toBeGreaterThanOrEqual(before.getTime());
+    expect(user.identities[0].provider).toBe('mock');
+  });
+
+  it('refuses to sign up a new user without consent', async () => {
+    const params = await logIn(app, mock, { email: 'new.user@example.com' });
+
+    expect(params.error).toMatch(/registration page/);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to sign up when the provider does not allow it', async () => {
+    provider.allowSignup = false;
+
+    const params = await logIn(app, mock, { email: 'new.user@example.com' }, { query: '?gdprConsent=true' });
+
+    expect(params.error).toMatch(/Please register first/);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unverified email without linking or signing up', async () => {
+    const existing = new User({ name: 'Jane Doe', email: 'jane@example.com', password: 'Password123' });
+    users.push(existing);
+
+    const params = await logIn(app, mock, { email: 'jane@example.com', emailVerified: false }, { query: '?gdprConsent=true' });
+
+    expect(params.error).toMatch(/no verified email address/);
+    expect(existing.identities).toHaveLength(0);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an ID token with a different nonce', async () => {
+    const params = await logIn(app, mock, { email: 'jane@example.com' }, {
+      query: '?gdprConsent=true',
+      tamper: { form: { nonce: 'another-nonce' } }
+    });
+
+    expect(params.error).toMatch(/nonce does not match/);
+    expect(users).toHaveLength(0);
+  });
+
+  it('rejects a callback whose state does not match the login cookie', async () => {
+    const params = await logIn(app, mock, { email: 'jane@example.com' }, {
+      query: '?gdprConsent=true',
+      tamper: { state: 'another-state' }
+    });
+
+    expect(params.error).toMatch(/Invalid login state/);
+    expect(users).toHaveLength(0);
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const ZipArchive = require('../services/zipArchive');
+
+// Collects everything written to an archive into one buffer
+const createSink = () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  return { output, read: () => Buffer.concat(chunks) };
+};
+
+// Reads a zip the way unzip tools do: from the end of central directory record,
+// through the central directory, to each entry's local header and data
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  expect(zip.readUInt16LE(end + 8)).toBe(count);
+  const centralSize = zip.readUInt32LE(end + 12);
+  const centralOffset = zip.readUInt32LE(end + 16);
+  expect(centralOffset + centralSize).toBe(end);
+
+  const entries = [];
+  let position = centralOffset;
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(position)).toBe(0x02014b50);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const extraLength = zip.readUInt16LE(position + 30);
+    const commentLength = zip.readUInt16LE(position + 32);
+    const central = {
+      flags: zip.readUInt16LE(position + 8),
+      method: zip.readUInt16LE(position + 10),
+      crc: zip.readUInt32LE(position + 16),
+      compressedSize: zip.readUInt32LE(position + 20),
+      size: zip.readUInt32LE(position + 24),
+      offset: zip.readUInt32LE(position + 42),
+      name: zip.toString('utf8', position + 46, position + 46 + nameLength)
+    };
+    position += 46 + nameLength + extraLength + commentLength;
+
+    // The local header must agree with the central directory
+    const local = central.offset;
+    expect(zip.readUInt32LE(local)).toBe(0x04034b50);
+    expect(zip.readUInt16LE(local + 8)).toBe(central.method);
+    expect(zip.readUInt32LE(local + 14)).toBe(central.crc);
+    expect(zip.readUInt32LE(local + 18)).toBe(central.compressedSize);
+    expect(zip.readUInt32LE(local + 22)).toBe(central.size);
+    const localNameLength = zip.readUInt16LE(local + 26);
+    const localExtraLength = zip.readUInt16LE(local + 28);
+    expect(zip.toString('utf8', local + 30, local + 30 + localNameLength)).toBe(central.name);
+
+    const start = local + 30 + localNameLength + localExtraLength;
+    const stored = zip.subarray(start, start + central.compressedSize);
+    const data = central.method === 8 ? zlib.inflateRawSync(stored) : Buffer.from(stored);
+    expect(data.length).toBe(central.size);
+
+    entries.push({ ...central, data });
+  }
+  expect(position).toBe(end);
+  return entries;
+};
+
+describe('ZipArchive', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-archive-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('round-trips deflated and stored entries', async () => {
+    const { output, read } = createSink();
+    const archive = new ZipArchive(output);
+    const json = { items: Array.from({ length: 50 }, (_, index) => ({ index, title: `Post ${index}` })) };
+    const binary = Buffer.from([0, 1, 2, 250, 251, 252]);
+
+    await archive.addJson('data.json', json);
+    await archive.addFile('raw.bin', binary, { compress: false });
+    await archive.addFile('notes/empty.txt', '');
+    const size = await archive.finish();
+
+    const zip = read();
+    expect(size).toBe(zip.length);
+
+    const [jsonEntry, binaryEntry, emptyEntry] = readZip(zip);
+    expect(jsonEntry.name).toBe('data.json');
+    expect(jsonEntry.method).toBe(8);
+    expect(jsonEntry.compressedSize).toBeLessThan(jsonEntry.size);
+    expect(JSON.parse(jsonEntry.data.toString('utf8'))).toEqual(json);
+
+    expect(binaryEntry.name).toBe('raw.bin');
+    expect(binaryEntry.method).toBe(0);
+    expect(binaryEntry.data).toEqual(binary);
+
+    expect(emptyEntry.name).toBe('notes/empty.txt');
+    expect(emptyEntry.size).toBe(0);
+    expect(emptyEntry.crc).toBe(0);
+  });
+
+  it('stores entries that deflate would make larger', async () => {
+    const { output, read } = createSink();
+    const archive = new ZipArchive(output);
+
+    await archive.addFile('tiny.txt', 'a');
+    await archive.finish();
+
+    const [entry] = readZip(read());
+    expect(entry.method).toBe(0);
+    expect(entry.data.toString()).toBe('a');
+  });
+
+  it('writes standard CRC-32 checksums', async () => {
+    const { output, read } = createSink();
+    const archive = new ZipArchive(output);
+
+    await archive.addFile('digits.txt', '123456789', { compress: false });
+    await archive.addFile('fox.txt', 'The quick brown fox jumps over the lazy dog');
+    await archive.finish();
+
+    const [digits, fox] = readZip(read());
+    expect(digits.crc).toBe(0xcbf43926);
+    expect(fox.crc).toBe(0x414fa339);
+  });
+
+  it('streams files from disk across several read chunks', async () => {
+    // Larger than the 64KB read stream chunks, and not compressible
+    const content = Buffer.alloc(200 * 1024);
+    for (let i = 0; i < content.length; i++) {
+      content[i] = (i * 7919 + (i >> 8)) & 0xff;
+    }
+    const filepath = path.join(tmpDir, 'image.jpg');
+    fs.writeFileSync(filepath, content);
+
+    const { output, read } = createSink();
+    const archive = new ZipArchive(output);
+    await archive.addJson('manifest.json', { images: ['images/image.jpg'] });
+    await archive.addFileFromPath('images/image.jpg', filepath);
+    await archive.finish();
+
+    const [, image] = readZip(read());
+    expect(image.name).toBe('images/image.jpg');
+    expect(image.method).toBe(0);
+    expect(image.data.equals(content)).toBe(true);
+  });
+
+  it('writes a valid empty archive', async () => {
+    const { output, read } = createSink();
+    await new ZipArchive(output).finish();
+
+    const zip = read();
+    expect(zip.length).toBe(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+
+  it('rejects when the output fails', async () => {
+    const output = new PassThrough();
+    const archive = new ZipArchive(output);
+    output.destroy(new Error('disk full'));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    await expect(archive.addFile('a.txt', 'a')).rejects.toThrow('disk full');
+  });
+});
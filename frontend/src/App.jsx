@@ -21,12 +21,17 @@ import LoginPage from './pages/auth/LoginPage';
 import RegisterPage from './pages/auth/RegisterPage';
 import VerifyEmailPage from './pages/auth/VerifyEmailPage';
 import ResetPasswordPage from './pages/auth/ResetPasswordPage';
+import MagicLinkPage from './pages/auth/MagicLinkPage';
+import ConfirmEmailChangePage from './pages/auth/ConfirmEmailChangePage';
+import OidcCallbackPage from './pages/auth/OidcCallbackPage';
 import DashboardPage from './pages/DashboardPage';
 import ProfilePage from './pages/ProfilePage';
 import PostDetailPage from './pages/PostDetailPage';
 import CategoriesPage from './pages/CategoriesPage';
 import CategoryDetailPage from './pages/CategoryDetailPage';
 import DigestPage from './pages/DigestPage';
+import SavedPage from './pages/SavedPage';
+import SearchPage from './pages/SearchPage';
 import ContactPage from './pages/ContactPage';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import NotFoundPage from './pages/NotFoundPage';
@@ -73,9 +78,13 @@ function App() {
                       <Route path="/register" element={<RegisterPage />} />
                       <Route path="/verify-email" element={<VerifyEmailPage />} />
                       <Route path="/reset-password" element={<ResetPasswordPage />} />
+                      <Route path="/magic-link" element={<MagicLinkPage />} />
+                      <Route path="/confirm-email-change" element={<ConfirmEmailChangePage />} />
+                      <Route path="/oidc-callback" element={<OidcCallbackPage />} />
                       <Route path="/categories" element={<CategoriesPage />} />
                       <Route path="/categories/:slug" element={<CategoryDetailPage />} />
                       <Route path="/post/:id" element={<PostDetailPage />} />
+                      <Route path="/search" element={<SearchPage />} />
                       <Route path="/contact" element={<ContactPage />} />
                       
                       {/* Protected Routes */}
@@ -103,6 +112,14 @@ function App() {
                           </ProtectedRoute>
                         } 
                       />
+                      <Route 
+                        path="/saved" 
+                        element={
+                          <ProtectedRoute>
+                            <SavedPage />
+                          </ProtectedRoute>
+                        } 
+                      />
                       
                       {/* Admin Routes */}
                       <Route 
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary';
+
+const ChangeEmailForm = () => {
+  const { api, user } = useAuth();
+  // The current email stays in use until the new one is confirmed from its inbox
+  const [pendingEmail, setPendingEmail] = useState(user?.pendingEmail || null);
+  const [showForm, setShowForm] = useState(false);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post('/auth/email', { email, password });
+      setPendingEmail(response.data.data.pendingEmail);
+      setShowForm(false);
+      setEmail('');
+      setPassword('');
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to change email');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await api.delete('/auth/email');
+      setPendingEmail(null);
+      toast.success('Email change cancelled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel email change');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-medium text-gray-900 flex items-center space-x-2">
+          <Mail className="w-4 h-4" />
+          <span>Email Address</span>
+        </h3>
+        {!showForm && (
+          <button onClick={() => setShowForm(true)} className="text-sm text-primary hover:underline font-medium">
+            Change email
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600">{user?.email}</p>
+
+      {pendingEmail && (
+        <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center justify-between">
+          <span>Waiting for you to confirm <strong>{pendingEmail}</strong> from its inbox.</span>
+          <button onClick={handleCancel} className="ml-4 text-yellow-900 hover:underline font-medium">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+          <input
+            type="email"
+            placeholder="New email address"
+            className={inputClass}
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Current password"
+            className={inputClass}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+          <div className="flex space-x-3">
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Sending...' : 'Send confirmation link'}
+            </button>
+            <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ChangeEmailForm;
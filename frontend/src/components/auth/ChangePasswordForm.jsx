@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useQueryClient } from 'react-query';
+import { Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary';
+
+const ChangePasswordForm = () => {
+  const { api } = useAuth();
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const resetForm = () => {
+    setShowForm(false);
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.put('/auth/password', { currentPassword, newPassword });
+      toast.success(response.data.message);
+      resetForm();
+      // Other sessions were signed out
+      queryClient.invalidateQueries('sessions');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-medium text-gray-900 flex items-center space-x-2">
+          <Lock className="w-4 h-4" />
+          <span>Password</span>
+        </h3>
+        {!showForm && (
+          <button onClick={() => setShowForm(true)} className="text-sm text-primary hover:underline font-medium">
+            Change password
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            className={inputClass}
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            required
+          />
+          <input
+            type="password"
+            placeholder="New password"
+            autoComplete="new-password"
+            className={inputClass}
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            minLength={8}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Confirm new password"
+            autoComplete="new-password"
+            className={inputClass}
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+          />
+          <p className="text-xs text-gray-500">
+            At least 8 characters with uppercase, lowercase and a number. It must not contain your name or email or be a commonly used password. Changing it signs you out everywhere else.
+          </p>
+          <div className="flex space-x-3">
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Saving...' : 'Change password'}
+            </button>
+            <button type="button" onClick={resetForm} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ChangePasswordForm;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const isMobile = (device = '') => /iOS|Android/.test(device);
+
+const SessionsList = () => {
+  const { api, logout } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: sessions, isLoading } = useQuery('sessions', async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data.data.sessions;
+  });
+
+  const handleRevoke = async (session) => {
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      if (session.current) {
+        await logout();
+        return;
+      }
+      toast.success('Session signed out');
+      queryClient.invalidateQueries('sessions');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await api.delete('/auth/sessions', { params: { exceptCurrent: true } });
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('sessions');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out sessions');
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner text="Loading sessions..." />;
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-medium text-gray-900">Active Sessions</h3>
+        {sessions?.length > 1 && (
+          <button
+            onClick={handleRevokeOthers}
+            className="text-sm text-red-600 hover:text-red-700 font-medium"
+          >
+            Sign out all other sessions
+          </button>
+        )}
+      </div>
+      <div className="divide-y border border-gray-200 rounded-lg">
+        {sessions?.map((session) => {
+          const DeviceIcon = isMobile(session.device) ? Smartphone : Monitor;
+          return (
+            <div key={session.id} className="flex items-center justify-between p-4">
+              <div className="flex items-center space-x-3">
+                <DeviceIcon className="w-5 h-5 text-gray-500" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {session.device}
+                    {session.current && (
+                      <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">This device</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="flex items-center space-x-1 text-sm text-gray-600 hover:text-red-600"
+                title="Sign out this session"
+              >
+                <LogOut className="w-4 h-4" />
+                <span>Sign out</span>
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default SessionsList;
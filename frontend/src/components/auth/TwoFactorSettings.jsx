@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { Key } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary';
+
+const TwoFactorSettings = () => {
+  const { api } = useAuth();
+  const queryClient = useQueryClient();
+  // QR code and secret while enrolling
+  const [setup, setSetup] = useState(null);
+  // Recovery codes are only shown right after they are generated
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisable, setShowDisable] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+
+  const { data: status, isLoading } = useQuery('two-factor', async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data.data;
+  });
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      setSetup(response.data.data);
+      setRecoveryCodes(null);
+      resetForm();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setSetup(null);
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+      queryClient.invalidateQueries('two-factor');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      // Accept either an app code or a recovery code
+      const codes = /^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code };
+      await api.post('/auth/2fa/disable', { password, ...codes });
+      setShowDisable(false);
+      setRecoveryCodes(null);
+      resetForm();
+      toast.success('Two-factor authentication disabled');
+      queryClient.invalidateQueries('two-factor');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const appCode = window.prompt('Enter a code from your authenticator app to generate new recovery codes');
+    if (!appCode) {
+      return;
+    }
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { code: appCode });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('two-factor');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner text="Loading two-factor settings..." />;
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-medium text-gray-900 flex items-center space-x-2">
+          <Key className="w-4 h-4" />
+          <span>Two-Factor Authentication</span>
+        </h3>
+        <span className={`text-xs px-2 py-0.5 rounded-full ${status?.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+          {status?.enabled ? 'Enabled' : 'Disabled'}
+        </span>
+      </div>
+
+      {status?.required && !status?.enabled && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          Admin accounts must use two-factor authentication. Enable it to access the admin dashboard.
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+          <p className="text-sm text-gray-700 mb-3">
+            Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your device. They won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!status?.enabled && !setup && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            Require a code from an authenticator app in addition to your password when you log in.
+          </p>
+          <button onClick={handleStartSetup} className="btn-primary ml-4 whitespace-nowrap">
+            Set up
+          </button>
+        </div>
+      )}
+
+      {setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key manually, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor authentication QR code" className="w-44 h-44 border rounded" />
+          <p className="text-xs text-gray-500 font-mono break-all">{setup.secret}</p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            className={inputClass}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <div className="flex space-x-3">
+            <button type="submit" className="btn-primary">Enable</button>
+            <button type="button" onClick={() => setSetup(null)} className="btn-secondary">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && !showDisable && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            {status.recoveryCodesRemaining} recovery codes remaining
+          </p>
+          <div className="flex space-x-4">
+            <button onClick={handleRegenerate} className="text-sm text-primary hover:underline font-medium">
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button onClick={() => setShowDisable(true)} className="text-sm text-red-600 hover:text-red-700 font-medium">
+                Disable
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showDisable && (
+        <form onSubmit={handleDisable} className="space-y-3">
+          <input
+            type="password"
+            placeholder="Current password"
+            className={inputClass}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Authentication code or recovery code"
+            className={inputClass}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <div className="flex space-x-3">
+            <button type="submit" className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg">
+              Disable two-factor authentication
+            </button>
+            <button type="button" onClick={() => { setShowDisable(false); resetForm(); }} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
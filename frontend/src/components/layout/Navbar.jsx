@@ -8,7 +8,8 @@ import {
   Settings,
   LogOut,
   Home,
-  Shield
+  Shield,
+  Search
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
@@ -113,6 +114,7 @@ const Navbar = () => {
               <>
                 <NavLink to="/dashboard">Feed</NavLink>
                 <NavLink to="/digest">Digest</NavLink>
+                <NavLink to="/saved">Saved</NavLink>
               </>
             )}
             <NavLink to="/contact">Contact</NavLink>
@@ -122,6 +124,9 @@ const Navbar = () => {
 
           {/* Desktop Auth */}
           <div className="hidden md:flex items-center space-x-4">
+            <Link to="/search" className="text-gray-700 hover:text-primary p-2" aria-label="Search" title="Search">
+              <Search className="w-5 h-5" />
+            </Link>
             {isAuthenticated ? (
               <div className="relative">
                 <button
@@ -191,8 +196,14 @@ const Navbar = () => {
                   <NavLink to="/digest" mobile onClick={() => setIsMobileMenuOpen(false)}>
                     Digest
                   </NavLink>
+                  <NavLink to="/saved" mobile onClick={() => setIsMobileMenuOpen(false)}>
+                    Saved
+                  </NavLink>
                 </>
               )}
+              <NavLink to="/search" mobile onClick={() => setIsMobileMenuOpen(false)}>
+                Search
+              </NavLink>
               <NavLink to="/contact" mobile onClick={() => setIsMobileMenuOpen(false)}>
                 Contact
               </NavLink>
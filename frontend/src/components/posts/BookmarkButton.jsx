@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Bookmark } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Save a post to (or remove it from) the general "Saved" list
+const BookmarkButton = ({ post, size = 'sm', showLabel = false }) => {
+  const { user, api } = useAuth();
+  const [bookmarkId, setBookmarkId] = useState(post.viewerBookmarkId || null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const iconClass = size === 'sm' ? 'w-4 h-4' : 'w-5 h-5';
+
+  const toggle = async (e) => {
+    e.preventDefault();
+    if (!user) {
+      toast.error('Please login to save posts');
+      return;
+    }
+    if (isSaving) return;
+
+    setIsSaving(true);
+    try {
+      if (bookmarkId) {
+        await api.delete(`/bookmarks/${bookmarkId}`);
+        setBookmarkId(null);
+        toast.success('Removed from saved');
+      } else {
+        const response = await api.post('/bookmarks', { postId: post._id });
+        setBookmarkId(response.data.data.bookmark._id);
+        toast.success('Saved for later');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update saved posts');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={toggle}
+      disabled={isSaving}
+      title={bookmarkId ? 'Remove from saved' : 'Save for later'}
+      aria-label={bookmarkId ? 'Remove from saved' : 'Save for later'}
+      className={`flex items-center space-x-1 ${
+        bookmarkId ? 'text-primary' : 'text-gray-500 hover:text-primary'
+      } transition-colors duration-200 ${!user ? 'cursor-not-allowed opacity-50' : ''}`}
+    >
+      <Bookmark className={`${iconClass} ${bookmarkId ? 'fill-current' : ''}`} />
+      {showLabel && <span>{bookmarkId ? 'Saved' : 'Save'}</span>}
+    </button>
+  );
+};
+
+export default BookmarkButton;
@@ -0,0 +1,337 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { MessageCircle, Send } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const PAGE_SIZE = 20;
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const CommentForm = ({ initialValue = '', placeholder, submitLabel, onSubmit, onCancel, rows = 3 }) => {
+  const [text, setText] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setSaving(true);
+    const saved = await onSubmit(text.trim());
+    setSaving(false);
+    if (saved && !initialValue) {
+      setText('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        maxLength={1000}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary resize-none"
+        rows={rows}
+        autoFocus={Boolean(onCancel)}
+      />
+      <div className="flex justify-end space-x-2 mt-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-900 text-sm">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={!text.trim() || saving}
+          className="flex items-center space-x-2 bg-primary hover:bg-primary-dark text-white px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Send className="w-4 h-4" />
+          <span>{submitLabel}</span>
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ postId, comment: initialComment, onCountChange, onRemoved, onSiblingAdded }) => {
+  const { user, api } = useAuth();
+  const [comment, setComment] = useState(initialComment);
+  const [isReplying, setIsReplying] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [showReplies, setShowReplies] = useState(false);
+  // Bumped after replying so the reply list reloads with the new reply in it
+  const [repliesVersion, setRepliesVersion] = useState(0);
+
+  const isOwner = user && comment.user && comment.user._id === user.id;
+  const canDelete = !comment.isDeleted && (isOwner || user?.role === 'admin');
+
+  const handleReply = async (content) => {
+    try {
+      const response = await api.post(`/posts/${postId}/comment`, { content, parentId: comment._id });
+      const reply = response.data.data.comment;
+      onCountChange(response.data.data.commentCount);
+      setIsReplying(false);
+      if (reply.parent !== comment._id) {
+        // Threads only nest so deep; the server attached the reply next to this comment
+        onSiblingAdded(reply);
+        return true;
+      }
+      setComment((current) => ({ ...current, replyCount: current.replyCount + 1 }));
+      setShowReplies(true);
+      setRepliesVersion((version) => version + 1);
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add reply'));
+      return false;
+    }
+  };
+
+  const handleEdit = async (content) => {
+    try {
+      const response = await api.put(`/posts/${postId}/comment/${comment._id}`, { content });
+      setComment((current) => ({ ...current, ...response.data.data.comment }));
+      setIsEditing(false);
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to edit comment'));
+      return false;
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      const response = await api.delete(`/posts/${postId}/comment/${comment._id}`);
+      onCountChange(response.data.data.commentCount);
+      if (comment.replyCount > 0) {
+        // Kept as a placeholder so its replies stay in place
+        setComment((current) => ({ ...current, isDeleted: true, content: '', user: null }));
+      } else {
+        onRemoved(comment._id);
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete comment'));
+    }
+  };
+
+  return (
+    <motion.div
+      className="flex space-x-4"
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <div className="w-8 h-8 bg-gray-300 rounded-full flex items-center justify-center flex-shrink-0">
+        {comment.user?.profilePicture ? (
+          <img
+            src={comment.user.profilePicture}
+            alt={comment.user.name}
+            className="w-8 h-8 rounded-full"
+          />
+        ) : (
+          <span className="text-xs font-medium text-gray-600">
+            {comment.user ? comment.user.name.charAt(0).toUpperCase() : '?'}
+          </span>
+        )}
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="bg-gray-50 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="font-medium text-gray-900">
+              {comment.isDeleted ? 'Deleted' : comment.user?.name || 'Deleted User'}
+            </span>
+            <span className="text-xs text-gray-500">
+              {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+              {comment.edited && (
+                <span title={`Edited ${formatDistanceToNow(new Date(comment.editedAt), { addSuffix: true })}`}> · edited</span>
+              )}
+            </span>
+          </div>
+          {isEditing ? (
+            <CommentForm
+              initialValue={comment.content}
+              submitLabel="Save"
+              onSubmit={handleEdit}
+              onCancel={() => setIsEditing(false)}
+            />
+          ) : comment.isDeleted ? (
+            <p className="text-gray-400 italic">This comment was deleted.</p>
+          ) : (
+            <p className="text-gray-700 whitespace-pre-line break-words">{comment.content}</p>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-4 mt-1 ml-1 text-sm text-gray-500">
+          {user && !comment.isDeleted && (
+            <button onClick={() => setIsReplying(!isReplying)} className="hover:text-primary">Reply</button>
+          )}
+          {isOwner && !comment.isDeleted && !isEditing && (
+            <button onClick={() => setIsEditing(true)} className="hover:text-primary">Edit</button>
+          )}
+          {canDelete && (
+            <button onClick={handleDelete} className="hover:text-red-600">Delete</button>
+          )}
+          {comment.replyCount > 0 && (
+            <button onClick={() => setShowReplies(!showReplies)} className="hover:text-primary">
+              {showReplies ? 'Hide replies' : `View ${comment.replyCount} ${comment.replyCount === 1 ? 'reply' : 'replies'}`}
+            </button>
+          )}
+        </div>
+
+        {isReplying && (
+          <div className="mt-3">
+            <CommentForm
+              placeholder={`Reply to ${comment.user?.name || 'this comment'}...`}
+              submitLabel="Reply"
+              rows={2}
+              onSubmit={handleReply}
+              onCancel={() => setIsReplying(false)}
+            />
+          </div>
+        )}
+
+        {showReplies && (
+          <div className="mt-4">
+            <CommentList
+              key={repliesVersion}
+              postId={postId}
+              parent={comment._id}
+              onCountChange={onCountChange}
+            />
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+// One level of a thread: a post's top-level comments or one comment's replies
+const CommentList = ({ postId, parent = null, onCountChange, newComments = [] }) => {
+  const { api } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [removedIds, setRemovedIds] = useState([]);
+  const [addedComments, setAddedComments] = useState([]);
+
+  const fetchComments = async (nextCursor = null) => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/posts/${postId}/comments`, {
+        params: { parent: parent || undefined, cursor: nextCursor || undefined, limit: PAGE_SIZE }
+      });
+      const { comments: page, pagination } = response.data.data;
+      setComments((current) => (nextCursor ? [...current, ...page] : page));
+      setCursor(pagination.nextCursor);
+      setHasMore(pagination.hasNextPage);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load comments'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchComments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [postId, parent]);
+
+  // Comments just posted here that aren't part of a loaded page yet
+  const loadedIds = new Set(comments.map((comment) => comment._id));
+  const allComments = [...comments, ...[...newComments, ...addedComments].filter((comment) => !loadedIds.has(comment._id))]
+    .filter((comment) => !removedIds.includes(comment._id));
+
+  const handleRemoved = (commentId) => {
+    setRemovedIds((current) => [...current, commentId]);
+  };
+
+  if (!parent && !loading && allComments.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <MessageCircle className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">No comments yet. Be the first to comment!</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {allComments.map((comment) => (
+        <CommentItem
+          key={comment._id}
+          postId={postId}
+          comment={comment}
+          onCountChange={onCountChange}
+          onRemoved={handleRemoved}
+          onSiblingAdded={(reply) => setAddedComments((current) => [...current, reply])}
+        />
+      ))}
+
+      {loading && <p className="text-sm text-gray-500">Loading comments...</p>}
+
+      {!loading && hasMore && (
+        <button onClick={() => fetchComments(cursor)} className="text-sm text-primary hover:text-primary-dark font-medium">
+          {parent ? 'Load more replies' : 'Load more comments'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const CommentSection = ({ postId, commentCount, onCountChange }) => {
+  const { user, api } = useAuth();
+  const [newComments, setNewComments] = useState([]);
+
+  const handleAddComment = async (content) => {
+    try {
+      const response = await api.post(`/posts/${postId}/comment`, { content });
+      setNewComments((current) => [...current, response.data.data.comment]);
+      onCountChange(response.data.data.commentCount);
+      toast.success('Comment added successfully!');
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add comment'));
+      return false;
+    }
+  };
+
+  return (
+    <div id="comments" className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-6">
+        Comments ({commentCount || 0})
+      </h2>
+
+      {/* Add Comment Form */}
+      {user ? (
+        <div className="flex space-x-4 mb-8">
+          <div className="w-10 h-10 bg-primary rounded-full flex items-center justify-center flex-shrink-0">
+            <span className="text-white font-medium">
+              {user.name.charAt(0).toUpperCase()}
+            </span>
+          </div>
+          <div className="flex-1">
+            <CommentForm placeholder="Add a comment..." submitLabel="Post Comment" onSubmit={handleAddComment} />
+          </div>
+        </div>
+      ) : (
+        <div className="text-center py-8 bg-gray-50 rounded-lg mb-8">
+          <p className="text-gray-600 mb-4">Sign in to join the conversation</p>
+          <Link
+            to="/login"
+            className="text-primary hover:text-primary-dark font-medium"
+          >
+            Sign In
+          </Link>
+        </div>
+      )}
+
+      <CommentList postId={postId} onCountChange={onCountChange} newComments={newComments} />
+    </div>
+  );
+};
+
+export default CommentSection;
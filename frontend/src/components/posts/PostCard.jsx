@@ -1,40 +1,21 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import {
-  Heart,
   MessageCircle,
   Share2,
   ExternalLink,
   Calendar,
-  User
+  User,
+  Sparkles
 } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import { useAuth } from '../../contexts/AuthContext';
+import ReactionPicker from './ReactionPicker';
+import BookmarkButton from './BookmarkButton';
 
 const PostCard = ({ post, compact = false }) => {
-  const { user, api } = useAuth();
-  const [isLiked, setIsLiked] = useState(
-    post.likes?.some(like => like.user === user?.id) || false
-  );
-  const [likeCount, setLikeCount] = useState(post.likeCount || 0);
-  const [isLiking, setIsLiking] = useState(false);
-
-  const handleLike = async (e) => {
-    e.preventDefault();
-    if (!user || isLiking) return;
-
-    setIsLiking(true);
-    try {
-      const response = await api.post(`/posts/${post._id}/like`);
-      setIsLiked(response.data.data.liked);
-      setLikeCount(response.data.data.likeCount);
-    } catch (error) {
-      console.error('Error liking post:', error);
-    } finally {
-      setIsLiking(false);
-    }
-  };
+  const { api } = useAuth();
 
   const handleShare = async (e) => {
     e.preventDefault();
@@ -92,6 +73,13 @@ const PostCard = ({ post, compact = false }) => {
 
         {/* Post Content */}
         <div className={`p-${compact ? '4' : '6'}`}>
+          {/* Why a personalized feed shows this post */}
+          {post.explanation && (
+            <div className="flex items-center text-xs text-gray-500 mb-2">
+              <Sparkles className="w-3 h-3 mr-1 text-primary" />
+              {post.explanation}
+            </div>
+          )}
           {/* Post Meta */}
           <div className="flex items-center justify-between mb-3">
             <div className="flex items-center space-x-3">
@@ -180,17 +168,8 @@ const PostCard = ({ post, compact = false }) => {
       <div className="px-6 py-3 bg-gray-50 border-t border-gray-100">
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-6">
-            {/* Like Button */}
-            <button
-              onClick={handleLike}
-              disabled={!user || isLiking}
-              className={`flex items-center space-x-1 ${
-                isLiked ? 'text-red-500' : 'text-gray-500 hover:text-red-500'
-              } transition-colors duration-200 ${!user ? 'cursor-not-allowed opacity-50' : ''}`}
-            >
-              <Heart className={`w-4 h-4 ${isLiked ? 'fill-current' : ''}`} />
-              <span className="text-sm">{likeCount}</span>
-            </button>
+            {/* Reactions */}
+            <ReactionPicker post={post} />
 
             {/* Comment Button */}
             <Link
@@ -211,9 +190,13 @@ const PostCard = ({ post, compact = false }) => {
             </button>
           </div>
 
-          {/* Views */}
-          <div className="text-xs text-gray-400">
-            {post.views || 0} views
+          <div className="flex items-center space-x-4">
+            {/* Views */}
+            <div className="text-xs text-gray-400">
+              {post.views || 0} views
+            </div>
+
+            <BookmarkButton post={post} />
           </div>
         </div>
       </div>
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { ThumbsUp, Lightbulb, Laugh, Frown, Angry, ChevronUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const REACTIONS = [
+  { type: 'like', label: 'Like', icon: ThumbsUp, color: 'text-primary' },
+  { type: 'insightful', label: 'Insightful', icon: Lightbulb, color: 'text-yellow-500' },
+  { type: 'funny', label: 'Funny', icon: Laugh, color: 'text-green-500' },
+  { type: 'sad', label: 'Sad', icon: Frown, color: 'text-blue-500' },
+  { type: 'angry', label: 'Angry', icon: Angry, color: 'text-red-500' }
+];
+
+const totalOf = (counts = {}) => REACTIONS.reduce((total, { type }) => total + (counts[type] || 0), 0);
+
+// Reaction button for a post: click to like (or take back your reaction), or
+// open the picker to choose another reaction
+const ReactionPicker = ({ post, size = 'sm' }) => {
+  const { user, api } = useAuth();
+  const [viewerReaction, setViewerReaction] = useState(post.viewerReaction || null);
+  const [counts, setCounts] = useState(post.reactionCounts || {});
+  const [showPicker, setShowPicker] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const current = REACTIONS.find((reaction) => reaction.type === viewerReaction);
+  const Icon = current ? current.icon : ThumbsUp;
+  const iconClass = size === 'sm' ? 'w-4 h-4' : 'w-5 h-5';
+  const total = totalOf(counts);
+
+  const summary = REACTIONS
+    .filter(({ type }) => counts[type] > 0)
+    .map(({ type, label }) => `${label}: ${counts[type]}`)
+    .join(', ');
+
+  const react = async (type) => {
+    if (!user) {
+      toast.error('Please login to react to posts');
+      return;
+    }
+    if (isSaving) return;
+
+    setIsSaving(true);
+    setShowPicker(false);
+    try {
+      const response = type === viewerReaction || type === null
+        ? await api.delete(`/posts/${post._id}/reaction`)
+        : await api.put(`/posts/${post._id}/reaction`, { type });
+      setViewerReaction(response.data.data.reaction);
+      setCounts(response.data.data.reactionCounts);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save reaction');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="relative flex items-center" onMouseLeave={() => setShowPicker(false)}>
+      {showPicker && (
+        <div className="absolute bottom-full left-0 mb-2 flex items-center space-x-1 bg-white border border-gray-200 rounded-full shadow-lg px-2 py-1 z-10">
+          {REACTIONS.map(({ type, label, icon: ReactionIcon, color }) => (
+            <button
+              key={type}
+              onClick={() => react(type)}
+              title={label}
+              aria-label={label}
+              className={`p-1.5 rounded-full hover:bg-gray-100 transition-transform hover:scale-125 ${
+                viewerReaction === type ? `${color} bg-gray-100` : 'text-gray-500'
+              }`}
+            >
+              <ReactionIcon className="w-5 h-5" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={() => react(viewerReaction ? null : 'like')}
+        onMouseEnter={() => user && setShowPicker(true)}
+        disabled={isSaving}
+        title={summary || 'No reactions yet'}
+        className={`flex items-center space-x-1 ${
+          current ? current.color : 'text-gray-500 hover:text-primary'
+        } transition-colors duration-200 ${!user ? 'cursor-not-allowed opacity-50' : ''}`}
+      >
+        <Icon className={iconClass} />
+        <span className={size === 'sm' ? 'text-sm' : ''}>{total}</span>
+      </button>
+
+      {user && (
+        <button
+          onClick={() => setShowPicker(!showPicker)}
+          aria-label="Choose a reaction"
+          className="ml-0.5 text-gray-400 hover:text-gray-600"
+        >
+          <ChevronUp className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReactionPicker;
@@ -118,7 +118,8 @@ export const AuthProvider = ({ children }) => {
       async (error) => {
         const originalRequest = error.config;
 
-        if (error.response?.status === 401 && !originalRequest._retry) {
+        // Never try to refresh after the refresh request itself failed
+        if (error.response?.status === 401 && !originalRequest._retry && originalRequest.url !== '/auth/refresh') {
           originalRequest._retry = true;
 
           try {
@@ -219,32 +220,48 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Login function
+  // Store the tokens from a completed login and send the user to their dashboard
+  const completeLogin = (response) => {
+    const { accessToken, user } = response.data.data;
+
+    // Store token
+    localStorage.setItem('token', accessToken);
+
+    dispatch({
+      type: AUTH_ACTIONS.AUTH_SUCCESS,
+      payload: {
+        user: user,
+        token: accessToken
+      }
+    });
+
+    toast.success(`Welcome back, ${user.name}!`);
+    if(user.name === 'admin'){
+      location.href='/admin/dashboard'; // Redirect to admin dashboard
+    }else{
+      location.href = '/dashboard'; // Redirect to user dashboard
+    }
+    return { success: true, data: response.data };
+  };
+
+  // Login function. Accounts with two-factor authentication get a challenge token
+  // back, to be passed to verifyTwoFactor with a code.
   const login = async (credentials) => {
     try {
       dispatch({ type: AUTH_ACTIONS.AUTH_START });
 
       const response = await api.post('/auth/login', credentials);
-      const { accessToken, user } = response.data.data;
-
-      // Store token
-      localStorage.setItem('token', accessToken);
-
-      dispatch({
-        type: AUTH_ACTIONS.AUTH_SUCCESS,
-        payload: {
-          user: user,
-          token: accessToken
-        }
-      });
 
-      toast.success(`Welcome back, ${user.name}!`);
-      if(user.name === 'admin'){
-        location.href='/admin/dashboard'; // Redirect to admin dashboard
-      }else{
-        location.href = '/dashboard'; // Redirect to user dashboard
+      if (response.data.data.requiresTwoFactor) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return {
+          success: true,
+          requiresTwoFactor: true,
+          challengeToken: response.data.data.challengeToken
+        };
       }
-      return { success: true, data: response.data };
+
+      return completeLogin(response);
 
     } catch (error) {   
       const errorMessage = error.response?.data?.message || 'Login failed';
@@ -254,6 +271,70 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: { code } from the authenticator app or { recoveryCode }
+  const verifyTwoFactor = async (challengeToken, codes) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, ...codes });
+      return completeLogin(response);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Verification failed';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Email a passwordless login link
+  const requestMagicLink = async (email) => {
+    try {
+      const response = await api.post('/auth/magic-link', { email });
+      return { success: true, data: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to send login link';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Log in with the token from a magic link; like login, may ask for a two-factor code
+  const loginWithMagicLink = async (token) => {
+    try {
+      const response = await api.post('/auth/magic-link/verify', { token });
+
+      if (response.data.data.requiresTwoFactor) {
+        return {
+          success: true,
+          requiresTwoFactor: true,
+          challengeToken: response.data.data.challengeToken
+        };
+      }
+
+      return completeLogin(response);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Login link is invalid or has expired';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Finish a login through an external provider. The backend has already set the
+  // refresh cookie, so exchange it for an access token and load the user.
+  const completeExternalLogin = async () => {
+    try {
+      const refreshResponse = await api.post('/auth/refresh');
+      const { accessToken } = refreshResponse.data.data;
+
+      const response = await api.get('/auth/me', {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      return completeLogin({
+        data: { data: { accessToken, user: response.data.data.user } }
+      });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Login failed';
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Logout function
   const logout = async () => {
     try {
@@ -341,6 +422,30 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Upload a new profile picture
+  const uploadProfilePicture = async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('profilePicture', file);
+
+      const response = await api.post('/users/profile/picture', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      dispatch({
+        type: AUTH_ACTIONS.UPDATE_USER,
+        payload: response.data.data.user
+      });
+
+      toast.success('Profile picture updated!');
+      return { success: true, data: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Profile picture upload failed';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Clear error
   const clearError = () => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
@@ -358,12 +463,17 @@ export const AuthProvider = ({ children }) => {
     // Actions
     register,
     login,
+    verifyTwoFactor,
+    requestMagicLink,
+    loginWithMagicLink,
+    completeExternalLogin,
     logout,
     verifyEmail,
     resendVerification,
     forgotPassword,
     resetPassword,
     updateProfile,
+    uploadProfilePicture,
     loadUser,
     clearError,
     
@@ -13,7 +13,10 @@ const CategoryDetailPage = () => {
   const { api } = useAuth();
   const [posts, setPosts] = useState([]);
   const [hasMore, setHasMore] = useState(true);
-  const [page, setPage] = useState(1);
+  const [cursor, setCursor] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [sortBy, setSortBy] = useState('recent');
+  const [source, setSource] = useState('all');
 
   // Fetch category details
   const { data: category, isLoading: categoryLoading } = useQuery(
@@ -24,15 +27,16 @@ const CategoryDetailPage = () => {
     }
   );
 
-  // Fetch category posts
+  // Fetch the first page of category posts
   const { isLoading: postsLoading } = useQuery(
-    ['category-posts', slug],
+    ['category-posts', slug, sortBy, source],
     async () => {
       const response = await api.get(`/categories/${slug}/posts`, {
-        params: { page: 1, limit: 10 }
+        params: { limit: 10, sortBy, source }
       });
       setPosts(response.data.data.posts);
-      setPage(2);
+      setStats(response.data.data.stats);
+      setCursor(response.data.data.pagination.nextCursor);
       setHasMore(response.data.data.pagination.hasNextPage);
       return response.data.data.posts;
     },
@@ -44,11 +48,11 @@ const CategoryDetailPage = () => {
   const fetchMorePosts = async () => {
     try {
       const response = await api.get(`/categories/${slug}/posts`, {
-        params: { page, limit: 10 }
+        params: { limit: 10, sortBy, source, cursor }
       });
       
       setPosts(prev => [...prev, ...response.data.data.posts]);
-      setPage(prev => prev + 1);
+      setCursor(response.data.data.pagination.nextCursor);
       setHasMore(response.data.data.pagination.hasNextPage);
     } catch (error) {
       console.error('Error fetching more posts:', error);
@@ -100,7 +104,7 @@ const CategoryDetailPage = () => {
                   <p className="text-gray-600 text-lg">{category.description}</p>
                 )}
                 <div className="flex items-center space-x-4 mt-2 text-sm text-gray-500">
-                  <span>{posts.length} posts</span>
+                  <span>{stats?.postCount ?? posts.length} posts</span>
                   {category.createdAt && (
                     <span>Created {new Date(category.createdAt).toLocaleDateString()}</span>
                   )}
@@ -109,28 +113,56 @@ const CategoryDetailPage = () => {
             </div>
 
             {/* Category Stats */}
-            {category.stats && (
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 pt-6 border-t border-gray-100">
+            {stats && (
+              <div className="grid grid-cols-3 gap-4 pt-6 border-t border-gray-100">
                 <div className="text-center">
-                  <div className="text-2xl font-bold text-secondary">{category.stats.totalPosts || 0}</div>
+                  <div className="text-2xl font-bold text-secondary">{stats.postCount}</div>
                   <div className="text-sm text-gray-500">Total Posts</div>
                 </div>
                 <div className="text-center">
-                  <div className="text-2xl font-bold text-secondary">{category.stats.weeklyPosts || 0}</div>
+                  <div className="text-2xl font-bold text-secondary">{stats.postsThisWeek}</div>
                   <div className="text-sm text-gray-500">This Week</div>
                 </div>
                 <div className="text-center">
-                  <div className="text-2xl font-bold text-secondary">{category.stats.monthlyPosts || 0}</div>
-                  <div className="text-sm text-gray-500">This Month</div>
-                </div>
-                <div className="text-center">
-                  <div className="text-2xl font-bold text-secondary">{category.stats.engagement || 0}%</div>
-                  <div className="text-sm text-gray-500">Engagement</div>
+                  <div className="text-2xl font-bold text-secondary">{stats.followerCount}</div>
+                  <div className="text-sm text-gray-500">Followers</div>
                 </div>
               </div>
             )}
           </div>
 
+          {/* Feed Filters */}
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <div className="flex space-x-2">
+              {[
+                { value: 'all', label: 'All' },
+                { value: 'news', label: 'News' },
+                { value: 'user', label: 'Community' }
+              ].map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setSource(option.value)}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    source === option.value
+                      ? 'bg-primary text-white'
+                      : 'bg-white text-gray-600 hover:bg-gray-50 border border-gray-200'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="border border-gray-200 rounded-lg px-3 py-2 text-sm bg-white"
+            >
+              <option value="recent">Most Recent</option>
+              <option value="popular">Most Popular</option>
+              <option value="trending">Trending</option>
+            </select>
+          </div>
+
           {/* Posts Feed */}
           <div className="space-y-6">
             {posts.length > 0 ? (
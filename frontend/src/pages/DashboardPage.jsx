@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useQuery } from 'react-query';
 import { motion } from 'framer-motion';
-import { Filter, TrendingUp, Clock, Heart } from 'lucide-react';
+import { Filter, TrendingUp, Clock, Heart, Sparkles } from 'lucide-react';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
 import PostCard from '../components/posts/PostCard';
@@ -12,8 +12,8 @@ const DashboardPage = () => {
   const { user, api } = useAuth();
   const [posts, setPosts] = useState([]);
   const [hasMore, setHasMore] = useState(true);
-  const [page, setPage] = useState(1);
-  const [sortBy, setSortBy] = useState('recent');
+  const [cursor, setCursor] = useState(null);
+  const [sortBy, setSortBy] = useState('personalized');
   const [selectedCategory, setSelectedCategory] = useState('all');
   // Create Post Modal State
   const [showCreateModal, setShowCreateModal] = useState(false);
@@ -38,14 +38,13 @@ const DashboardPage = () => {
     async () => {
       const response = await api.get('/posts', {
         params: {
-          page: 1,
           limit: 10,
           sortBy,
           category: selectedCategory === 'all' ? undefined : selectedCategory
         }
       });
       setPosts(response.data.data.posts);
-      setPage(2);
+      setCursor(response.data.data.pagination.nextCursor);
       setHasMore(response.data.data.pagination.hasNextPage);
       return response.data.data.posts;
     },
@@ -58,15 +57,15 @@ const DashboardPage = () => {
     try {
       const response = await api.get('/posts', {
         params: {
-          page,
           limit: 10,
           sortBy,
+          cursor,
           category: selectedCategory === 'all' ? undefined : selectedCategory
         }
       });
       
       setPosts(prev => [...prev, ...response.data.data.posts]);
-      setPage(prev => prev + 1);
+      setCursor(response.data.data.pagination.nextCursor);
       setHasMore(response.data.data.pagination.hasNextPage);
     } catch (error) {
       console.error('Error fetching more posts:', error);
@@ -74,6 +73,7 @@ const DashboardPage = () => {
   };
 
   const sortOptions = [
+    { value: 'personalized', label: 'For You', icon: Sparkles },
     { value: 'recent', label: 'Most Recent', icon: Clock },
     { value: 'popular', label: 'Most Popular', icon: Heart },
     { value: 'trending', label: 'Trending', icon: TrendingUp }
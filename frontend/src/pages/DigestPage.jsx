@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useQuery } from 'react-query';
 import { motion } from 'framer-motion';
-import { Mail, Calendar, Eye } from 'lucide-react';
+import { Mail, Calendar, Eye, Archive } from 'lucide-react';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
 import PostCard from '../components/posts/PostCard';
@@ -12,12 +12,15 @@ const DigestPage = () => {
   const { user, api } = useAuth();
   const [digestType, setDigestType] = useState('daily');
   const [isGenerating, setIsGenerating] = useState(false);
+  // When set, show a digest from the archive instead of the latest one
+  const [archivedDigestId, setArchivedDigestId] = useState(null);
 
   // Fetch digest data
   const { data: digestData, isLoading, refetch } = useQuery(
-    ['digest', digestType],
+    ['digest', digestType, archivedDigestId],
     async () => {
-      const response = await api.get(`/digest/${digestType}`);
+      const url = archivedDigestId ? `/digest/archive/${archivedDigestId}` : `/digest/${digestType}`;
+      const response = await api.get(url);
       return response.data.data;
     },
     {
@@ -25,12 +28,29 @@ const DigestPage = () => {
     }
   );
 
+  // Fetch past digests
+  const { data: archiveData, refetch: refetchArchive } = useQuery(
+    'digest-archive',
+    async () => {
+      const response = await api.get('/digest/archive', { params: { limit: 10 } });
+      return response.data.data.digests;
+    },
+    {
+      enabled: !!user
+    }
+  );
+
   const generateDigest = async () => {
     setIsGenerating(true);
     try {
-      await api.post('/digest/generate', { type: digestType });
-      await refetch();
-      toast.success('Digest generated successfully!');
+      const response = await api.post('/digest/generate', { type: digestType });
+      setArchivedDigestId(null);
+      await Promise.all([refetch(), refetchArchive()]);
+      if (response.data.data.digest) {
+        toast.success('Digest generated successfully!');
+      } else {
+        toast(response.data.message);
+      }
     } catch (error) {
       toast.error('Failed to generate digest');
     } finally {
@@ -40,13 +60,14 @@ const DigestPage = () => {
 
   const sendDigestEmail = async () => {
     try {
-      await api.post('/digest/send-email', { 
-        type: digestType,
-        posts: digestData?.posts?.map(p => p._id) || []
+      await api.post('/digest/send-email', {
+        digestId: digestData?.digest?._id,
+        type: digestType
       });
+      refetchArchive();
       toast.success('Digest sent to your email!');
     } catch (error) {
-      toast.error('Failed to send digest email');
+      toast.error(error.response?.data?.message || error.response?.data?.error || 'Failed to send digest email');
     }
   };
 
@@ -88,7 +109,10 @@ const DigestPage = () => {
                 <label className="text-sm font-medium text-gray-700">Digest Type:</label>
                 <select
                   value={digestType}
-                  onChange={(e) => setDigestType(e.target.value)}
+                  onChange={(e) => {
+                    setDigestType(e.target.value);
+                    setArchivedDigestId(null);
+                  }}
                   className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
                 >
                   <option value="daily">Daily Digest</option>
@@ -107,7 +131,7 @@ const DigestPage = () => {
                   <span>{isGenerating ? 'Generating...' : 'Generate Digest'}</span>
                 </button>
 
-                {digestData?.posts && (
+                {digestData?.digest && (
                   <button
                     onClick={sendDigestEmail}
                     className="flex items-center space-x-2 bg-accent hover:bg-accent-dark text-white px-4 py-2 rounded-lg font-medium transition-colors"
@@ -121,17 +145,17 @@ const DigestPage = () => {
           </div>
 
           {/* Digest Content */}
-          {digestData?.posts ? (
+          {digestData?.digest ? (
             <div className="space-y-6">
               {/* Digest Header */}
               <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
                 <div className="flex items-center justify-between mb-4">
                   <h2 className="text-2xl font-bold text-secondary capitalize">
-                    {digestType} Digest
+                    {digestData.digest.digestType} Digest
                   </h2>
                   <div className="flex items-center text-sm text-gray-500">
                     <Calendar className="w-4 h-4 mr-1" />
-                    {new Date().toLocaleDateString()}
+                    {new Date(digestData.digest.createdAt).toLocaleDateString()}
                   </div>
                 </div>
                 <p className="text-gray-600">
@@ -185,6 +209,36 @@ const DigestPage = () => {
               </button>
             </div>
           )}
+
+          {/* Digest Archive */}
+          {archiveData?.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mt-8">
+              <h3 className="flex items-center text-lg font-semibold text-secondary mb-4">
+                <Archive className="w-5 h-5 mr-2" />
+                Past Digests
+              </h3>
+              <ul className="divide-y divide-gray-100">
+                {archiveData.map((digest) => (
+                  <li key={digest._id}>
+                    <button
+                      onClick={() => setArchivedDigestId(digest._id)}
+                      className={`w-full flex items-center justify-between py-3 text-left transition-colors ${
+                        digestData?.digest?._id === digest._id ? 'text-primary' : 'text-gray-700 hover:text-primary'
+                      }`}
+                    >
+                      <span className="capitalize">
+                        {digest.digestType} digest · {digest.postCount} stories
+                      </span>
+                      <span className="flex items-center text-sm text-gray-500">
+                        {digest.channel === 'email' && <Mail className="w-4 h-4 mr-2" />}
+                        {new Date(digest.createdAt).toLocaleDateString()}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       </div>
     </>
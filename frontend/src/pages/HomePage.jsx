@@ -71,7 +71,7 @@ const HomePage = () => {
   const { data: trendingPosts, isLoading: postsLoading } = useQuery(
     'trending-posts-preview',
     async () => {
-      const response = await api.get('/posts/trending/today?limit=6');
+      const response = await api.get('/trending', { params: { window: '24h', limit: 6 } });
       return response.data.data.posts;
     },
     {
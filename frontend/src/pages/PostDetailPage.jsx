@@ -1,86 +1,109 @@
-import React, { useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useEffect } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { motion } from 'framer-motion';
 import { 
-  Heart, 
   MessageCircle, 
   Share2, 
   Calendar, 
   User, 
   ExternalLink,
-  Send
+  Flag,
+  Trash2
 } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import CommentSection from '../components/posts/CommentSection';
+import ReactionPicker from '../components/posts/ReactionPicker';
+import BookmarkButton from '../components/posts/BookmarkButton';
 import toast from 'react-hot-toast';
 
 const PostDetailPage = () => {
   const { id } = useParams();
   const { user, api } = useAuth();
   const queryClient = useQueryClient();
-  const [commentText, setCommentText] = useState('');
-  const [isLiked, setIsLiked] = useState(false);
-  const [likeCount, setLikeCount] = useState(0);
+  const navigate = useNavigate();
 
   // Fetch post
   const { data: post, isLoading, error } = useQuery(
     ['post', id],
     async () => {
       const response = await api.get(`/posts/${id}`);
-      const postData = response.data.data.post;
-      setIsLiked(postData.likes?.some(like => like.user === user?.id) || false);
-      setLikeCount(postData.likeCount || 0);
-      return postData;
+      return response.data.data.post;
     }
   );
 
-  // Add comment mutation
-  const addCommentMutation = useMutation(
-    (commentData) => api.post(`/posts/${id}/comment`, commentData),
+  // Share post mutation
+  const shareMutation = useMutation(
+    () => api.post(`/posts/${id}/share`)
+  );
+
+  // Report reading time once, when the reader leaves the post or the tab
+  useEffect(() => {
+    if (!post) return undefined;
+    const openedAt = Date.now();
+    let reported = false;
+
+    const report = () => {
+      const seconds = Math.round((Date.now() - openedAt) / 1000);
+      if (reported || seconds < 1) return;
+      reported = true;
+      api.post(`/posts/${post._id}/dwell`, { seconds }).catch(() => {});
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') report();
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      report();
+    };
+  }, [post?._id]);
+
+  const reportMutation = useMutation(
+    (reason) => api.post(`/posts/${id}/report`, { reason }),
     {
-      onSuccess: () => {
-        queryClient.invalidateQueries(['post', id]);
-        setCommentText('');
-        toast.success('Comment added successfully!');
+      onSuccess: (response) => {
+        queryClient.setQueryData(['post', id], (current) => ({ ...current, viewerHasReported: true }));
+        toast.success(response.data.message);
       },
-      onError: () => {
-        toast.error('Failed to add comment');
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to report post');
       }
     }
   );
 
-  // Like post mutation
-  const likeMutation = useMutation(
-    () => api.post(`/posts/${id}/like`),
+  const deleteMutation = useMutation(
+    () => api.delete(`/posts/${id}`),
     {
-      onSuccess: (response) => {
-        setIsLiked(response.data.data.liked);
-        setLikeCount(response.data.data.likeCount);
+      onSuccess: () => {
+        toast.success('Post deleted');
+        navigate('/dashboard');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete post');
       }
     }
   );
 
-  // Share post mutation
-  const shareMutation = useMutation(
-    () => api.post(`/posts/${id}/share`)
-  );
-
-  const handleAddComment = (e) => {
-    e.preventDefault();
-    if (!commentText.trim() || !user) return;
-    
-    addCommentMutation.mutate({ content: commentText.trim() });
+  const handleReport = () => {
+    const reason = window.prompt('Why are you reporting this post?');
+    if (reason && reason.trim()) {
+      reportMutation.mutate(reason.trim());
+    }
   };
 
-  const handleLike = () => {
-    if (!user) {
-      toast.error('Please login to like posts');
-      return;
+  const handleDelete = () => {
+    if (window.confirm('Delete this post?')) {
+      deleteMutation.mutate();
     }
-    likeMutation.mutate();
+  };
+
+  const handleCommentCountChange = (commentCount) => {
+    queryClient.setQueryData(['post', id], (current) => ({ ...current, commentCount }));
   };
 
   const handleShare = async () => {
@@ -221,7 +244,7 @@ const PostDetailPage = () => {
                       <h3 className="font-medium text-gray-900 mb-1">{post.link.title}</h3>
                       <p className="text-sm text-gray-600 mb-2">{post.link.description}</p>
                       <a
-                        href={post.link.url}
+                        href={`${api.defaults.baseURL}/posts/${post._id}/source`}
                         target="_blank"
                         rel="noopener noreferrer"
                         className="text-primary hover:text-primary-dark text-sm flex items-center"
@@ -257,20 +280,11 @@ const PostDetailPage = () => {
               {/* Post Actions */}
               <div className="flex items-center justify-between pt-6 border-t border-gray-100">
                 <div className="flex items-center space-x-6">
-                  <button
-                    onClick={handleLike}
-                    disabled={!user}
-                    className={`flex items-center space-x-2 ${
-                      isLiked ? 'text-red-500' : 'text-gray-500 hover:text-red-500'
-                    } transition-colors`}
-                  >
-                    <Heart className={`w-5 h-5 ${isLiked ? 'fill-current' : ''}`} />
-                    <span>{likeCount}</span>
-                  </button>
+                  <ReactionPicker post={post} size="md" />
 
                   <div className="flex items-center space-x-2 text-gray-500">
                     <MessageCircle className="w-5 h-5" />
-                    <span>{post.comments?.length || 0}</span>
+                    <span>{post.commentCount || 0}</span>
                   </div>
 
                   <button
@@ -280,107 +294,42 @@ const PostDetailPage = () => {
                     <Share2 className="w-5 h-5" />
                     <span>{post.shares || 0}</span>
                   </button>
+
+                  <BookmarkButton key={post._id} post={post} size="md" showLabel />
                 </div>
 
-                <div className="text-sm text-gray-400">
-                  {post.views || 0} views
+                <div className="flex items-center space-x-4 text-sm text-gray-400">
+                  <span>{post.views || 0} views</span>
+                  {post.viewerCanEdit && (
+                    <button
+                      onClick={handleDelete}
+                      disabled={deleteMutation.isLoading}
+                      className="flex items-center space-x-1 hover:text-red-600 transition-colors"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      <span>Delete</span>
+                    </button>
+                  )}
+                  {user && !post.viewerCanEdit && (
+                    <button
+                      onClick={handleReport}
+                      disabled={post.viewerHasReported || reportMutation.isLoading}
+                      className="flex items-center space-x-1 hover:text-red-600 disabled:hover:text-gray-400 transition-colors"
+                    >
+                      <Flag className="w-4 h-4" />
+                      <span>{post.viewerHasReported ? 'Reported' : 'Report'}</span>
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
           </motion.article>
 
-          {/* Comments Section */}
-          <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-6">
-              Comments ({post.comments?.length || 0})
-            </h2>
-
-            {/* Add Comment Form */}
-            {user ? (
-              <form onSubmit={handleAddComment} className="mb-8">
-                <div className="flex space-x-4">
-                  <div className="w-10 h-10 bg-primary rounded-full flex items-center justify-center">
-                    <span className="text-white font-medium">
-                      {user.name.charAt(0).toUpperCase()}
-                    </span>
-                  </div>
-                  <div className="flex-1">
-                    <textarea
-                      value={commentText}
-                      onChange={(e) => setCommentText(e.target.value)}
-                      placeholder="Add a comment..."
-                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary resize-none"
-                      rows="3"
-                    />
-                    <div className="flex justify-end mt-2">
-                      <button
-                        type="submit"
-                        disabled={!commentText.trim() || addCommentMutation.isLoading}
-                        className="flex items-center space-x-2 bg-primary hover:bg-primary-dark text-white px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                      >
-                        <Send className="w-4 h-4" />
-                        <span>Post Comment</span>
-                      </button>
-                    </div>
-                  </div>
-                </div>
-              </form>
-            ) : (
-              <div className="text-center py-8 bg-gray-50 rounded-lg mb-8">
-                <p className="text-gray-600 mb-4">Sign in to join the conversation</p>
-                <Link
-                  to="/login"
-                  className="text-primary hover:text-primary-dark font-medium"
-                >
-                  Sign In
-                </Link>
-              </div>
-            )}
-
-            {/* Comments List */}
-            <div className="space-y-6">
-              {post.comments?.map((comment) => (
-                <motion.div
-                  key={comment._id}
-                  className="flex space-x-4"
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                >
-                  <div className="w-8 h-8 bg-gray-300 rounded-full flex items-center justify-center">
-                    {comment.user.profilePicture ? (
-                      <img
-                        src={comment.user.profilePicture}
-                        alt={comment.user.name}
-                        className="w-8 h-8 rounded-full"
-                      />
-                    ) : (
-                      <span className="text-xs font-medium text-gray-600">
-                        {comment.user.name.charAt(0).toUpperCase()}
-                      </span>
-                    )}
-                  </div>
-                  <div className="flex-1">
-                    <div className="bg-gray-50 rounded-lg p-4">
-                      <div className="flex items-center justify-between mb-2">
-                        <span className="font-medium text-gray-900">{comment.user.name}</span>
-                        <span className="text-xs text-gray-500">
-                          {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
-                        </span>
-                      </div>
-                      <p className="text-gray-700">{comment.content}</p>
-                    </div>
-                  </div>
-                </motion.div>
-              ))}
-
-              {(!post.comments || post.comments.length === 0) && (
-                <div className="text-center py-8">
-                  <MessageCircle className="w-12 h-12 text-gray-300 mx-auto mb-4" />
-                  <p className="text-gray-500">No comments yet. Be the first to comment!</p>
-                </div>
-              )}
-            </div>
-          </div>
+          <CommentSection
+            postId={id}
+            commentCount={post.commentCount}
+            onCountChange={handleCommentCountChange}
+          />
         </div>
       </div>
     </>
@@ -1,14 +1,21 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { Camera, Save, Bell, Shield, Download, Trash2 } from 'lucide-react';
+import { Camera, Save, Bell, Shield, Lock, Download, Trash2 } from 'lucide-react';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
 import { useQuery } from 'react-query';
 import toast from 'react-hot-toast';
+import SessionsList from '../components/auth/SessionsList';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
+import ChangeEmailForm from '../components/auth/ChangeEmailForm';
+import ChangePasswordForm from '../components/auth/ChangePasswordForm';
 
 const ProfilePage = () => {
-  const { user, updateProfile, api } = useAuth();
+  const { user, updateProfile, uploadProfilePicture, logout, api } = useAuth();
   const [activeTab, setActiveTab] = useState('profile');
+  const [isUploadingPicture, setIsUploadingPicture] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const pictureInputRef = useRef(null);
   const [selectedInterests, setSelectedInterests] = useState(user?.interests?.map(i => i._id) || []);
 
   const {
@@ -54,36 +61,58 @@ const ProfilePage = () => {
     );
   };
 
+  const handlePictureChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsUploadingPicture(true);
+    await uploadProfilePicture(file);
+    setIsUploadingPicture(false);
+  };
+
   const handleDataExport = async () => {
     try {
-      const response = await api.get('/users/export-data');
-      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
-      const url = window.URL.createObjectURL(blob);
+      const response = await api.get('/users/export-data', { responseType: 'blob' });
+
+      // Large exports are prepared in the background and emailed as a link
+      if (response.status === 202) {
+        const result = JSON.parse(await response.data.text());
+        toast.success(result.message);
+        return;
+      }
+
+      const url = window.URL.createObjectURL(response.data);
       const a = document.createElement('a');
       a.href = url;
-      a.download = 'intelixir-data-export.json';
+      a.download = 'intelixir-data-export.zip';
       a.click();
+      window.URL.revokeObjectURL(url);
       toast.success('Data exported successfully!');
     } catch (error) {
       toast.error('Failed to export data');
     }
   };
 
-  const handleAccountDeletion = async () => {
-    if (window.confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
-      try {
-        await api.delete('/users/account');
-        toast.success('Account deleted successfully');
-        // Logout and redirect will be handled by the auth context
-      } catch (error) {
-        toast.error('Failed to delete account');
-      }
+  const handleAccountDeletion = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Are you sure you want to delete your account? You can cancel by logging in again before the deletion date.')) {
+      return;
+    }
+
+    try {
+      const response = await api.delete('/users/account', { data: { password: deletePassword } });
+      toast.success(response.data.message);
+      await logout();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete account');
     }
   };
 
   const tabs = [
     { id: 'profile', label: 'Profile', icon: Camera },
     { id: 'preferences', label: 'Preferences', icon: Bell },
+    { id: 'security', label: 'Security', icon: Lock },
     { id: 'privacy', label: 'Privacy & Data', icon: Shield }
   ];
 
@@ -152,10 +181,20 @@ const ProfilePage = () => {
                           </div>
                           <button
                             type="button"
-                            className="absolute bottom-0 right-0 bg-white rounded-full p-2 shadow-md border"
+                            onClick={() => pictureInputRef.current?.click()}
+                            disabled={isUploadingPicture}
+                            className="absolute bottom-0 right-0 bg-white rounded-full p-2 shadow-md border disabled:opacity-50"
+                            title="Change profile picture"
                           >
                             <Camera className="w-4 h-4 text-gray-600" />
                           </button>
+                          <input
+                            ref={pictureInputRef}
+                            type="file"
+                            accept="image/*"
+                            onChange={handlePictureChange}
+                            className="hidden"
+                          />
                         </div>
                         <div>
                           <h3 className="font-medium text-gray-900">{user?.name}</h3>
@@ -271,6 +310,19 @@ const ProfilePage = () => {
                         />
                       </div>
 
+                      {/* Saved Posts */}
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <h3 className="font-medium text-gray-900">Saved Posts in Digest</h3>
+                          <p className="text-sm text-gray-500">Remind me of saved posts I haven't read yet</p>
+                        </div>
+                        <input
+                          {...register('emailPreferences.includeSavedPosts')}
+                          type="checkbox"
+                          className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                        />
+                      </div>
+
                       <button
                         onClick={() => handleSubmit(onSubmit)()}
                         className="flex items-center space-x-2 bg-primary hover:bg-primary-dark text-white px-6 py-3 rounded-lg font-medium transition-colors"
@@ -283,6 +335,19 @@ const ProfilePage = () => {
                 )}
 
                 {/* Privacy Tab */}
+                {activeTab === 'security' && (
+                  <div className="p-6">
+                    <h2 className="text-xl font-semibold text-secondary mb-6">Security</h2>
+
+                    <div className="space-y-6">
+                      <ChangeEmailForm />
+                      <ChangePasswordForm />
+                      <TwoFactorSettings />
+                      <SessionsList />
+                    </div>
+                  </div>
+                )}
+
                 {activeTab === 'privacy' && (
                   <div className="p-6">
                     <h2 className="text-xl font-semibold text-secondary mb-6">Privacy & Data</h2>
@@ -309,15 +374,26 @@ const ProfilePage = () => {
                       <div className="border-t pt-6">
                         <h3 className="font-medium text-red-900 mb-2">Danger Zone</h3>
                         <p className="text-gray-600 text-sm mb-4">
-                          Once you delete your account, there is no going back. Please be certain.
+                          Your account will be scheduled for deletion and signed out everywhere. Log in again before the deletion date to cancel; after that there is no going back.
                         </p>
-                        <button
-                          onClick={handleAccountDeletion}
-                          className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded text-sm font-medium"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                          <span>Delete Account</span>
-                        </button>
+                        <form onSubmit={handleAccountDeletion} className="flex flex-wrap items-center gap-3">
+                          <input
+                            type="password"
+                            value={deletePassword}
+                            onChange={(e) => setDeletePassword(e.target.value)}
+                            className="input-field max-w-xs"
+                            placeholder="Confirm your password"
+                            autoComplete="current-password"
+                            required
+                          />
+                          <button
+                            type="submit"
+                            className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded text-sm font-medium"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                            <span>Delete Account</span>
+                          </button>
+                        </form>
                       </div>
                     </div>
                   </div>
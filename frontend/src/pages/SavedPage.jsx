@@ -0,0 +1,431 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { motion } from 'framer-motion';
+import {
+  Bookmark,
+  FolderPlus,
+  Pencil,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Check,
+  RotateCcw,
+  StickyNote
+} from 'lucide-react';
+import { Helmet } from 'react-helmet-async';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 20;
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const SavedItem = ({ bookmark, lists, canMoveUp, canMoveDown, onMove, onChanged }) => {
+  const { api } = useAuth();
+  const [isEditingNote, setIsEditingNote] = useState(false);
+  const [note, setNote] = useState(bookmark.note || '');
+  const { post } = bookmark;
+
+  const update = async (changes, successMessage) => {
+    try {
+      await api.put(`/bookmarks/${bookmark._id}`, changes);
+      if (successMessage) toast.success(successMessage);
+      onChanged();
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update saved post'));
+      return false;
+    }
+  };
+
+  const saveNote = async (e) => {
+    e.preventDefault();
+    if (await update({ note: note.trim() })) {
+      setIsEditingNote(false);
+    }
+  };
+
+  const remove = async () => {
+    try {
+      await api.delete(`/bookmarks/${bookmark._id}`);
+      toast.success('Removed from saved');
+      onChanged();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove saved post'));
+    }
+  };
+
+  return (
+    <motion.div
+      className="bg-white rounded-xl shadow-sm border border-gray-100 p-5"
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0 flex-1">
+          <div className="flex items-center space-x-2 mb-1">
+            {!bookmark.readAt && (
+              <span className="w-2 h-2 rounded-full bg-primary flex-shrink-0" title="Unread" />
+            )}
+            <Link
+              to={`/post/${post._id}`}
+              className="font-semibold text-gray-900 hover:text-primary line-clamp-2"
+            >
+              {post.title || `${post.content.substring(0, 80)}${post.content.length > 80 ? '...' : ''}`}
+            </Link>
+          </div>
+          <p className="text-xs text-gray-500">
+            {post.author?.name} · saved {formatDistanceToNow(new Date(bookmark.createdAt), { addSuffix: true })}
+          </p>
+        </div>
+
+        <div className="flex items-center space-x-1 text-gray-400">
+          {canMoveUp && (
+            <button onClick={() => onMove(-1)} className="p-1 hover:text-primary" title="Move up" aria-label="Move up">
+              <ArrowUp className="w-4 h-4" />
+            </button>
+          )}
+          {canMoveDown && (
+            <button onClick={() => onMove(1)} className="p-1 hover:text-primary" title="Move down" aria-label="Move down">
+              <ArrowDown className="w-4 h-4" />
+            </button>
+          )}
+          <button
+            onClick={() => update({ read: !bookmark.readAt })}
+            className="p-1 hover:text-primary"
+            title={bookmark.readAt ? 'Mark as unread' : 'Mark as read'}
+            aria-label={bookmark.readAt ? 'Mark as unread' : 'Mark as read'}
+          >
+            {bookmark.readAt ? <RotateCcw className="w-4 h-4" /> : <Check className="w-4 h-4" />}
+          </button>
+          <button onClick={remove} className="p-1 hover:text-red-600" title="Remove" aria-label="Remove">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {isEditingNote ? (
+        <form onSubmit={saveNote} className="mt-3">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={500}
+            rows={2}
+            autoFocus
+            placeholder="Why did you save this?"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary resize-none text-sm"
+          />
+          <div className="flex justify-end space-x-2 mt-2">
+            <button
+              type="button"
+              onClick={() => {
+                setNote(bookmark.note || '');
+                setIsEditingNote(false);
+              }}
+              className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="px-3 py-1 text-sm bg-primary hover:bg-primary-dark text-white rounded-lg">
+              Save Note
+            </button>
+          </div>
+        </form>
+      ) : bookmark.note ? (
+        <p
+          onClick={() => setIsEditingNote(true)}
+          className="mt-3 text-sm text-gray-600 bg-yellow-50 rounded-lg px-3 py-2 whitespace-pre-line cursor-pointer"
+          title="Edit note"
+        >
+          {bookmark.note}
+        </p>
+      ) : null}
+
+      <div className="flex items-center justify-between mt-3 text-sm">
+        {!isEditingNote && !bookmark.note ? (
+          <button
+            onClick={() => setIsEditingNote(true)}
+            className="flex items-center space-x-1 text-gray-500 hover:text-primary"
+          >
+            <StickyNote className="w-4 h-4" />
+            <span>Add note</span>
+          </button>
+        ) : <span />}
+
+        <select
+          value={bookmark.list || ''}
+          onChange={(e) => update({ listId: e.target.value || null }, 'Moved')}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-primary focus:border-primary"
+          aria-label="Reading list"
+        >
+          <option value="">Saved</option>
+          {lists.map((list) => (
+            <option key={list._id} value={list._id}>{list.name}</option>
+          ))}
+        </select>
+      </div>
+    </motion.div>
+  );
+};
+
+const SavedPage = () => {
+  const { user, api } = useAuth();
+  const queryClient = useQueryClient();
+  // 'all', 'saved' (posts in no list) or a reading list id
+  const [selectedList, setSelectedList] = useState('all');
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const [newListName, setNewListName] = useState('');
+
+  const { data: listsData } = useQuery(
+    'reading-lists',
+    async () => {
+      const response = await api.get('/bookmarks/lists');
+      return response.data.data;
+    },
+    {
+      enabled: !!user
+    }
+  );
+
+  const { data: bookmarksData, isLoading } = useQuery(
+    ['bookmarks', selectedList, unreadOnly, page],
+    async () => {
+      const response = await api.get('/bookmarks', {
+        params: { list: selectedList, unread: unreadOnly || undefined, page, limit: PAGE_SIZE }
+      });
+      return response.data.data;
+    },
+    {
+      enabled: !!user,
+      keepPreviousData: true
+    }
+  );
+
+  const lists = listsData?.lists || [];
+  const bookmarks = bookmarksData?.bookmarks || [];
+  const pagination = bookmarksData?.pagination;
+  const currentList = lists.find((list) => list._id === selectedList);
+  const totalSaved = (listsData?.saved.count || 0) + lists.reduce((total, list) => total + list.count, 0);
+  // Only a single list has an order of its own
+  const canReorder = selectedList !== 'all' && !unreadOnly;
+
+  const refresh = () => {
+    queryClient.invalidateQueries('bookmarks');
+    queryClient.invalidateQueries('reading-lists');
+  };
+
+  const selectList = (listId) => {
+    setSelectedList(listId);
+    setPage(1);
+  };
+
+  const createList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    try {
+      const response = await api.post('/bookmarks/lists', { name: newListName.trim() });
+      setNewListName('');
+      refresh();
+      selectList(response.data.data.list._id);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to create list'));
+    }
+  };
+
+  const renameList = async () => {
+    const name = window.prompt('Rename list', currentList.name);
+    if (!name || !name.trim() || name.trim() === currentList.name) return;
+    try {
+      await api.put(`/bookmarks/lists/${currentList._id}`, { name: name.trim() });
+      refresh();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to rename list'));
+    }
+  };
+
+  const deleteList = async () => {
+    if (!window.confirm(`Delete "${currentList.name}"? Its posts stay in Saved.`)) return;
+    try {
+      await api.delete(`/bookmarks/lists/${currentList._id}`);
+      toast.success('List deleted');
+      selectList('all');
+      refresh();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete list'));
+    }
+  };
+
+  const moveBookmark = async (index, offset) => {
+    const ids = bookmarks.map((bookmark) => bookmark._id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    try {
+      await api.put('/bookmarks/order', { listId: currentList ? currentList._id : null, bookmarkIds: ids });
+      refresh();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to reorder'));
+    }
+  };
+
+  const ListButton = ({ listId, name, count, unread }) => (
+    <button
+      onClick={() => selectList(listId)}
+      className={`w-full flex items-center justify-between px-3 py-2 rounded-lg text-sm transition-colors ${
+        selectedList === listId ? 'bg-primary text-white' : 'text-gray-700 hover:bg-gray-100'
+      }`}
+    >
+      <span className="truncate">{name}</span>
+      <span className="flex items-center space-x-2 flex-shrink-0">
+        {unread > 0 && (
+          <span className={`text-xs px-1.5 rounded-full ${
+            selectedList === listId ? 'bg-white text-primary' : 'bg-primary text-white'
+          }`} title={`${unread} unread`}>
+            {unread}
+          </span>
+        )}
+        <span className="text-xs opacity-75">{count}</span>
+      </span>
+    </button>
+  );
+
+  return (
+    <>
+      <Helmet>
+        <title>Saved - Intelixir</title>
+        <meta name="description" content="Posts you saved for later" />
+      </Helmet>
+
+      <div className="min-h-screen bg-background py-8">
+        <div className="max-w-6xl mx-auto px-4">
+          <div className="flex items-center space-x-3 mb-8">
+            <Bookmark className="w-8 h-8 text-primary" />
+            <h1 className="text-3xl font-bold text-secondary">Saved</h1>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            {/* Reading lists */}
+            <aside className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 h-fit space-y-1">
+              <ListButton
+                listId="all"
+                name="All saved"
+                count={totalSaved}
+                unread={(listsData?.saved.unread || 0) + lists.reduce((total, list) => total + list.unread, 0)}
+              />
+              <ListButton listId="saved" name="Saved" count={listsData?.saved.count || 0} unread={listsData?.saved.unread || 0} />
+
+              {lists.length > 0 && <div className="border-t border-gray-100 my-2" />}
+              {lists.map((list) => (
+                <ListButton key={list._id} listId={list._id} name={list.name} count={list.count} unread={list.unread} />
+              ))}
+
+              <form onSubmit={createList} className="flex items-center space-x-2 pt-3">
+                <input
+                  value={newListName}
+                  onChange={(e) => setNewListName(e.target.value)}
+                  maxLength={50}
+                  placeholder="New list"
+                  className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-primary focus:border-primary"
+                />
+                <button
+                  type="submit"
+                  disabled={!newListName.trim()}
+                  className="text-primary hover:text-primary-dark disabled:opacity-50"
+                  title="Create list"
+                  aria-label="Create list"
+                >
+                  <FolderPlus className="w-5 h-5" />
+                </button>
+              </form>
+            </aside>
+
+            {/* Saved posts */}
+            <section className="md:col-span-3 space-y-4">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <h2 className="text-xl font-semibold text-gray-900">
+                    {currentList ? currentList.name : selectedList === 'saved' ? 'Saved' : 'All saved'}
+                  </h2>
+                  {currentList && (
+                    <>
+                      <button onClick={renameList} className="text-gray-400 hover:text-primary" title="Rename list" aria-label="Rename list">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={deleteList} className="text-gray-400 hover:text-red-600" title="Delete list" aria-label="Delete list">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={unreadOnly}
+                    onChange={(e) => {
+                      setUnreadOnly(e.target.checked);
+                      setPage(1);
+                    }}
+                    className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                  />
+                  <span>Unread only</span>
+                </label>
+              </div>
+
+              {isLoading ? (
+                <div className="flex justify-center py-12">
+                  <LoadingSpinner size="lg" text="Loading saved posts..." />
+                </div>
+              ) : bookmarks.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-xl border border-gray-100">
+                  <Bookmark className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                  <p className="text-gray-500">
+                    {unreadOnly ? 'Nothing left to read here.' : 'No saved posts yet. Use the bookmark icon on any post to save it.'}
+                  </p>
+                </div>
+              ) : (
+                bookmarks.map((bookmark, index) => (
+                  <SavedItem
+                    key={bookmark._id}
+                    bookmark={bookmark}
+                    lists={lists}
+                    canMoveUp={canReorder && index > 0}
+                    canMoveDown={canReorder && index < bookmarks.length - 1}
+                    onMove={(offset) => moveBookmark(index, offset)}
+                    onChanged={refresh}
+                  />
+                ))
+              )}
+
+              {pagination && pagination.totalPages > 1 && (
+                <div className="flex items-center justify-center space-x-4 pt-4">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={!pagination.hasPrevPage}
+                    className="px-4 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-sm text-gray-600">
+                    Page {pagination.currentPage} of {pagination.totalPages}
+                  </span>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={!pagination.hasNextPage}
+                    className="px-4 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </section>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SavedPage;
@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { motion } from 'framer-motion';
+import { Search, Calendar, User } from 'lucide-react';
+import { Helmet } from 'react-helmet-async';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import InfiniteScroll from 'react-infinite-scroll-component';
+
+const PAGE_SIZE = 10;
+const FILTERS = ['category', 'type', 'from', 'to', 'sortBy'];
+
+// Text split by the server into matched and unmatched parts
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.match ? (
+      <mark key={index} className="bg-yellow-100 text-inherit rounded px-0.5">{segment.text}</mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )))}
+  </>
+);
+
+const SearchResult = ({ post }) => (
+  <motion.article
+    className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 hover:shadow-md transition-shadow"
+    initial={{ opacity: 0, y: 10 }}
+    animate={{ opacity: 1, y: 0 }}
+  >
+    <Link to={`/post/${post._id}`} className="block">
+      <h2 className="text-lg font-bold text-gray-900 mb-2 hover:text-primary">
+        {post.highlights.title.length > 0 ? <Highlighted segments={post.highlights.title} /> : 'Untitled post'}
+      </h2>
+      <p className="text-gray-600 mb-3">
+        <Highlighted segments={post.highlights.snippet} />
+      </p>
+    </Link>
+    <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+      <span className="flex items-center">
+        <User className="w-3 h-3 mr-1" />
+        {post.author?.name}
+      </span>
+      <span className="flex items-center">
+        <Calendar className="w-3 h-3 mr-1" />
+        {formatDistanceToNow(new Date(post.createdAt), { addSuffix: true })}
+      </span>
+      {post.isNews && (
+        <span className="bg-primary text-white font-medium px-2 py-0.5 rounded-full">AI Curated</span>
+      )}
+      {post.categories?.slice(0, 2).map((category) => (
+        <span
+          key={category._id}
+          className="px-2 py-0.5 rounded-full text-white"
+          style={{ backgroundColor: category.color }}
+        >
+          {category.name}
+        </span>
+      ))}
+    </div>
+  </motion.article>
+);
+
+const SearchPage = () => {
+  const { api } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const filters = Object.fromEntries(FILTERS.map((name) => [name, searchParams.get(name) || '']));
+  const [input, setInput] = useState(q);
+  const [posts, setPosts] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [cursor, setCursor] = useState(null);
+
+  useEffect(() => {
+    setInput(q);
+  }, [q]);
+
+  const { data: categories } = useQuery(
+    'categories',
+    async () => {
+      const response = await api.get('/categories');
+      return response.data.data.categories;
+    }
+  );
+
+  const buildParams = () => {
+    const params = { q, limit: PAGE_SIZE };
+    FILTERS.forEach((name) => {
+      if (filters[name]) params[name] = filters[name];
+    });
+    // Include the whole of the last day
+    if (params.to) params.to = `${params.to}T23:59:59.999Z`;
+    return params;
+  };
+
+  // Fetch the first page of results
+  const { isLoading, error } = useQuery(
+    ['search', q, filters],
+    async () => {
+      const response = await api.get('/search', { params: buildParams() });
+      setPosts(response.data.data.posts);
+      setCursor(response.data.data.pagination.nextCursor);
+      setHasMore(response.data.data.pagination.hasNextPage);
+      return response.data.data.posts;
+    },
+    {
+      enabled: q.trim().length > 0,
+      retry: false
+    }
+  );
+
+  const fetchMoreResults = async () => {
+    try {
+      const response = await api.get('/search', { params: { ...buildParams(), cursor } });
+      setPosts(prev => [...prev, ...response.data.data.posts]);
+      setCursor(response.data.data.pagination.nextCursor);
+      setHasMore(response.data.data.pagination.hasNextPage);
+    } catch (error) {
+      console.error('Error fetching more results:', error);
+    }
+  };
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) next.set(name, value);
+      else next.delete(name);
+    });
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: input.trim() });
+  };
+
+  const errorMessage = error?.response?.data?.errors?.[0]?.msg || error?.response?.data?.message;
+
+  return (
+    <>
+      <Helmet>
+        <title>{q ? `${q} - Search` : 'Search'} - Intelixir</title>
+        <meta name="description" content="Search posts and news on Intelixir" />
+      </Helmet>
+
+      <div className="min-h-screen bg-background py-8">
+        <div className="max-w-4xl mx-auto px-4">
+          <form onSubmit={handleSubmit} className="mb-6">
+            <div className="relative">
+              <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                maxLength={200}
+                autoFocus
+                placeholder='Search posts, e.g. climate "carbon tax" -opinion'
+                className="w-full pl-12 pr-28 py-3 border border-gray-300 rounded-xl focus:ring-primary focus:border-primary"
+              />
+              <button
+                type="submit"
+                className="absolute right-2 top-1/2 -translate-y-1/2 bg-primary hover:bg-primary-dark text-white px-4 py-1.5 rounded-lg font-medium transition-colors"
+              >
+                Search
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Use quotes for an exact phrase and a minus sign to leave out a word or phrase.
+            </p>
+          </form>
+
+          {/* Filters */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 mb-6 grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+            <select
+              value={filters.category}
+              onChange={(e) => updateParams({ category: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+              aria-label="Category"
+            >
+              <option value="">All categories</option>
+              {categories?.map((category) => (
+                <option key={category._id} value={category._id}>{category.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.type}
+              onChange={(e) => updateParams({ type: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+              aria-label="Post type"
+            >
+              <option value="">News and user posts</option>
+              <option value="news">News only</option>
+              <option value="user">User posts only</option>
+            </select>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateParams({ from: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+              aria-label="From date"
+              title="From"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateParams({ to: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+              aria-label="To date"
+              title="To"
+            />
+            <select
+              value={filters.sortBy}
+              onChange={(e) => updateParams({ sortBy: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+              aria-label="Sort by"
+            >
+              <option value="">Best match</option>
+              <option value="recent">Newest first</option>
+            </select>
+          </div>
+
+          {/* Results */}
+          {!q ? (
+            <div className="text-center py-12">
+              <Search className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-500">Search titles, tags and post content.</p>
+            </div>
+          ) : isLoading ? (
+            <div className="flex justify-center py-12">
+              <LoadingSpinner size="lg" text="Searching..." />
+            </div>
+          ) : error ? (
+            <div className="text-center py-12">
+              <p className="text-gray-600">{errorMessage || 'Search failed. Please try again.'}</p>
+            </div>
+          ) : posts.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-gray-600">No posts match your search.</p>
+            </div>
+          ) : (
+            <InfiniteScroll
+              dataLength={posts.length}
+              next={fetchMoreResults}
+              hasMore={hasMore}
+              loader={
+                <div className="flex justify-center py-8">
+                  <LoadingSpinner text="Loading more results..." />
+                </div>
+              }
+            >
+              <div className="space-y-4">
+                {posts.map((post) => (
+                  <SearchResult key={post._id} post={post} />
+                ))}
+              </div>
+            </InfiniteScroll>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SearchPage;
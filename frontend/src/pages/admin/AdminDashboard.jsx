@@ -8,7 +8,10 @@ import {
   FileText, 
   Settings,
   Mail,
-  RefreshCw
+  Inbox,
+  Sliders,
+  RefreshCw,
+  KeyRound
 } from 'lucide-react';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../../contexts/AuthContext';
@@ -23,13 +26,17 @@ const AdminDashboard = () => {
   const [isRefreshingNews, setIsRefreshingNews] = useState(false);
 
   // Fetch admin dashboard data
-  const { data: dashboardData, isLoading, refetch } = useQuery(
+  const { data: dashboardData, isLoading, error: dashboardError, refetch } = useQuery(
     'admin-dashboard',
     async () => {
       const response = await api.get('/admin/dashboard', {
         headers: token ? { Authorization: `Bearer ${token}` } : {}
       });
       return response.data.data;
+    },
+    {
+      // Retrying won't help an admin who still has to enable two-factor authentication
+      retry: (failureCount, error) => error.response?.status !== 403 && failureCount < 3
     }
   );
 
@@ -53,7 +60,10 @@ const AdminDashboard = () => {
     { path: '/admin/users', label: 'Users', icon: Users },
     { path: '/admin/posts', label: 'Posts', icon: FileText },
     { path: '/admin/categories', label: 'Categories', icon: Settings },
-    { path: '/admin/contacts', label: 'Messages', icon: Mail }
+    { path: '/admin/contacts', label: 'Messages', icon: Mail },
+    { path: '/admin/emails', label: 'Email Templates', icon: Inbox },
+    { path: '/admin/login-providers', label: 'Login Providers', icon: KeyRound },
+    { path: '/admin/settings', label: 'Site Settings', icon: Sliders }
   ];
 
   if (isLoading) {
@@ -64,6 +74,18 @@ const AdminDashboard = () => {
     );
   }
 
+  if (dashboardError?.response?.data?.code === 'TWO_FACTOR_REQUIRED') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-background px-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow p-8 text-center space-y-4">
+          <h2 className="text-xl font-semibold text-secondary">Two-factor authentication required</h2>
+          <p className="text-gray-600">{dashboardError.response.data.message}</p>
+          <Link to="/profile" className="btn-primary inline-block">Go to security settings</Link>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <>
       <Helmet>
@@ -104,6 +126,9 @@ const AdminDashboard = () => {
               <Route path="/posts" element={<AdminPosts />} />
               <Route path="/categories" element={<AdminCategories />} />
               <Route path="/contacts" element={<AdminContacts />} />
+              <Route path="/emails" element={<AdminEmailTemplates />} />
+              <Route path="/login-providers" element={<AdminLoginProviders />} />
+              <Route path="/settings" element={<AdminSettings />} />
             </Routes>
           </div>
         </div>
@@ -211,6 +236,56 @@ const AdminOverview = ({ data, onRefreshNews, isRefreshingNews }) => {
           </div>
         </div>
       </div>
+
+      {/* Digest Performance */}
+      {data.digestStats && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Digest Performance (last {data.digestStats.days} days)</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div>
+              <p className="text-sm text-gray-600">Digests Sent</p>
+              <p className="text-2xl font-bold text-gray-900">{data.digestStats.sent}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Open Rate</p>
+              <p className="text-2xl font-bold text-gray-900">{data.digestStats.openRate}%</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Click Rate</p>
+              <p className="text-2xl font-bold text-gray-900">{data.digestStats.clickRate}%</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Post CTR</p>
+              <p className="text-2xl font-bold text-gray-900">{data.digestStats.clickThroughRate}%</p>
+            </div>
+          </div>
+          {data.digestStats.byCategory.length > 0 && (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2">Category</th>
+                  <th className="py-2">Delivered</th>
+                  <th className="py-2">Clicks</th>
+                  <th className="py-2">CTR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.digestStats.byCategory.map((row) => (
+                  <tr key={row.category._id} className="border-t">
+                    <td className="py-2">
+                      <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: row.category.color }} />
+                      {row.category.name}
+                    </td>
+                    <td className="py-2">{row.delivered}</td>
+                    <td className="py-2">{row.clicks}</td>
+                    <td className="py-2">{row.clickThroughRate}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -222,10 +297,15 @@ const AdminUsers = () => {
   const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
   const [users, setUsers] = React.useState([]);
   const [loading, setLoading] = React.useState(true);
+  // 'locked' lists only accounts locked after failed login attempts
+  const [status, setStatus] = React.useState('all');
   React.useEffect(() => {
     (async () => {
       try {
-        const res = await api.get('/admin/users', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        const res = await api.get('/admin/users', {
+          params: { status },
+          headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
         setUsers(res.data.data.users || []);
       } catch {
         setUsers([]);
@@ -233,16 +313,66 @@ const AdminUsers = () => {
         setLoading(false);
       }
     })();
-  }, []);
+  }, [status]);
+  const handleRoleChange = async (userId, role) => {
+    try {
+      await api.put(`/admin/users/${userId}/role`, { role }, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      setUsers(prev => prev.map(u => (u._id === userId ? { ...u, role } : u)));
+      toast.success('Role updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update role');
+    }
+  };
+  const handleUnlock = async (userId) => {
+    try {
+      const res = await api.post(`/admin/users/${userId}/unlock`, {}, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      const { loginSecurity } = res.data.data.user;
+      setUsers(prev => status === 'locked'
+        ? prev.filter(u => u._id !== userId)
+        : prev.map(u => (u._id === userId ? { ...u, loginSecurity } : u)));
+      toast.success('Account unlocked');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to unlock account');
+    }
+  };
+  const isLocked = (user) => user.loginSecurity?.lockedUntil && new Date(user.loginSecurity.lockedUntil) > new Date();
   if (loading) return <LoadingSpinner text="Loading users..." />;
   return (
     <div>
-      <h2 className="text-2xl font-bold mb-4">User Management</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold">User Management</h2>
+        <select value={status} onChange={e => setStatus(e.target.value)} className="border rounded px-2 py-1">
+          <option value="all">All users</option>
+          <option value="locked">Locked accounts</option>
+        </select>
+      </div>
       <table className="min-w-full bg-white border rounded">
-        <thead><tr><th className="p-2">Name</th><th className="p-2">Email</th><th className="p-2">Role</th></tr></thead>
+        <thead><tr><th className="p-2">Name</th><th className="p-2">Email</th><th className="p-2">Role</th><th className="p-2">Login</th></tr></thead>
         <tbody>
           {users.map(user => (
-            <tr key={user._id} className="border-t"><td className="p-2">{user.name}</td><td className="p-2">{user.email}</td><td className="p-2">{user.role}</td></tr>
+            <tr key={user._id} className="border-t">
+              <td className="p-2">{user.name}</td>
+              <td className="p-2">{user.email}</td>
+              <td className="p-2">
+                <select value={user.role} onChange={e => handleRoleChange(user._id, e.target.value)} className="border rounded px-2 py-1">
+                  <option value="user">user</option>
+                  <option value="editor">editor</option>
+                  <option value="admin">admin</option>
+                </select>
+              </td>
+              <td className="p-2">
+                {isLocked(user) ? (
+                  <div className="flex items-center space-x-2">
+                    <span className="text-xs text-red-600" title={`Locked until ${new Date(user.loginSecurity.lockedUntil).toLocaleString()}`}>
+                      Locked
+                    </span>
+                    <button onClick={() => handleUnlock(user._id)} className="text-sm text-primary hover:underline">Unlock</button>
+                  </div>
+                ) : (
+                  <span className="text-xs text-gray-500">Active</span>
+                )}
+              </td>
+            </tr>
           ))}
         </tbody>
       </table>
@@ -300,7 +430,7 @@ const AdminCategories = () => {
   const fetchCategories = async () => {
     setLoading(true);
     try {
-      const res = await api.get('/categories', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      const res = await api.get('/categories', { params: { includeInactive: true }, headers: token ? { Authorization: `Bearer ${token}` } : {} });
       setCategories(res.data.data.categories || []);
     } catch {
       setCategories([]);
@@ -320,16 +450,40 @@ const AdminCategories = () => {
       setName(''); setSlug(''); setDescription(''); setColor('#00A4EF');
       fetchCategories();
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to add category');
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to add category');
     }
   };
 
-  const handleDelete = async (slug) => {
-    if (!window.confirm('Delete this category?')) return;
+  const handleDeactivate = async (slug) => {
+    if (!window.confirm('Deactivate this category?')) return;
     try {
       await api.delete(`/categories/${slug}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
       fetchCategories();
-    } catch {}
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to deactivate category');
+    }
+  };
+
+  const handleReactivate = async (slug) => {
+    try {
+      await api.put(`/categories/${slug}`, { isActive: true }, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      fetchCategories();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reactivate category');
+    }
+  };
+
+  // Save a trending setting when its field loses focus; an empty gravity uses the default
+  const handleTrendingChange = async (cat, field, value) => {
+    const current = cat.trending?.[field] ?? (field === 'boost' ? 1 : null);
+    const next = value === '' ? (field === 'boost' ? 1 : null) : Number(value);
+    if (next === current) return;
+    try {
+      await api.put(`/categories/${cat.slug}`, { trending: { [field]: next } }, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      fetchCategories();
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update trending settings');
+    }
   };
 
   return (
@@ -337,7 +491,7 @@ const AdminCategories = () => {
       <h2 className="text-2xl font-bold mb-4">Category Management</h2>
       <form onSubmit={handleAdd} className="mb-6 flex flex-wrap gap-2 items-end">
         <input value={name} onChange={e => setName(e.target.value)} placeholder="Name" className="border rounded px-2 py-1" required />
-        <input value={slug} onChange={e => setSlug(e.target.value)} placeholder="Slug" className="border rounded px-2 py-1" required />
+        <input value={slug} onChange={e => setSlug(e.target.value)} placeholder="Slug (optional)" pattern="[a-z0-9]+(-[a-z0-9]+)*" title="Lowercase letters, numbers and hyphens" className="border rounded px-2 py-1" />
         <input value={description} onChange={e => setDescription(e.target.value)} placeholder="Description" className="border rounded px-2 py-1" />
         <input value={color} onChange={e => setColor(e.target.value)} type="color" className="w-8 h-8 border rounded" />
         <button type="submit" className="bg-primary text-white px-4 py-2 rounded">Add</button>
@@ -346,15 +500,157 @@ const AdminCategories = () => {
       {success && <div className="text-green-600 mb-2">{success}</div>}
       {loading ? <LoadingSpinner text="Loading categories..." /> : (
         <table className="min-w-full bg-white border rounded">
-          <thead><tr><th className="p-2">Name</th><th className="p-2">Slug</th><th className="p-2">Description</th><th className="p-2">Color</th><th className="p-2">Actions</th></tr></thead>
+          <thead><tr><th className="p-2">Name</th><th className="p-2">Slug</th><th className="p-2">Description</th><th className="p-2">Color</th><th className="p-2">Posts</th><th className="p-2" title="Lower gravity keeps posts trending for longer; boost scales their trending score">Trending gravity / boost</th><th className="p-2">Actions</th></tr></thead>
           <tbody>
             {categories.map(cat => (
-              <tr key={cat._id} className="border-t">
+              <tr key={cat._id} className={`border-t ${cat.isActive ? '' : 'text-gray-400'}`}>
                 <td className="p-2">{cat.name}</td>
                 <td className="p-2">{cat.slug}</td>
                 <td className="p-2">{cat.description}</td>
                 <td className="p-2"><span style={{ background: cat.color, display: 'inline-block', width: 20, height: 20, borderRadius: 4 }}></span></td>
-                <td className="p-2"><button onClick={() => handleDelete(cat.slug)} className="text-red-600 hover:underline">Delete</button></td>
+                <td className="p-2">{cat.postCount}</td>
+                <td className="p-2 whitespace-nowrap">
+                  <input
+                    key={`gravity-${cat.trending?.gravity}`}
+                    type="number" min="0.5" max="3" step="0.1"
+                    defaultValue={cat.trending?.gravity ?? ''}
+                    placeholder="1.8"
+                    onBlur={e => handleTrendingChange(cat, 'gravity', e.target.value)}
+                    className="border rounded px-2 py-1 w-20 mr-1"
+                    aria-label={`${cat.name} trending gravity`}
+                  />
+                  <input
+                    key={`boost-${cat.trending?.boost}`}
+                    type="number" min="0" max="5" step="0.1"
+                    defaultValue={cat.trending?.boost ?? 1}
+                    onBlur={e => handleTrendingChange(cat, 'boost', e.target.value)}
+                    className="border rounded px-2 py-1 w-20"
+                    aria-label={`${cat.name} trending boost`}
+                  />
+                </td>
+                <td className="p-2">
+                  {cat.isActive ? (
+                    <button onClick={() => handleDeactivate(cat.slug)} className="text-red-600 hover:underline">Deactivate</button>
+                  ) : (
+                    <button onClick={() => handleReactivate(cat.slug)} className="text-green-600 hover:underline">Reactivate</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// OpenID Connect login providers
+const AdminLoginProviders = () => {
+  const { api } = useAuth();
+  const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const [providers, setProviders] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [form, setForm] = React.useState({ name: '', slug: '', issuer: '', clientId: '', clientSecret: '', scopes: 'openid email profile', allowSignup: true });
+  const [saving, setSaving] = React.useState(false);
+  const [error, setError] = React.useState('');
+  const [success, setSuccess] = React.useState('');
+
+  const fetchProviders = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/admin/identity-providers', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      setProviders(res.data.data.providers || []);
+    } catch {
+      setProviders([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  React.useEffect(() => { fetchProviders(); }, []);
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError(''); setSuccess('');
+    setSaving(true);
+    try {
+      const { slug, ...fields } = form;
+      await api.post('/admin/identity-providers', slug ? form : fields, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      setSuccess('Provider added!');
+      setForm({ name: '', slug: '', issuer: '', clientId: '', clientSecret: '', scopes: 'openid email profile', allowSignup: true });
+      fetchProviders();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to add provider');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (id, changes) => {
+    try {
+      await api.put(`/admin/identity-providers/${id}`, changes, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      fetchProviders();
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update provider');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this provider? Users linked to it will have to log in another way.')) return;
+    try {
+      await api.delete(`/admin/identity-providers/${id}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      fetchProviders();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete provider');
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-4">Login Providers</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Let users log in with any OpenID Connect provider. Register the redirect URI shown below with the provider.
+      </p>
+      <form onSubmit={handleAdd} className="mb-6 flex flex-wrap gap-2 items-end">
+        <input value={form.name} onChange={updateForm('name')} placeholder="Name" className="border rounded px-2 py-1" required />
+        <input value={form.slug} onChange={updateForm('slug')} placeholder="Slug (optional)" pattern="[a-z0-9]+(-[a-z0-9]+)*" title="Lowercase letters, numbers and hyphens" className="border rounded px-2 py-1" />
+        <input value={form.issuer} onChange={updateForm('issuer')} type="url" placeholder="Issuer URL" className="border rounded px-2 py-1" required />
+        <input value={form.clientId} onChange={updateForm('clientId')} placeholder="Client ID" className="border rounded px-2 py-1" required />
+        <input value={form.clientSecret} onChange={updateForm('clientSecret')} type="password" placeholder="Client secret" className="border rounded px-2 py-1" autoComplete="new-password" required />
+        <input value={form.scopes} onChange={updateForm('scopes')} placeholder="Scopes" className="border rounded px-2 py-1" />
+        <label className="flex items-center space-x-1 text-sm">
+          <input type="checkbox" checked={form.allowSignup} onChange={updateForm('allowSignup')} />
+          <span>Allow new accounts</span>
+        </label>
+        <button type="submit" disabled={saving} className="bg-primary text-white px-4 py-2 rounded disabled:opacity-50">
+          {saving ? 'Checking...' : 'Add'}
+        </button>
+      </form>
+      {error && <div className="text-red-600 mb-2">{error}</div>}
+      {success && <div className="text-green-600 mb-2">{success}</div>}
+      {loading ? <LoadingSpinner text="Loading providers..." /> : (
+        <table className="min-w-full bg-white border rounded">
+          <thead><tr><th className="p-2">Name</th><th className="p-2">Issuer</th><th className="p-2">Client ID</th><th className="p-2">Redirect URI</th><th className="p-2">New accounts</th><th className="p-2">Actions</th></tr></thead>
+          <tbody>
+            {providers.map(provider => (
+              <tr key={provider._id} className={`border-t ${provider.isActive ? '' : 'text-gray-400'}`}>
+                <td className="p-2">{provider.name}<div className="text-xs text-gray-500">{provider.slug}</div></td>
+                <td className="p-2">{provider.issuer}</td>
+                <td className="p-2">{provider.clientId}</td>
+                <td className="p-2 text-xs font-mono break-all">{provider.redirectUri}</td>
+                <td className="p-2">
+                  <input type="checkbox" checked={provider.allowSignup} onChange={e => handleUpdate(provider._id, { allowSignup: e.target.checked })} />
+                </td>
+                <td className="p-2 space-x-3">
+                  {provider.isActive ? (
+                    <button onClick={() => handleUpdate(provider._id, { isActive: false })} className="text-red-600 hover:underline">Disable</button>
+                  ) : (
+                    <button onClick={() => handleUpdate(provider._id, { isActive: true })} className="text-green-600 hover:underline">Enable</button>
+                  )}
+                  <button onClick={() => handleDelete(provider._id)} className="text-red-600 hover:underline">Delete</button>
+                </td>
               </tr>
             ))}
           </tbody>
@@ -398,4 +694,141 @@ const AdminContacts = () => {
   );
 };
 
+// Email Template Preview
+const AdminEmailTemplates = () => {
+  const { api } = useAuth();
+  const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const [templates, setTemplates] = React.useState([]);
+  const [selected, setSelected] = React.useState('');
+  const [preview, setPreview] = React.useState(null);
+  const [showText, setShowText] = React.useState(false);
+  const [loading, setLoading] = React.useState(true);
+  React.useEffect(() => {
+    (async () => {
+      try {
+        const res = await api.get('/admin/email-templates', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        const names = res.data.data.templates || [];
+        setTemplates(names);
+        setSelected(names[0] || '');
+      } catch {
+        setTemplates([]);
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+  React.useEffect(() => {
+    if (!selected) return;
+    (async () => {
+      try {
+        const res = await api.get(`/admin/email-templates/${selected}/preview`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        setPreview(res.data.data);
+      } catch {
+        setPreview(null);
+      }
+    })();
+  }, [selected]);
+  if (loading) return <LoadingSpinner text="Loading templates..." />;
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-4">Email Templates</h2>
+      <div className="mb-4 flex flex-wrap gap-2 items-center">
+        <select value={selected} onChange={e => setSelected(e.target.value)} className="border rounded px-2 py-1">
+          {templates.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button onClick={() => setShowText(!showText)} className="border rounded px-3 py-1 text-sm">
+          {showText ? 'Show HTML' : 'Show Plain Text'}
+        </button>
+      </div>
+      {preview && (
+        <div className="bg-white border rounded">
+          <div className="p-3 border-b text-sm"><span className="font-medium">Subject:</span> {preview.subject}</div>
+          {showText ? (
+            <pre className="p-4 text-sm whitespace-pre-wrap">{preview.text}</pre>
+          ) : (
+            <iframe title="Email preview" srcDoc={preview.html} sandbox="" className="w-full h-[700px]" />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Site Settings
+const AdminSettings = () => {
+  const { api } = useAuth();
+  const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+  const [gracePeriodDays, setGracePeriodDays] = React.useState(14);
+  const [contentHandling, setContentHandling] = React.useState('anonymize');
+  const [requireAdminTwoFactor, setRequireAdminTwoFactor] = React.useState(true);
+  const [loading, setLoading] = React.useState(true);
+  const [saving, setSaving] = React.useState(false);
+  React.useEffect(() => {
+    (async () => {
+      try {
+        const res = await api.get('/admin/settings', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        const { accountDeletion, security } = res.data.data.settings;
+        setGracePeriodDays(accountDeletion.gracePeriodDays);
+        setContentHandling(accountDeletion.contentHandling);
+        setRequireAdminTwoFactor(security.requireAdminTwoFactor);
+      } catch {
+        toast.error('Failed to load settings');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.put('/admin/settings', {
+        accountDeletion: { gracePeriodDays: Number(gracePeriodDays), contentHandling },
+        security: { requireAdminTwoFactor }
+      }, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      toast.success('Settings saved');
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <LoadingSpinner text="Loading settings..." />;
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-4">Site Settings</h2>
+      <form onSubmit={handleSave} className="bg-white border rounded p-6 space-y-4 max-w-xl">
+        <h3 className="text-lg font-semibold">Account Deletion</h3>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Grace period (days)</label>
+          <input type="number" min="0" max="90" value={gracePeriodDays} onChange={e => setGracePeriodDays(e.target.value)} className="border rounded px-2 py-1 w-24" />
+          <p className="text-xs text-gray-500 mt-1">Users can cancel by logging in during this period. 0 deletes accounts immediately.</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Posts and comments of deleted users</label>
+          <select value={contentHandling} onChange={e => setContentHandling(e.target.value)} className="border rounded px-2 py-1">
+            <option value="anonymize">Keep, attributed to "Deleted User"</option>
+            <option value="delete">Delete</option>
+          </select>
+        </div>
+        <h3 className="text-lg font-semibold">Security</h3>
+        <div>
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+            <input type="checkbox" checked={requireAdminTwoFactor} onChange={e => setRequireAdminTwoFactor(e.target.checked)} />
+            <span>Require two-factor authentication for admins</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">Admins without two-factor authentication can't use the admin dashboard until they enable it.</p>
+        </div>
+        <button type="submit" disabled={saving} className="bg-primary text-white px-4 py-2 rounded disabled:opacity-50">
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
 export default AdminDashboard;
@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { CheckCircle, XCircle, RefreshCw } from 'lucide-react';
+import { Helmet } from 'react-helmet-async';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ConfirmEmailChangePage = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('confirming'); // 'confirming', 'success', 'error'
+  const [message, setMessage] = useState('');
+  const { api, isAuthenticated, loadUser } = useAuth();
+  const token = searchParams.get('token');
+  // The link works only once, so don't send the token twice when effects re-run
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (attempted.current) {
+      return;
+    }
+    attempted.current = true;
+
+    if (token) {
+      handleConfirm();
+    } else {
+      setStatus('error');
+      setMessage('Invalid confirmation link. Please check your email for the correct link.');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const handleConfirm = async () => {
+    try {
+      const response = await api.post('/auth/email/confirm', { token });
+      setStatus('success');
+      setMessage(`Your email address is now ${response.data.data.email}.`);
+      if (isAuthenticated) {
+        loadUser();
+      }
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.response?.data?.message || 'Email change failed. Please try again.');
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Confirm Email Change - Intelixir</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-primary/5 to-accent/5 flex items-center justify-center px-4">
+        <motion.div
+          className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center"
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          transition={{ duration: 0.5 }}
+        >
+          {status === 'confirming' && (
+            <>
+              <motion.div
+                className="w-16 h-16 bg-primary/10 rounded-full flex items-center justify-center mx-auto mb-6"
+                animate={{ rotate: 360 }}
+                transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+              >
+                <RefreshCw className="w-8 h-8 text-primary" />
+              </motion.div>
+              <h1 className="text-2xl font-bold text-secondary mb-4">Confirming Your Email</h1>
+              <p className="text-gray-600">Please wait while we confirm your new email address...</p>
+            </>
+          )}
+
+          {status === 'success' && (
+            <>
+              <motion.div
+                className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-6"
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                transition={{ delay: 0.2, type: "spring" }}
+              >
+                <CheckCircle className="w-8 h-8 text-green-500" />
+              </motion.div>
+              <h1 className="text-2xl font-bold text-secondary mb-4">Email Changed!</h1>
+              <p className="text-gray-600 mb-8">{message}</p>
+              <Link
+                to={isAuthenticated ? '/profile' : '/login'}
+                className="w-full bg-primary hover:bg-primary-dark text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 inline-block"
+              >
+                {isAuthenticated ? 'Back to Profile' : 'Continue to Sign In'}
+              </Link>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <motion.div
+                className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-6"
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                transition={{ delay: 0.2, type: "spring" }}
+              >
+                <XCircle className="w-8 h-8 text-red-500" />
+              </motion.div>
+              <h1 className="text-2xl font-bold text-secondary mb-4">Confirmation Failed</h1>
+              <p className="text-gray-600 mb-8">{message}</p>
+              <Link
+                to="/profile"
+                className="w-full bg-primary hover:bg-primary-dark text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 inline-block"
+              >
+                Back to Profile
+              </Link>
+            </>
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+};
+
+export default ConfirmEmailChangePage;
@@ -1,14 +1,41 @@
 import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useQuery } from 'react-query';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../../contexts/AuthContext';
 
 const LoginPage = () => {
+  const location = useLocation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const { login } = useAuth();
+  // Set once the password is accepted for an account with two-factor authentication
+  // (magic link and external provider logins for such an account arrive here with the
+  // challenge in the location state)
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Log in with an emailed link instead of a password
+  const [useMagicLink, setUseMagicLink] = useState(false);
+  const { api, login, verifyTwoFactor, requestMagicLink } = useAuth();
+
+  // External (OpenID Connect) providers configured by an admin
+  const { data: providers = [] } = useQuery('identity-providers', async () => {
+    const response = await api.get('/auth/providers');
+    return response.data.data.providers;
+  }, { staleTime: 5 * 60 * 1000 });
+
+  const handleResult = (result) => {
+    if (!result.success) {
+      setError(result.error);
+    } else if (result.requiresTwoFactor) {
+      setChallengeToken(result.challengeToken);
+    } else {
+      setSuccess('Login successful! Redirecting...');
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -16,20 +43,88 @@ const LoginPage = () => {
     setSuccess('');
     setLoading(true);
     try {
-      const res = await login({ email, password });
-      const data = await res.json();
-      if (!res.ok) {
-        setError(data.message || 'Login failed');
+      if (challengeToken) {
+        handleResult(await verifyTwoFactor(challengeToken, useRecoveryCode ? { recoveryCode: code } : { code }));
+      } else if (useMagicLink) {
+        const result = await requestMagicLink(email);
+        if (result.success) {
+          setSuccess('Check your email for a link to log in. It expires in 15 minutes.');
+        } else {
+          setError(result.error);
+        }
       } else {
-        setSuccess('Login successful! Redirecting...');
+        handleResult(await login({ email, password }));
       }
-    } catch (err) {
-      setError(data.message || 'Network error');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleStartOver = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <>
+        <Helmet>
+          <title>Login - Intelixir</title>
+        </Helmet>
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+          <form onSubmit={handleSubmit} className="max-w-md w-full bg-white rounded-xl shadow p-8 space-y-6">
+            <h2 className="text-3xl font-bold text-center">Two-factor authentication</h2>
+            <p className="text-gray-600 text-center text-sm">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+            {error && <div className="text-red-600 text-center">{error}</div>}
+            {success && <div className="text-green-600 text-center">{success}</div>}
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring focus:border-primary tracking-widest"
+                value={code}
+                onChange={e => setCode(e.target.value)}
+                required
+                autoFocus
+              />
+            </div>
+            <button
+              type="submit"
+              className="w-full bg-primary hover:bg-primary-dark text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200"
+              disabled={loading}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+            <div className="text-center text-sm mt-2">
+              <button
+                type="button"
+                className="text-primary hover:underline"
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+              >
+                {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+              </button>
+            </div>
+            <div className="text-center text-sm">
+              <button type="button" className="text-gray-600 hover:underline" onClick={handleStartOver}>
+                Back to login
+              </button>
+            </div>
+          </form>
+        </div>
+      </>
+    );
+  }
+
   return (
     <>
       <Helmet>
@@ -51,23 +146,54 @@ const LoginPage = () => {
               autoFocus
             />
           </div>
-          <div>
-            <label className="block text-sm font-medium mb-1">Password</label>
-            <input
-              type="password"
-              className="w-full border rounded px-3 py-2 focus:outline-none focus:ring focus:border-primary"
-              value={password}
-              onChange={e => setPassword(e.target.value)}
-              required
-            />
-          </div>
+          {!useMagicLink && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Password</label>
+              <input
+                type="password"
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring focus:border-primary"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                required
+              />
+            </div>
+          )}
           <button
             type="submit"
             className="w-full bg-primary hover:bg-primary-dark text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200"
             disabled={loading}
           >
-            {loading ? 'Logging in...' : 'Login'}
+            {useMagicLink
+              ? (loading ? 'Sending link...' : 'Email me a login link')
+              : (loading ? 'Logging in...' : 'Login')}
           </button>
+          <div className="text-center text-sm">
+            <button
+              type="button"
+              className="text-primary hover:underline"
+              onClick={() => { setUseMagicLink(!useMagicLink); setError(''); setSuccess(''); }}
+            >
+              {useMagicLink ? 'Log in with your password instead' : 'Log in without a password'}
+            </button>
+          </div>
+          {providers.length > 0 && (
+            <div className="space-y-3">
+              <div className="flex items-center text-sm text-gray-500">
+                <div className="flex-1 border-t" />
+                <span className="px-3">or</span>
+                <div className="flex-1 border-t" />
+              </div>
+              {providers.map((provider) => (
+                <a
+                  key={provider.slug}
+                  href={provider.loginUrl}
+                  className="block w-full text-center border border-gray-300 hover:bg-gray-50 font-semibold py-3 px-6 rounded-lg transition-colors duration-200"
+                >
+                  Continue with {provider.name}
+                </a>
+              ))}
+            </div>
+          )}
           <div className="text-center text-sm mt-2">
             <a href="/reset-password" className="text-primary hover:underline">Forgot password?</a>
           </div>
@@ -0,0 +1,97 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { XCircle, RefreshCw } from 'lucide-react';
+import { Helmet } from 'react-helmet-async';
+import { useAuth } from '../../contexts/AuthContext';
+
+const MagicLinkPage = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [status, setStatus] = useState('verifying'); // 'verifying', 'error'
+  const [message, setMessage] = useState('');
+  const { loginWithMagicLink } = useAuth();
+  const token = searchParams.get('token');
+  // Login links work only once, so don't send the token twice when effects re-run
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (attempted.current) {
+      return;
+    }
+    attempted.current = true;
+
+    if (token) {
+      handleLogin();
+    } else {
+      setStatus('error');
+      setMessage('Invalid login link. Please check your email for the correct link.');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const handleLogin = async () => {
+    const result = await loginWithMagicLink(token);
+    if (result.requiresTwoFactor) {
+      // Finish on the login page, which asks for the authentication code
+      navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+    } else if (!result.success) {
+      setStatus('error');
+      setMessage(result.error);
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Log In - Intelixir</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-primary/5 to-accent/5 flex items-center justify-center px-4">
+        <motion.div
+          className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center"
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          transition={{ duration: 0.5 }}
+        >
+          {status === 'verifying' && (
+            <>
+              <motion.div
+                className="w-16 h-16 bg-primary/10 rounded-full flex items-center justify-center mx-auto mb-6"
+                animate={{ rotate: 360 }}
+                transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+              >
+                <RefreshCw className="w-8 h-8 text-primary" />
+              </motion.div>
+              <h1 className="text-2xl font-bold text-secondary mb-4">Logging You In</h1>
+              <p className="text-gray-600">Please wait while we check your login link...</p>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <motion.div
+                className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-6"
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                transition={{ delay: 0.2, type: "spring" }}
+              >
+                <XCircle className="w-8 h-8 text-red-500" />
+              </motion.div>
+              <h1 className="text-2xl font-bold text-secondary mb-4">Login Link Not Valid</h1>
+              <p className="text-gray-600 mb-8">{message}</p>
+              <Link
+                to="/login"
+                className="w-full bg-primary hover:bg-primary-dark text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 inline-block"
+              >
+                Back to Login
+              </Link>
+            </>
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+};
+
+export default MagicLinkPage;
@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { XCircle, RefreshCw } from 'lucide-react';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Where the backend sends the browser after a login with an external provider
+const OidcCallbackPage = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { completeExternalLogin } = useAuth();
+  const [error, setError] = useState(searchParams.get('error'));
+  // The refresh cookie is rotated on use, so only exchange it once when effects re-run
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (attempted.current || error) {
+      return;
+    }
+    attempted.current = true;
+
+    const challengeToken = searchParams.get('challengeToken');
+    if (challengeToken) {
+      navigate('/login', { replace: true, state: { challengeToken } });
+      return;
+    }
+
+    if (searchParams.get('deletionCancelled') === 'true') {
+      toast.success('Welcome back! Your account deletion has been cancelled.');
+    }
+
+    completeExternalLogin().then((result) => {
+      if (!result.success) {
+        setError(result.error);
+      }
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <>
+      <Helmet>
+        <title>Logging In - Intelixir</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-primary/5 to-accent/5 flex items-center justify-center px-4">
+        <motion.div
+          className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center"
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          transition={{ duration: 0.5 }}
+        >
+          {!error ? (
+            <>
+              <motion.div
+                className="w-16 h-16 bg-primary/10 rounded-full flex items-center justify-center mx-auto mb-6"
+                animate={{ rotate: 360 }}
+                transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+              >
+                <RefreshCw className="w-8 h-8 text-primary" />
+              </motion.div>
+              <h1 className="text-2xl font-bold text-secondary mb-4">Logging You In</h1>
+              <p className="text-gray-600">Please wait a moment...</p>
+            </>
+          ) : (
+            <>
+              <motion.div
+                className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-6"
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                transition={{ delay: 0.2, type: "spring" }}
+              >
+                <XCircle className="w-8 h-8 text-red-500" />
+              </motion.div>
+              <h1 className="text-2xl font-bold text-secondary mb-4">Login Failed</h1>
+              <p className="text-gray-600 mb-8">{error}</p>
+              <Link
+                to="/login"
+                className="w-full bg-primary hover:bg-primary-dark text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 inline-block"
+              >
+                Back to Login
+              </Link>
+            </>
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+};
+
+export default OidcCallbackPage;
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { useQuery } from 'react-query';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -11,7 +12,14 @@ const RegisterPage = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [userInterest, setUserInterest] = useState('');
-  const { register } = useAuth();
+  const { api, register } = useAuth();
+
+  // External (OpenID Connect) providers that new accounts can sign up with
+  const { data: providers = [] } = useQuery('identity-providers', async () => {
+    const response = await api.get('/auth/providers');
+    return response.data.data.providers;
+  }, { staleTime: 5 * 60 * 1000 });
+  const signupProviders = providers.filter((provider) => provider.allowSignup);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -79,9 +87,9 @@ const RegisterPage = () => {
               value={password}
               onChange={e => setPassword(e.target.value)}
               required
-              minLength={6}
+              minLength={8}
             />
-            <p className="text-xs text-gray-500 mt-1">Password must be at least 6 characters, contain uppercase, lowercase, and a number.</p>
+            <p className="text-xs text-gray-500 mt-1">Password must be at least 8 characters, contain uppercase, lowercase, and a number, and must not contain your name or email or be a commonly used password.</p>
           </div>
           
           <div className="flex items-center">
@@ -113,6 +121,26 @@ const RegisterPage = () => {
           >
             {loading ? 'Registering...' : 'Register'}
           </button>
+          {signupProviders.length > 0 && (
+            <div className="space-y-3">
+              <div className="flex items-center text-sm text-gray-500">
+                <div className="flex-1 border-t" />
+                <span className="px-3">or</span>
+                <div className="flex-1 border-t" />
+              </div>
+              {/* The consent above applies to these too, so they wait for it */}
+              {signupProviders.map((provider) => (
+                <a
+                  key={provider.slug}
+                  href={gdprConsent ? `${provider.loginUrl}?gdprConsent=true` : undefined}
+                  aria-disabled={!gdprConsent}
+                  className={`block w-full text-center border border-gray-300 font-semibold py-3 px-6 rounded-lg transition-colors duration-200 ${gdprConsent ? 'hover:bg-gray-50' : 'opacity-50 cursor-not-allowed'}`}
+                >
+                  Sign up with {provider.name}
+                </a>
+              ))}
+            </div>
+          )}
           <div className="text-center text-sm mt-2">
             Already have an account? <a href="/login" className="text-primary hover:underline">Login</a>
           </div>
@@ -134,7 +134,7 @@ const ResetPasswordPage = () => {
                 <input
                   {...register('password', {
                     required: 'Password is required',
-                    minLength: { value: 6, message: 'Password must be at least 6 characters' }
+                    minLength: { value: 8, message: 'Password must be at least 8 characters' }
                   })}
                   type={showPassword ? 'text' : 'password'}
                   className="input-field pl-10 pr-10"